@@ -0,0 +1,155 @@
+/**
+ * Squarespace Accessibility Enhancement – altTextAudit.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Related WCAG Criteria:
+ *   - 1.1.1 Non-text Content
+ *
+ * Description:
+ *   Reviews image alt text and reports images that may need attention in
+ *   the Squarespace image settings: a missing alt attribute, alt text that
+ *   looks like a file name, generic alt text such as "image", very long
+ *   alt text, and linked images whose link has no text at all.
+ *
+ * Squarespace Context:
+ *   - Intended for common Squarespace 7.0 and 7.1 image, gallery, and
+ *     summary block output.
+ *   - Provides developer- and editor-facing findings for review.
+ *   - Does not modify the DOM, so it can run in editor mode.
+ *   - Can run after AJAX loads or delayed content rendering.
+ *
+ * Options (window.sqsA11yConfig.enhancements.altTextAudit):
+ *   - maxLength: Alt text longer than this many characters is reported.
+ *
+ * Dependencies:
+ *   - sqsA11y-utils
+ *   - utils.reportUpdate()
+ *   - utils.getAccessibleName() (squarespaceA11y-accname.js)
+ *   - utils.phrases() (squarespaceA11y-i18n.js)
+ *
+ * Notes:
+ *   This enhancement supports accessibility review and remediation work.
+ *   It does not guarantee WCAG compliance on its own. Whether alt text
+ *   describes its image well still needs a person to judge.
+ */
+
+(function (window, document) {
+	window.sqsA11y = window.sqsA11y || {};
+	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
+
+	const DEFAULTS = {
+		maxLength: 150,
+	};
+
+	// File extensions and camera or screenshot names, e.g. "IMG_1234".
+	const FILE_EXTENSION = /\.(jpe?g|png|gif|webp|avif|svg|heic|bmp|tiff?)$/i;
+	const CAMERA_NAME = /^(img|dsc|dscn|dscf|pxl|mvimg|screenshot|screen shot)[\s_-]*\d+/i;
+
+	window.sqsA11y.enhancements.altTextAudit = function (options = {}) {
+		const debug = options.debug || false;
+		const settings = Object.assign({}, DEFAULTS, options.settings);
+		const utils = window.sqsA11y.utils || {};
+		const ENH_NAME = options.name;
+		const WCAG = options.wcag;
+
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug, { kind: "info" });
+
+		const genericAlt = utils.phrases("altTextAudit.genericAlt");
+
+		/**
+		 * getFileBaseName()
+		 * ------------------------------------------------------------
+		 * Lowercase file name of the image source, without its extension.
+		 */
+		function getFileBaseName(img) {
+			const source = img.getAttribute("src") || img.getAttribute("data-src") || img.getAttribute("data-image") || "";
+			let name = source.split("?")[0].split("/").filter(Boolean).pop() || "";
+
+			try {
+				name = decodeURIComponent(name.replace(/\+/g, " "));
+			} catch (err) {}
+
+			return name.replace(/\.[a-z0-9]+$/i, "").toLowerCase();
+		}
+
+		/**
+		 * looksLikeFileName()
+		 * ------------------------------------------------------------
+		 * Squarespace fills alt text from the uploaded file name when none
+		 * is entered.
+		 */
+		function looksLikeFileName(alt, img) {
+			const fileName = getFileBaseName(img);
+			const normalizedAlt = alt.replace(FILE_EXTENSION, "").toLowerCase();
+
+			return FILE_EXTENSION.test(alt) || CAMERA_NAME.test(alt) || (!!fileName && normalizedAlt === fileName);
+		}
+
+		/**
+		 * linkHasOtherText()
+		 * ------------------------------------------------------------
+		 * True when the image's link has a name besides the image. The
+		 * image's own alt is empty, so it adds nothing to the name.
+		 */
+		function linkHasOtherText(link) {
+			return !!utils.getAccessibleName(link);
+		}
+
+		const images = utils.queryAll("img", options.roots);
+
+		images.forEach((img) => {
+			// Hidden from assistive technology, so alt text is not used.
+			if (img.closest("[hidden], [aria-hidden='true']")) return;
+
+			const role = (img.getAttribute("role") || "").toLowerCase();
+			if (role === "presentation" || role === "none") return;
+
+			const alt = img.getAttribute("alt");
+
+			if (alt === null) {
+				utils.reportUpdate(
+					img,
+					ENH_NAME,
+					`(${WCAG}) Image has no alt attribute. Add alt text, or leave it empty if the image is decorative.`,
+					debug,
+				);
+				return;
+			}
+
+			const text = utils.normalizeWhitespace(alt);
+			const link = img.closest("a[href]");
+
+			if (!text) {
+				if (link && !linkHasOtherText(link)) {
+					utils.reportUpdate(
+						img,
+						ENH_NAME,
+						`(${WCAG}) Linked image has empty alt text and the link has no other text.`,
+						debug,
+					);
+				}
+				return;
+			}
+
+			if (looksLikeFileName(text, img)) {
+				utils.reportUpdate(img, ENH_NAME, `(${WCAG}) Alt text looks like a file name: "${text}".`, debug);
+			} else if (genericAlt.includes(text.toLowerCase())) {
+				utils.reportUpdate(img, ENH_NAME, `(${WCAG}) Alt text does not describe the image: "${text}".`, debug);
+			} else if (text.length > settings.maxLength) {
+				utils.reportUpdate(
+					img,
+					ENH_NAME,
+					`(${WCAG}) Alt text is ${text.length} characters long. Consider a shorter description, with details in a caption or the page text.`,
+					debug,
+				);
+			}
+		});
+
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug, { kind: "info" });
+	};
+
+	window.sqsA11y.enhancements.altTextAudit.defaults = DEFAULTS;
+})(window, document);
@@ -41,6 +41,12 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
+	/*
+	 * Form observer for the current lifecycle. Cleared on disable/revert
+	 * so it is attached again the next time the enhancement runs.
+	 */
+	let formObserver = null;
+
 	window.sqsA11y.enhancements.autocompleteEnhancer = function (options = {}) {
 		const debug = options.debug || false;
 
@@ -86,7 +92,7 @@
 		 *   Browsers will still honor valid autocomplete attributes on individual fields.
 		 */
 		function normalizeFormAutocomplete() {
-			const forms = document.querySelectorAll("form");
+			const forms = utils.queryAll("form", options.roots);
 
 			utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Forms Found: ${forms.length}`, debug);
 			forms.forEach((form) => {
@@ -157,7 +163,7 @@
 		}
 
 		normalizeFormAutocomplete();
-		const results = utils.scanFormControls(repairAutocompleteField);
+		const results = utils.scanFormControls(repairAutocompleteField, options.roots);
 
 		utils.reportUpdate(
 			null,
@@ -169,26 +175,30 @@
 		/**
 		 * Attach an observer for future Squarespace DOM changes.
 		 *
-		 * This observer should only be attached once for the lifetime of the
-		 * current page session. The fix itself may run many times, but the
-		 * observer does not need to be re-registered each time.
+		 * This observer should only be attached once per lifecycle. The fix
+		 * itself may run many times, but the observer does not need to be
+		 * re-registered each time. Changes it makes are recorded so they can
+		 * be reverted with the rest of the enhancement.
 		 */
-		if (
-			typeof utils.observeFormsForChanges === "function" &&
-			!window.sqsA11y._autocompleteObserverAttached
-		) {
-			window.sqsA11y._autocompleteObserverAttached = true;
-
-			utils.observeFormsForChanges(() => {
-				normalizeFormAutocomplete();
-				const results = utils.scanFormControls(repairAutocompleteField);
-
-				utils.reportUpdate(
-					null,
-					ENH_NAME,
-					`(${WCAG}) - ${results.updated} updated, ${results.cleaned} cleaned`,
-					debug,
-				);
+		if (typeof utils.observeFormsForChanges === "function" && !formObserver) {
+			formObserver = options.lifecycle.observe(
+				utils.observeFormsForChanges(() => {
+					options.lifecycle.record(() => {
+						normalizeFormAutocomplete();
+						const results = utils.scanFormControls(repairAutocompleteField);
+
+						utils.reportUpdate(
+							null,
+							ENH_NAME,
+							`(${WCAG}) - ${results.updated} updated, ${results.cleaned} cleaned`,
+							debug,
+						);
+					});
+				}),
+			);
+
+			options.lifecycle.addCleanup(() => {
+				formObserver = null;
 			});
 		}
 
@@ -28,6 +28,7 @@
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
  *   - utils.findNearestText()
+ *   - utils.t() (squarespaceA11y-i18n.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -49,7 +50,7 @@
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 
 		// Only target contact links this fix is designed to improve.
-		const links = document.querySelectorAll('a[href^="tel:"], a[href^="mailto:"]');
+		const links = utils.queryAll('a[href^="tel:"], a[href^="mailto:"]', options.roots);
 
 		const formatPhoneDisplay = (num) => {
 			// Normalize common U.S. phone display formats to (xxx) xxx-xxxx.
@@ -180,25 +181,29 @@
 			let label = "";
 
 			if (isPhone) {
-				label = context ? `Call ${context} at ${visibleText}` : `Call ${visibleText}`;
+				label = context
+					? utils.t("contactLinkContext.callContext", { context: context, number: visibleText })
+					: utils.t("contactLinkContext.call", { number: visibleText });
 			} else if (isEmail) {
 				// Prefer the actual email address from mailto: over vague visible text like "Email us".
 				const emailAddress = utils.getEmailAddressFromHref(href);
 
 				label = context
-					? `Email ${context} at ${emailAddress || visibleText}`
-					: `Email ${emailAddress || visibleText}`;
+					? utils.t("contactLinkContext.emailContext", { context: context, address: emailAddress || visibleText })
+					: utils.t("contactLinkContext.email", { address: emailAddress || visibleText });
 			}
 
 			const existingAria = utils.normalizeWhitespace(link.getAttribute("aria-label"));
 			const existingTitle = utils.normalizeWhitespace(link.getAttribute("title"));
 			let didRepair = false;
+			let repairedAttr = null;
 
 			if (label) {
 				// Add an aria-label only when one does not already exist.
 				// Existing labels may already be valid, even if short, when page context is clear.
 				if (!existingAria) {
 					link.setAttribute("aria-label", label);
+					repairedAttr = "aria-label";
 					didRepair = true;
 				}
 
@@ -206,6 +211,7 @@
 				// This preserves the existing accessible name while adding helpful metadata.
 				else if (!existingTitle) {
 					link.setAttribute("title", label);
+					repairedAttr = "title";
 					didRepair = true;
 				}
 			}
@@ -218,6 +224,7 @@
 					ENH_NAME,
 					`${repairedCount} - Added contact link context = "${label}"`,
 					debug,
+					{ attribute: repairedAttr, before: null, after: label },
 				);
 			}
 		});
@@ -0,0 +1,136 @@
+/**
+ * Squarespace Accessibility Enhancement – contrastAudit.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Related WCAG Criteria:
+ *   - 1.4.3 Contrast (Minimum)
+ *
+ * Description:
+ *   Compares the text color of elements that contain text with the
+ *   nearest solid background color, and reports text below 4.5:1, or
+ *   below 3:1 for large text (24px, or 18.66px bold).
+ *
+ * Squarespace Context:
+ *   - Intended for text set through Squarespace site styles, section
+ *     color themes, and block-level color settings.
+ *   - Skips text over background images, video, and gradients, where
+ *     contrast cannot be measured from styles. Those need a manual check.
+ *   - Does not modify the DOM, so it can run in editor mode.
+ *   - Can run after AJAX loads or delayed content rendering.
+ *
+ * Dependencies:
+ *   - sqsA11y-utils
+ *   - utils.parseRgbString()
+ *   - utils.getClosestAncestorBackgroundColor()
+ *   - utils.passesWcagContrast()
+ *   - utils.processInChunks()
+ *   - utils.reportUpdate()
+ *
+ * Notes:
+ *   This enhancement supports accessibility review and remediation work.
+ *   It does not guarantee WCAG compliance on its own. Hover and focus
+ *   colors, and text inside images, are not checked.
+ */
+
+(function (window, document) {
+	window.sqsA11y = window.sqsA11y || {};
+	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
+
+	const TEXT_SELECTOR =
+		"p, li, h1, h2, h3, h4, h5, h6, a, button, label, legend, blockquote, figcaption, td, th, dt, dd, span, strong, em";
+
+	window.sqsA11y.enhancements.contrastAudit = function (options = {}) {
+		const debug = options.debug || false;
+		const utils = window.sqsA11y.utils || {};
+		const ENH_NAME = options.name;
+		const WCAG = options.wcag;
+
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug, { kind: "info" });
+
+		let unmeasured = 0;
+
+		/**
+		 * hasOwnText()
+		 * ------------------------------------------------------------
+		 * Only elements with their own text are checked, so each piece of
+		 * text is reported once, on its closest element.
+		 */
+		function hasOwnText(el) {
+			return Array.from(el.childNodes).some((node) => node.nodeType === Node.TEXT_NODE && node.data.trim());
+		}
+
+		/**
+		 * blend()
+		 * ------------------------------------------------------------
+		 * Semi-transparent text color as it appears over the background.
+		 */
+		function blend(color, background) {
+			const alpha = color.a === undefined ? 1 : color.a;
+
+			return {
+				r: color.r * alpha + background.r * (1 - alpha),
+				g: color.g * alpha + background.g * (1 - alpha),
+				b: color.b * alpha + background.b * (1 - alpha),
+			};
+		}
+
+		/**
+		 * checkElement()
+		 * ------------------------------------------------------------
+		 * Reports one element whose text contrast is too low.
+		 */
+		function checkElement(el) {
+			if (el.closest("[hidden], [aria-hidden='true']")) return;
+
+			const style = window.getComputedStyle(el);
+			if (!style || style.display === "none" || style.visibility === "hidden" || style.opacity === "0") return;
+
+			const color = utils.parseRgbString(style.color);
+			if (!color || color.a === 0) return;
+
+			const background = utils.getClosestAncestorBackgroundColor(el);
+
+			if (!background) {
+				unmeasured++;
+				return;
+			}
+
+			const fontSize = parseFloat(style.fontSize) || 16;
+			const bold = (parseInt(style.fontWeight, 10) || 400) >= 700;
+			const large = fontSize >= 24 || (bold && fontSize >= 18.66);
+			const result = utils.passesWcagContrast(blend(color, background), background, large ? 3 : 4.5);
+
+			if (!result || result.pass) return;
+
+			const text = utils.normalizeWhitespace(el.textContent).slice(0, 60);
+
+			utils.reportUpdate(
+				el,
+				ENH_NAME,
+				`(${WCAG}) Text contrast is ${result.ratio}:1, below ${result.required}:1${large ? " for large text" : ""}: "${text}"`,
+				debug,
+			);
+		}
+
+		const elements = utils.queryAll(TEXT_SELECTOR, options.roots).filter(hasOwnText);
+
+		return utils
+			.processInChunks(elements, checkElement, { idle: options.idle, lifecycle: options.lifecycle })
+			.then(() => {
+				if (unmeasured) {
+					utils.reportUpdate(
+						null,
+						ENH_NAME,
+						`(${WCAG}) ${unmeasured} text element(s) sit on a background image or have no solid background color. Check these manually.`,
+						debug,
+						{ kind: "info" },
+					);
+				}
+
+				utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug, { kind: "info" });
+			});
+	};
+})(window, document);
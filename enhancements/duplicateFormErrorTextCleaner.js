@@ -40,7 +40,13 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
-	window.sqsA11y.enhancements.duplicateFormErrorTextCleaner = function (options = {}) {
+	/*
+	 * Set by init() so each readiness cycle can rescan without rebinding
+	 * the submit listener.
+	 */
+	let runCycle = null;
+
+	function init(options = {}) {
 		const debug = options.debug || false;
 		const utils = window.sqsA11y.utils || {};
 		const ENH_NAME = options.name;
@@ -51,6 +57,9 @@
 
 		let runQueued = false;
 
+		// Forms already watched, so later cycles only observe new forms.
+		const observedTargets = new WeakSet();
+
 		/**
 		 * getControlSelector()
 		 * ------------------------------------------------------------
@@ -212,8 +221,8 @@
 		 * ------------------------------------------------------------
 		 * Finds submitted Squarespace form errors and repairs duplicated names.
 		 */
-		function runCleaner() {
-			const controls = Array.from(document.querySelectorAll(getControlSelector()));
+		function runCleaner(roots) {
+			const controls = utils.queryAll(getControlSelector(), roots);
 
 			controls.forEach((control) => {
 				cleanControlErrorLabel(control);
@@ -232,7 +241,10 @@
 
 			window.requestAnimationFrame(() => {
 				runQueued = false;
-				runCleaner();
+
+				if (options.lifecycle.disabled) return;
+
+				options.lifecycle.record(() => runCleaner());
 			});
 		}
 
@@ -241,13 +253,18 @@
 		 * ------------------------------------------------------------
 		 * Watches for Squarespace form errors injected after failed submit.
 		 */
-		function watchFormErrors() {
-			const forms = Array.from(document.querySelectorAll("form.react-form-contents, form"));
+		function watchFormErrors(roots) {
+			const forms = utils.queryAll("form.react-form-contents, form", roots);
 
-			const targets = forms.length ? forms : [document.body];
+			// Fall back to the body only when the page has no forms at all,
+			// not when the new content being scanned has none.
+			const targets = forms.length || document.querySelector("form") ? forms : [document.body];
 
 			targets.forEach((target) => {
-				const observer = new MutationObserver(queueRun);
+				if (observedTargets.has(target)) return;
+				observedTargets.add(target);
+
+				const observer = options.lifecycle.observe(new MutationObserver(queueRun));
 
 				observer.observe(target, {
 					childList: true,
@@ -264,7 +281,8 @@
 		 * Watches form submissions so post-submit validation errors can be cleaned.
 		 */
 		function bindSubmitListener() {
-			document.addEventListener(
+			options.lifecycle.on(
+				document,
 				"submit",
 				(event) => {
 					if (!event.target || !(event.target instanceof HTMLFormElement)) return;
@@ -286,21 +304,24 @@
 			}
 		}
 
-		document.addEventListener(
-			"submit",
-			(event) => {
-				if (!event.target || !(event.target instanceof HTMLFormElement)) return;
+		bindSubmitListener();
 
-				window.setTimeout(queueRun, 0);
-				window.setTimeout(queueRun, 250);
-				window.setTimeout(queueRun, 750);
-			},
-			true,
-		);
+		runCycle = function (roots) {
+			runCleaner(roots);
+			watchFormErrors(roots);
+		};
 
-		runCleaner();
-		watchFormErrors();
-		bindSubmitListener();
+		options.lifecycle.addCleanup(() => {
+			runCycle = null;
+		});
+	}
 
+	/*
+	 * Runs on every readiness cycle: cleans current errors and watches
+	 * any forms added since the last cycle.
+	 */
+	window.sqsA11y.enhancements.duplicateFormErrorTextCleaner = function (options = {}) {
+		if (runCycle) runCycle(options.roots);
 	};
+	window.sqsA11y.enhancements.duplicateFormErrorTextCleaner.init = init;
 })(window, document);
@@ -144,9 +144,7 @@
 			}
 		}
 
-		const requiredTextNodes = Array.from(
-			document.querySelectorAll("label .description.required"),
-		);
+		const requiredTextNodes = utils.queryAll("label .description.required", options.roots);
 
 		requiredTextNodes.forEach((requiredText) => {
 			cleanRequiredText(requiredText);
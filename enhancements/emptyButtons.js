@@ -24,16 +24,14 @@
  * Dependencies:
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
+ *   - utils.getAccessibleName() (squarespaceA11y-accname.js)
+ *   - utils.t() (squarespaceA11y-i18n.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
  *   It does not guarantee WCAG compliance on its own.
  */
 
-// TODO: Check whether hasAccessibleName() should also detect meaningful img[alt]
-// text inside a button. If Squarespace outputs an image-only button with a
-// useful alt value, this utility may incorrectly treat the button as unnamed.
-
 (function (window, document) {
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
@@ -49,34 +47,18 @@
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 
 		// Collect all button elements on the current page.
-		const buttons = document.querySelectorAll("button");
+		const buttons = utils.queryAll("button", options.roots);
 		let repairedCount = 0;
 
-		// Determines whether the button already has a usable accessible name
-		// from visible text or a title attribute.
-		function hasAccessibleName(btn) {
-			const text = (btn.textContent || "").trim();
-			const title = (btn.getAttribute("title") || "").trim();
-
-			return !!(text || title);
-		}
-
 		buttons.forEach((btn) => {
-			// If ARIA labeling is already present, leave the button alone.
-			const ariaLabel = (btn.getAttribute("aria-label") || "").trim();
-			const ariaLabelledby = (btn.getAttribute("aria-labelledby") || "").trim();
-
-			if (ariaLabel || ariaLabelledby) {
-				utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - button already has ARIA label info`, debug);
-				return;
-			}
-
-			// If the button already has visible text or a title, no repair is needed.
-			if (hasAccessibleName(btn)) {
+			// A name from text, an image's alt, ARIA, a <label>, or a title
+			// means no repair is needed. Buttons hidden until a menu opens
+			// are checked as if shown.
+			if (utils.getAccessibleName(btn, { whenShown: true })) {
 				return;
 			}
 
-			let label = "Button";
+			let label = utils.t("emptyButtons.button");
 
 			// Normalize values used for context checks.
 			const className = (btn.className || "").toLowerCase();
@@ -89,18 +71,23 @@
 
 			// Apply a more descriptive label when the button looks like a dialog close control.
 			if (inDialog && (className.includes("close") || id.includes("close"))) {
-				label = "Close dialog";
+				label = utils.t("emptyButtons.closeDialog");
 			}
 			// Apply a submit label only when the button is actually associated with a form.
 			else if (btn.type === "submit" && (btn.form || btn.closest("form"))) {
-				label = "Submit form";
+				label = utils.t("emptyButtons.submitForm");
 			}
 
 			// Add the fallback accessible name.
+			const previousLabel = btn.getAttribute("aria-label");
 			btn.setAttribute("aria-label", label);
 			repairedCount++;
 
-			utils.reportUpdate(btn, ENH_NAME, `(${WCAG})  - Added aria-label="${label}"`, debug);
+			utils.reportUpdate(btn, ENH_NAME, `(${WCAG})  - Added aria-label="${label}"`, debug, {
+				attribute: "aria-label",
+				before: previousLabel,
+				after: label,
+			});
 		});
 
 		// Report the number of repaired buttons after processing.
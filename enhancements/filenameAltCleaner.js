@@ -146,7 +146,7 @@
 		 *   - Does not change the live DOM or the fallback markup.
 		 */
 		function auditNoscriptFilenameAlts() {
-			const noscripts = Array.from(document.querySelectorAll("noscript"));
+			const noscripts = utils.queryAll("noscript", options.roots);
 
 			noscripts.forEach((noscript) => {
 				const html = noscript.textContent || noscript.innerHTML || "";
@@ -175,6 +175,7 @@
 							ENH_NAME,
 							`(${WCAG}) Found filename-based alt text inside <noscript>. This fallback image markup was created by Squarespace and cannot be repaired by this JavaScript utility. Alt/File: "${alt}"`,
 							debug,
+							{ kind: "warning" },
 						);
 					}
 				});
@@ -214,6 +215,7 @@
 					ENH_NAME,
 					`(${WCAG}) Cleared filename-based alt text. Alt/File: "${alt}" | ${getImageContext(img)}`,
 					debug,
+					{ attribute: "alt", before: alt, after: "" },
 				);
 
 				return { updated: 1, skipped: 0 };
@@ -223,7 +225,7 @@
 			return { updated: 0, skipped: 1 };
 		}
 
-		const images = Array.from(document.querySelectorAll("img[alt]"));
+		const images = utils.queryAll("img[alt]", options.roots);
 
 		images.forEach((img) => {
 			cleanFilenameAlt(img);
@@ -140,7 +140,7 @@
 		}
 
 		const offset = getHeaderOffset();
-		const targets = document.querySelectorAll(TARGET_SELECTOR);
+		const targets = utils.queryAll(TARGET_SELECTOR, options.roots);
 
 		targets.forEach((el) => {
 			applyScrollMargin(el, offset);
@@ -52,8 +52,9 @@
 	 * @param {boolean} [options.debug=false] Forces debug logging on when true.
 	 * @param {string} [options.name] Human-readable fix name for trace logging.
 	 * @param {string} [options.wcag] WCAG reference string for trace logging.
+	 * @param {Object} options.lifecycle Lifecycle provided by the runner.
 	 */
-	window.sqsA11y.enhancements.focusOrderHelpers = function (options = {}) {
+	function init(options = {}) {
 		// Normalize config values used throughout the fix.
 		const debug = !!options.debug;
 		const utils = window.sqsA11y.utils || {};
@@ -63,11 +64,10 @@
 		// Record that this fix has started running.
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 
-		// Prevent duplicate event binding.
-		// Squarespace can rerun scripts during AJAX navigation, so this flag
-		// ensures the listeners below are only attached once per page session.
-		if (document.documentElement.dataset.accFocusOrderBound === "true") return;
-		document.documentElement.dataset.accFocusOrderBound = "true";
+		// The listeners below are bound from init(), which the runner calls once,
+		// so rerunning on Squarespace AJAX navigation does not add duplicates.
+		// Attribute changes made later by the listeners are recorded so
+		// disable() can undo them.
 
 		// ------------------------------------------------------------
 		// (1) Anchor focus management for in-page links
@@ -77,7 +77,7 @@
 		// may scroll visually but not always move keyboard focus to the target.
 		// This can leave keyboard and screen reader users disconnected from
 		// the content they just navigated to.
-		document.addEventListener("click", function (e) {
+		options.lifecycle.on(document, "click", function (e) {
 			// Only handle real in-page anchor links.
 			// Excludes href="#" because that is often used as a placeholder.
 			const link = e.target.closest('a[href^="#"]:not([href="#"])');
@@ -90,7 +90,7 @@
 
 			// Delay focus slightly so native/browser/Squarespace scrolling and
 			// link handling can finish before we move focus programmatically.
-			setTimeout(() => {
+			options.lifecycle.setTimeout(() => {
 				// Make the target programmatically focusable without adding it
 				// to the normal tab order.
 				target.setAttribute("tabindex", "-1");
@@ -111,7 +111,7 @@
 		// Squarespace often loads pages dynamically without a full browser refresh.
 		// In those cases, keyboard focus may remain behind on an old control or
 		// become disconnected from the newly loaded content.
-		window.addEventListener("mercury:load", function () {
+		options.lifecycle.on(window, "mercury:load", function () {
 			// Try to locate the main landmark for the new page content.
 			const main = document.querySelector("main");
 			if (!main) return;
@@ -132,5 +132,11 @@
 		// Record that the fix finished setting up successfully.
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
 
-	};
+	}
+
+	/*
+	 * All work happens in the listeners bound by init().
+	 */
+	window.sqsA11y.enhancements.focusOrderHelpers = function () {};
+	window.sqsA11y.enhancements.focusOrderHelpers.init = init;
 })(window, document);
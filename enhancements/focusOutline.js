@@ -27,10 +27,6 @@
  *   It does not guarantee WCAG compliance on its own.
  */
 
-// TODO: Add listener deduping so focusin/focusout handlers are not attached
-// multiple times if this enhancement is called again after Squarespace AJAX
-// navigation or delayed script execution.
-
 (function (window, document) {
 	"use strict";
 
@@ -64,11 +60,10 @@
 	 * @param {string} [options.wcag] WCAG reference used in logging
 	 *
 	 * Notes:
-	 * - This fix attaches global listeners each time it is called.
-	 * - If this function may run more than once, listener deduping should be added elsewhere
-	 *   or inside this fix.
+	 * - The global listeners are attached once from init() through options.lifecycle,
+	 *   so later readiness cycles do not add duplicates and disable() removes them.
 	 */
-	window.sqsA11y.enhancements.focusOutline = function (options = {}) {
+	function init(options = {}) {
 		const debug = !!options.debug;
 		const ENH_NAME = options.name || "focusOutline";
 		const WCAG = options.wcag || "WCAG 2.4.7";
@@ -78,8 +73,6 @@
 		// so we have a second debug param specifically for the DOM triggers.
 		const debug_domTriggers = false;
 
-		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
-
 		/**
 		 * Returns true when a CSS color value is effectively transparent.
 		 *
@@ -661,13 +654,29 @@
 		}
 
 		// Attach global listeners so dynamically loaded focusable elements are also covered.
-		document.addEventListener("focusin", handleFocus);
-		document.addEventListener("focusout", handleBlur);
+		options.lifecycle.on(document, "focusin", handleFocus);
+		options.lifecycle.on(document, "focusout", handleBlur);
 
 		if (debug_domTriggers) {
 			utils.reportUpdate(null, ENH_NAME, `(${WCAG}) listeners attached`, debug);
 		}
+	}
 
+	/*
+	 * Nothing to change per cycle: the document-level listeners from init()
+	 * already cover focusable elements added after AJAX navigation. Each
+	 * cycle still reports its run, like every other enhancement.
+	 */
+	function apply(options = {}) {
+		const debug = !!options.debug;
+		const ENH_NAME = options.name || "focusOutline";
+		const WCAG = options.wcag || "WCAG 2.4.7";
+		const utils = window.sqsA11y.utils || {};
+
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
-	};
+	}
+
+	window.sqsA11y.enhancements.focusOutline = apply;
+	window.sqsA11y.enhancements.focusOutline.init = init;
 })(window, document);
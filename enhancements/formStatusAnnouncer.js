@@ -24,6 +24,7 @@
  * Dependencies:
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
+ *   - utils.t() (squarespaceA11y-i18n.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -39,7 +40,7 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
-	window.sqsA11y.enhancements.formStatusAnnouncer = function (options = {}) {
+	function init(options = {}) {
 		const debug = !!options.debug;
 
 		const utils = window.sqsA11y.utils || {};
@@ -140,7 +141,7 @@
 
 		// Observe DOM changes for Squarespace form feedback messages.
 		// This checks both newly added nodes and text updates inside existing nodes.
-		const observer = new MutationObserver((mutations) => {
+		const observer = options.lifecycle.observe(new MutationObserver((mutations) => {
 			mutations.forEach((m) => {
 				const nodesToCheck = [];
 
@@ -187,26 +188,37 @@
 						node.matches(".form-submission-text") ||
 						node.querySelector?.(".form-submission-text")
 					) {
-						announce("Form submitted successfully.", "status");
+						announce(utils.t("formStatusAnnouncer.success"), "status");
 						utils.reportUpdate(node, ENH_NAME, `(${WCAG}) - Announced form success.`, debug);
 					}
 				});
 			});
+		}));
+
+		// init() runs once, so the observer is attached once even if the
+		// enhancement runs again after Squarespace AJAX page transitions.
+		observer.observe(document.body, {
+			childList: true,
+			subtree: true,
+			characterData: true,
 		});
 
-		// Attach observer once, even if this fix is called again after
-		// Squarespace AJAX page transitions.
-		if (!window._accFormAnnounceObserverAttached) {
-			window._accFormAnnounceObserverAttached = true;
-			observer.observe(document.body, {
-				childList: true,
-				subtree: true,
-				characterData: true,
-			});
+		options.lifecycle.addCleanup(() => {
+			clearTimeout(announceTimers.error);
+			clearTimeout(announceTimers.status);
+		});
 
-			utils.reportUpdate(document.body, ENH_NAME, `(${WCAG}) - Mutation observer active.`, debug);
-		}
+		utils.reportUpdate(document.body, ENH_NAME, `(${WCAG}) - Mutation observer active.`, debug, {
+			kind: "info",
+		});
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
 
-	};
+	}
+
+	/*
+	 * The live regions and observer set up by init() cover forms loaded
+	 * later, so there is nothing to apply on each cycle.
+	 */
+	window.sqsA11y.enhancements.formStatusAnnouncer = function () {};
+	window.sqsA11y.enhancements.formStatusAnnouncer.init = init;
 })(window, document);
@@ -43,7 +43,7 @@
 		const ENH_NAME = options.name;
 		const WCAG = options.wcag;
 
-		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug, { kind: "info" });
 
 		const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6"));
 
@@ -67,7 +67,7 @@
 			// Detect skipped levels (e.g., H2 → H4)
 			if (lastLevel && level > lastLevel + 1) {
 				utils.reportUpdate(
-					null,
+					el,
 					ENH_NAME,
 					`(${WCAG}) Skipped heading level: H${lastLevel} → H${level}`,
 					debug,
@@ -86,7 +86,7 @@
 			utils.reportUpdate(null, ENH_NAME, `(${WCAG}) Multiple <h1> elements found (${h1Count}).`, debug);
 		}
 
-		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug, { kind: "info" });
 
 	};
 })(window, document);
@@ -29,6 +29,8 @@
  *   - utils.findLinkText()
  *   - utils.findNearestTextNode()
  *   - utils.reportUpdate()
+ *   - utils.getAccessibleName() (squarespaceA11y-accname.js)
+ *   - utils.phrases() (squarespaceA11y-i18n.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -84,28 +86,18 @@
 			return (
 				!normalized ||
 				normalized.length < 5 ||
-				/^(image|photo|picture|read more|learn more|click here|view|more)$/i.test(normalized)
+				utils.phrases("imagesWithoutContext.weakLabels").includes(normalized)
 			);
 		}
 
 		// --- Scan all image-only links ---
-		const links = Array.from(document.querySelectorAll("a[href]")).filter((a) => a.querySelector("img"));
+		const links = utils.queryAll("a[href]", options.roots).filter((a) => a.querySelector("img"));
 		links.forEach((link) => {
-			// Skip hidden or already labeled links
+			// Skip hidden links
 			if (link.offsetParent === null) return;
-			if (link.hasAttribute("aria-label") || link.hasAttribute("aria-labelledby")) return;
 
-			// Skip if visible text already exists
-			const visibleText = (link.textContent || "").trim();
-			if (visibleText.length > 0) return;
-
-			// Skip if any child image has alt text
-			const imgs = link.querySelectorAll("img");
-			let hasAlt = false;
-			imgs.forEach((img) => {
-				if (img.alt && img.alt.trim().length > 0) hasAlt = true;
-			});
-			if (hasAlt) return;
+			// Skip links already named by text, image alt text, or ARIA
+			if (utils.getAccessibleName(link)) return;
 
 			// Try to infer a meaningful label from existing page context.
 			const inferredText = inferContextText(link);
@@ -116,10 +108,15 @@
 
 			// Apply the inferred label to the link itself so the image-only
 			// hyperlink has a programmatically determinable accessible name.
+			const previousLabel = link.getAttribute("aria-label");
 			link.setAttribute("aria-label", inferredText);
 			repairedCount++;
 
-			utils.reportUpdate(link, ENH_NAME, `(${WCAG})  - Added aria-label="${inferredText}"`, debug);
+			utils.reportUpdate(link, ENH_NAME, `(${WCAG})  - Added aria-label="${inferredText}"`, debug, {
+				attribute: "aria-label",
+				before: previousLabel,
+				after: inferredText,
+			});
 		});
 
 		// --- Reporting ---
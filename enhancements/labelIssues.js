@@ -30,6 +30,7 @@
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
  *   - utils.injectStyleOnce()
+ *   - utils.getAccessibleName() (squarespaceA11y-accname.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -57,7 +58,7 @@
 		// ------------------------------------------------------------
 		const hiddenSystemSelectors = ['input[type="hidden"]', 'textarea[id^="g-recaptcha-response"]'];
 
-		document.querySelectorAll(hiddenSystemSelectors.join(",")).forEach((el) => {
+		utils.queryAll(hiddenSystemSelectors.join(","), options.roots).forEach((el) => {
 			el.setAttribute("aria-hidden", "true");
 			utils.reportUpdate(el, ENH_NAME, `(${WCAG}) - Hidden non-interactive element`, debug);
 		});
@@ -65,7 +66,7 @@
 		// ------------------------------------------------------------
 		// 1. Fill empty labels using legend text
 		// ------------------------------------------------------------
-		const fields = document.querySelectorAll("fieldset.form-item.field, fieldset.form-item.fields");
+		const fields = utils.queryAll("fieldset.form-item.field, fieldset.form-item.fields", options.roots);
 		fields.forEach((fieldset) => {
 			// Squarespace often places the visible field name inside the legend.
 			// We use this only when the input does not already have an ARIA name.
@@ -125,7 +126,7 @@
 		// ------------------------------------------------------------
 		// 2. Rebind labels missing valid input targets
 		// ------------------------------------------------------------
-		document.querySelectorAll("label[for]").forEach((label) => {
+		utils.queryAll("label[for]", options.roots).forEach((label) => {
 			const id = label.getAttribute("for");
 			const input = document.getElementById(id);
 
@@ -142,6 +143,7 @@
 							ENH_NAME,
 							`(${WCAG}) - Repaired label binding → #${possible.id}`,
 							debug,
+							{ attribute: "for", before: id, after: possible.id },
 						);
 					}
 				}
@@ -175,7 +177,7 @@
 		//
 		// This repair is intentionally narrow. It only changes broken textarea
 		// error references when a matching visible error element can be found.
-		document.querySelectorAll("textarea[aria-describedby]").forEach((textarea) => {
+		utils.queryAll("textarea[aria-describedby]", options.roots).forEach((textarea) => {
 			const describedBy = textarea.getAttribute("aria-describedby");
 			if (!describedBy) return;
 
@@ -209,7 +211,7 @@
 		// At this point, automatic repairs have already been attempted.
 		// If a visible control still has no accessible name, do not guess.
 		// Report it for developer review.
-		document.querySelectorAll("input:not([type=hidden]), textarea, select").forEach((el) => {
+		utils.queryAll("input:not([type=hidden]), textarea, select", options.roots).forEach((el) => {
 			// --------------------------------------------------------
 			// Skip elements that are not meaningfully exposed to users
 			// --------------------------------------------------------
@@ -262,18 +264,25 @@
 			});
 
 			// test to see if any type of label is available
-			const hasLabel =
+			const hasLabelSource =
 				(el.id && hasExplicitLabel) ||
 				el.closest("label") ||
 				el.hasAttribute("aria-label") ||
 				el.hasAttribute("aria-labelledby");
 
+			// The label must also produce a name. This catches empty labels and
+			// aria-labelledby pointing at missing ids. A placeholder alone still
+			// does not count, because it is not a label source.
+			const hasLabel = hasLabelSource && !!utils.getAccessibleName(el);
+
 			// --------------------------------------------------------
 			// Flag only true accessibility issues
 			// --------------------------------------------------------
 
 			if (!hasLabel) {
-				utils.reportUpdate(el, ENH_NAME, `(${WCAG}) - Input without label detected →`, debug);
+				utils.reportUpdate(el, ENH_NAME, `(${WCAG}) - Input without label detected →`, debug, {
+					kind: "warning",
+				});
 			}
 		});
 
@@ -25,9 +25,14 @@
  *   - Reviews Summary Blocks, card-style layouts, and related summary markup.
  *   - Can run after AJAX loads or delayed content rendering.
  *
+ * Options (window.sqsA11yConfig.enhancements.linkPurposeEnhancer):
+ *   - vaguePhrases: Link text values treated as vague. Defaults to the
+ *     string catalog list for the page language plus English.
+ *
  * Dependencies:
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
+ *   - utils.t(), utils.phrases() (squarespaceA11y-i18n.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -45,8 +50,14 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
+	const DEFAULTS = {
+		// null uses the catalog list: English plus the page language.
+		vaguePhrases: null,
+	};
+
 	window.sqsA11y.enhancements.linkPurposeEnhancer = function (options = {}) {
 		const debug = !!options.debug;
+		const settings = Object.assign({}, DEFAULTS, options.settings);
 		const ENH_DESC = "Link Purpose Enhancement";
 		const utils = window.sqsA11y.utils || {};
 
@@ -55,34 +66,13 @@
 
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 
-		// prettier-ignore
-		const vaguePhrases = [
-			"read more",
-			"learn more",
-			"click here",
-			"details",
-			"view all",
-			"email",
-			"email us",
-			"email me",
-			"contact",
-			"contact us",
-			"contact me",
-			"more",
-			"more info",
-			"more information",
-			"see more",
-			"find out more",
-			"discover more",
-			"continue reading",
-			"read full article",
-			"read full story",
-			"view more",
-			"view details"
-		];
+		// Phrases are normalized like link text, so "plus d'infos" still matches.
+		const vaguePhrases = (
+			Array.isArray(settings.vaguePhrases) ? settings.vaguePhrases : utils.phrases("linkPurposeEnhancer.vaguePhrases")
+		).map((phrase) => normalizeText(phrase));
 
 		// Only process Squarespace Summary links for this fix.
-		const links = document.querySelectorAll("a.summary-read-more-link");
+		const links = utils.queryAll("a.summary-read-more-link", options.roots);
 
 		links.forEach((link) => {
 			// Prevent duplicate processing on the same link.
@@ -90,11 +80,7 @@
 			link.dataset.linkPurposeInit = "true";
 
 			// Normalize the visible text so decorative symbols do not affect matching.
-			const rawText = (link.textContent || "").trim().toLowerCase();
-			const normalizedText = rawText
-				.replace(/[^\p{L}\p{N}\s]/gu, "")
-				.replace(/\s+/g, " ")
-				.trim();
+			const normalizedText = normalizeText(link.textContent);
 
 			// Only update known vague Summary link phrases.
 			const isVague = vaguePhrases.includes(normalizedText);
@@ -137,8 +123,13 @@
 
 			// Only set an aria-label when useful context was found.
 			if (context) {
-				link.setAttribute("aria-label", `${normalizedText} about ${context}`);
-				utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - link updated - ${normalizedText} -> read more about ${context}`, debug);
+				const label = utils.t("linkPurposeEnhancer.label", { text: normalizedText, context: context });
+				link.setAttribute("aria-label", label);
+				utils.reportUpdate(link, ENH_NAME, `(${WCAG}) - link updated - ${normalizedText} -> ${label}`, debug, {
+					attribute: "aria-label",
+					before: null,
+					after: label,
+				});
 			}
 		});
 
@@ -146,6 +137,17 @@
 
 	};
 
+	window.sqsA11y.enhancements.linkPurposeEnhancer.defaults = DEFAULTS;
+
+	// Lowercases and strips decorative symbols and punctuation.
+	function normalizeText(text) {
+		return String(text || "")
+			.toLowerCase()
+			.replace(/[^\p{L}\p{N}\s]/gu, "")
+			.replace(/\s+/g, " ")
+			.trim();
+	}
+
 	function getContextFromHref(href) {
 		// Ignore empty, placeholder, script, and telephone links.
 		if (!href || href === "#" || href.startsWith("javascript:") || href.startsWith("tel:")) {
@@ -159,7 +161,7 @@
 				.split("?")[0]
 				.trim();
 
-			return email ? `email ${email}` : "";
+			return email ? window.sqsA11y.utils.t("linkPurposeEnhancer.emailContext", { address: email }) : "";
 		}
 
 		try {
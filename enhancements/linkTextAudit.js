@@ -0,0 +1,95 @@
+/**
+ * Squarespace Accessibility Enhancement – linkTextAudit.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Related WCAG Criteria:
+ *   - 2.4.4 Link Purpose (In Context)
+ *
+ * Description:
+ *   Reviews link text across the page and reports links that have no
+ *   text, text that does not say where the link goes ("click here",
+ *   "read more"), or a bare web address as their text.
+ *
+ * Squarespace Context:
+ *   - Intended for links entered in Squarespace text, button, and summary
+ *     blocks, where editors can change the wording at the source.
+ *   - Provides developer- and editor-facing findings for review.
+ *   - Does not modify the DOM, so it can run in editor mode.
+ *   - Can run after AJAX loads or delayed content rendering.
+ *
+ * Dependencies:
+ *   - sqsA11y-utils
+ *   - utils.reportUpdate()
+ *   - utils.getAccessibleName() (squarespaceA11y-accname.js)
+ *   - utils.phrases() (squarespaceA11y-i18n.js)
+ *
+ * Notes:
+ *   This enhancement supports accessibility review and remediation work.
+ *   It does not guarantee WCAG compliance on its own. Vague text can be
+ *   acceptable when the surrounding sentence explains the link.
+ */
+
+(function (window, document) {
+	window.sqsA11y = window.sqsA11y || {};
+	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
+
+	const WEB_ADDRESS = /^(https?:\/\/|www\.)\S+$/i;
+
+	window.sqsA11y.enhancements.linkTextAudit = function (options = {}) {
+		const debug = options.debug || false;
+		const utils = window.sqsA11y.utils || {};
+		const ENH_NAME = options.name;
+		const WCAG = options.wcag;
+
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug, { kind: "info" });
+
+		const vaguePhrases = utils.phrases("linkTextAudit.vaguePhrases").map((phrase) => normalizeText(phrase));
+
+		const links = utils.queryAll("a[href]", options.roots);
+
+		links.forEach((link) => {
+			if (link.closest("[hidden], [aria-hidden='true']")) return;
+
+			const href = link.getAttribute("href") || "";
+			const text = utils.getAccessibleName(link);
+
+			if (!text) {
+				utils.reportUpdate(link, ENH_NAME, `(${WCAG}) Link has no text: ${href}`, debug);
+				return;
+			}
+
+			if (vaguePhrases.includes(normalizeText(text))) {
+				utils.reportUpdate(
+					link,
+					ENH_NAME,
+					`(${WCAG}) Link text "${text}" does not say where the link goes, unless the surrounding text does.`,
+					debug,
+				);
+				return;
+			}
+
+			if (WEB_ADDRESS.test(text)) {
+				utils.reportUpdate(
+					link,
+					ENH_NAME,
+					`(${WCAG}) Link text is a web address. Consider describing the destination instead: "${text}"`,
+					debug,
+				);
+			}
+		});
+
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug, { kind: "info" });
+	};
+
+	// Lowercases and strips punctuation, so "Click here!" matches "click here".
+	function normalizeText(text) {
+		return String(text || "")
+			.toLowerCase()
+			.replace(/[^\p{L}\p{N}\s]/gu, "")
+			.replace(/\s+/g, " ")
+			.trim();
+	}
+})(window, document);
@@ -21,6 +21,9 @@
  *   - Reviews likely mobile hamburger menu controls.
  *   - Can run after AJAX loads, viewport changes, or delayed navigation rendering.
  *
+ * Options (window.sqsA11yConfig.enhancements.mobileHamburger):
+ *   - toggleSelector: CSS selector for the mobile menu toggle controls.
+ *
  * Dependencies:
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
@@ -38,8 +41,13 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
-	window.sqsA11y.enhancements.mobileHamburger = function (options = {}) {
+	const DEFAULTS = {
+		toggleSelector: "button.Mobile-bar-menu, button.header-burger-btn.burger",
+	};
+
+	function apply(options = {}) {
 		const debug = !!options.debug;
+		const settings = Object.assign({}, DEFAULTS, options.settings);
 
 		const utils = window.sqsA11y.utils || {};
 
@@ -47,29 +55,13 @@
 		const WCAG = options.wcag;
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 
-		const toggles = document.querySelectorAll("button.Mobile-bar-menu, button.header-burger-btn.burger");
+		const toggles = utils.queryAll(settings.toggleSelector, options.roots);
 
 		if (!toggles.length) {
 			utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - No mobile toggles found (likely desktop view).`, debug);
 			return;
 		}
 
-		// ------------------------------------------------------------
-		// Handle resize: re-run fix if layout mode changes
-		// ------------------------------------------------------------
-		function bindHamburgerResizeListener() {
-			if (window._sqsA11yHamburgerBound) return;
-			window._sqsA11yHamburgerBound = true;
-
-			window.addEventListener("resize", () => {
-				clearTimeout(window._sqsA11yHamburgerTimer);
-				window._sqsA11yHamburgerTimer = setTimeout(() => {
-					window.sqsA11y.enhancements.mobileHamburger(options);
-				}, 400);
-			});
-		}
-		bindHamburgerResizeListener();
-
 		function applyToggleColorIfNeeded(toggle) {
 			const cs = getComputedStyle(toggle);
 			const textColor = utils.parseRgbString(cs.color);
@@ -94,6 +86,9 @@
 				toggle.dataset.prevColor = toggle.style.color || "";
 			}
 
+			// Already adjusted on an earlier run.
+			if (toggle.style.color === replacementColor) return;
+
 			toggle.style.color = replacementColor;
 
 			utils.reportUpdate(toggle, ENH_NAME, `(${WCAG}) adjusted toggle color for 3:1 contrast against adjacent background`, debug);
@@ -103,6 +98,9 @@
 		// Enhance toggles
 		// ------------------------------------------------------------
 		toggles.forEach((toggle) => {
+			// Computed colors change with the layout, so this is checked on every run.
+			applyToggleColorIfNeeded(toggle);
+
 			if (toggle.dataset.accessibilityInit === "true") return;
 
 			// Native <button> elements already expose button semantics and keyboard support.
@@ -116,9 +114,6 @@
 				toggle.setAttribute("role", "button");
 			}
 
-			// set a contrast color for the toggle buttons:
-			applyToggleColorIfNeeded(toggle);
-
 			toggle.setAttribute("tabindex", "0");
 			toggle.dataset.accessibilityInit = "true";
 			utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - initialized.`, debug);
@@ -136,7 +131,7 @@
 				// - A non-button element with role="button" does not.
 				// - This listener adds the expected activation behavior for Enter and Space
 				//   so the custom toggle behaves like a button for keyboard users.
-				toggle.addEventListener("keydown", (e) => {
+				options.lifecycle.on(toggle, "keydown", (e) => {
 					if (e.key === "Enter" || e.key === " ") {
 						e.preventDefault();
 						toggle.click();
@@ -146,5 +141,26 @@
 		});
 
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
-	};
+	}
+
+	/*
+	 * Bound once. Re-runs the enhancement when the layout switches between
+	 * desktop and mobile, recording the changes so disable() can undo them.
+	 */
+	function init(options = {}) {
+		let resizeTimer = null;
+
+		options.lifecycle.on(window, "resize", () => {
+			clearTimeout(resizeTimer);
+			resizeTimer = setTimeout(() => {
+				options.lifecycle.record(() => apply(options));
+			}, 400);
+		});
+
+		options.lifecycle.addCleanup(() => clearTimeout(resizeTimer));
+	}
+
+	window.sqsA11y.enhancements.mobileHamburger = apply;
+	window.sqsA11y.enhancements.mobileHamburger.init = init;
+	window.sqsA11y.enhancements.mobileHamburger.defaults = DEFAULTS;
 })(window, document);
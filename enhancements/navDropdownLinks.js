@@ -48,7 +48,7 @@
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 
 		// Target common Squarespace folder/dropdown link selectors
-		const folders = document.querySelectorAll(".nav-folder-title, .header-menu-nav-item--folder > a, .Header-nav-folder-title, .Header-nav-item--folder > a");
+		const folders = utils.queryAll(".nav-folder-title, .header-menu-nav-item--folder > a, .Header-nav-folder-title, .Header-nav-item--folder > a", options.roots);
 		folders.forEach((folder) => {
 			if (folder.dataset.accessibilityInit === "true") return;
 			folder.dataset.accessibilityInit = "true";
@@ -64,13 +64,13 @@
 			}
 
 			// Mouse click toggles dropdown
-			folder.addEventListener("click", () => {
+			options.lifecycle.on(folder, "click", () => {
 				const expanded = folder.getAttribute("aria-expanded") === "true";
 				folder.setAttribute("aria-expanded", String(!expanded));
 			});
 
 			// Keyboard support: Enter or Space toggles dropdown
-			folder.addEventListener("keydown", (e) => {
+			options.lifecycle.on(folder, "keydown", (e) => {
 				if (e.key === "Enter" || e.key === " ") {
 					e.preventDefault();
 					folder.click();
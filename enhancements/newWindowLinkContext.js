@@ -38,6 +38,10 @@
  *       - Link is a same-page anchor link
  *       - Link has already been processed
  *
+ * Options (window.sqsA11yConfig.enhancements.newWindowLinkContext):
+ *   - newTabText: Assistive wording added to new-tab links. Empty uses
+ *     the string catalog wording for the page language.
+ *
  * Notes:
  *   This is an enhancement, not a guaranteed WCAG repair. It improves
  *   predictability and link purpose context without altering visible
@@ -54,9 +58,15 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
+	const DEFAULTS = {
+		newTabText: "",
+	};
+
 	window.sqsA11y.enhancements.newWindowLinkContext = function (options = {}) {
 		const debug = !!options.debug;
+		const settings = Object.assign({}, DEFAULTS, options.settings);
 		const utils = window.sqsA11y.utils || {};
+		const NEW_TAB_TEXT = String(settings.newTabText || utils.t("newWindowLinkContext.newTab")).trim();
 		const ENH_NAME = options.name || "newWindowLinkContext";
 		const WCAG = options.wcag || "WCAG 2.4.4, 3.2.2";
 
@@ -129,30 +139,31 @@
 		/**
 		 * hasNewWindowContextValue()
 		 * ------------------------------------------------------------
-		 * Checks a string for existing new-tab/new-window wording.
+		 * Checks a string for existing new-tab/new-window wording, in
+		 * English or the page language.
 		 */
 		function hasNewWindowContextValue(value) {
 			const text = (value || "").toLowerCase();
 
 			return (
-				text.includes("opens in a new tab") ||
-				text.includes("opens in new tab") ||
-				text.includes("opens in a new window") ||
-				text.includes("opens in new window")
+				text.includes(NEW_TAB_TEXT.toLowerCase()) ||
+				utils.phrases("common.newWindowPhrases").some((phrase) => text.includes(phrase))
 			);
 		}
 
 		/**
 		 * hasNewWindowContext()
 		 * ------------------------------------------------------------
-		 * Checks both visible/link text and aria-label for existing context.
+		 * Checks the link's accessible name and description for existing
+		 * context, wherever it comes from (text, aria-label,
+		 * aria-labelledby, aria-describedby, or title).
 		 */
 		function hasNewWindowContext(link) {
 			if (!link || !(link instanceof HTMLAnchorElement)) return false;
 
 			return (
-				hasNewWindowContextValue(link.textContent) ||
-				hasNewWindowContextValue(link.getAttribute("aria-label"))
+				hasNewWindowContextValue(utils.getAccessibleName(link, { whenShown: true })) ||
+				hasNewWindowContextValue(utils.getAccessibleDescription(link))
 			);
 		}
 
@@ -200,6 +211,10 @@
 		 * getVisibleText()
 		 * ------------------------------------------------------------
 		 * Returns only visually rendered text from an element.
+		 *
+		 * Used only to decide where a visible icon fits. Screen-reader-only
+		 * text is part of the accessible name but does not make a link look
+		 * like a text link, so utils.getAccessibleName() is not used here.
 		 */
 		function getVisibleText(el) {
 			if (!el || !(el instanceof Element)) return "";
@@ -323,7 +338,7 @@
 		function addHiddenText(link) {
 			const hiddenText = document.createElement("span");
 			hiddenText.className = TEXT_CLASS;
-			hiddenText.textContent = " (opens in a new tab)";
+			hiddenText.textContent = ` (${NEW_TAB_TEXT})`;
 
 			link.appendChild(hiddenText);
 		}
@@ -339,7 +354,7 @@
 
 			if (ariaLabel) {
 				if (!hasNewWindowContextValue(ariaLabel)) {
-					link.setAttribute("aria-label", `${ariaLabel} (opens in a new tab)`);
+					link.setAttribute("aria-label", `${ariaLabel} (${NEW_TAB_TEXT})`);
 				}
 
 				return "aria-label";
@@ -447,6 +462,8 @@
 
 		injectHiddenTextStyle();
 
-		document.querySelectorAll('a[target="_blank"]').forEach(enhanceLink);
+		utils.queryAll('a[target="_blank"]', options.roots).forEach(enhanceLink);
 	};
+
+	window.sqsA11y.enhancements.newWindowLinkContext.defaults = DEFAULTS;
 })(window, document);
\ No newline at end of file
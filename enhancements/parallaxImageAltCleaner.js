@@ -72,7 +72,8 @@
 		 * ------------------------------------------------------------
 		 * Clears filename-based alt text from a decorative parallax image.
 		 *
-		 * Returns {updated, skipped}.
+		 * Returns {updated, skipped}, plus the previous alt text as before
+		 * when the image was changed.
 		 */
 		function cleanParallaxImageAlt(img) {
 			if (!img || !(img instanceof Element)) return { updated: 0, skipped: 1 };
@@ -85,7 +86,7 @@
 			if (isFilenameAlt(currentAlt)) {
 				img.setAttribute("alt", "");
 				img.dataset[HAS_RUN_MARK] = "1";
-				return { updated: 1, skipped: 0 };
+				return { updated: 1, skipped: 0, before: currentAlt };
 			}
 
 			img.dataset[HAS_RUN_MARK] = "1";
@@ -99,7 +100,7 @@
 		 * decorative filename-based alt text.
 		 */
 		function cleanParallaxImageAlts() {
-			const parallaxImages = document.querySelectorAll(".Index-page-image img[data-image]");
+			const parallaxImages = utils.queryAll(".Index-page-image img[data-image]", options.roots);
 
 			let updated = 0;
 			let skipped = 0;
@@ -109,12 +110,14 @@
 				updated += result.updated;
 				skipped += result.skipped;
 
-				utils.reportUpdate(
-					img,
-					ENH_NAME,
-					`(${WCAG}) - ${updated} parallax image alt attribute(s) cleaned`,
-					debug,
-				);
+				// Images already handled on an earlier cycle are not reported again.
+				if (!result.updated) return;
+
+				utils.reportUpdate(img, ENH_NAME, `(${WCAG}) - Cleared filename-based parallax image alt text.`, debug, {
+					attribute: "alt",
+					before: result.before,
+					after: "",
+				});
 			});
 
 			return { updated, skipped };
@@ -23,10 +23,17 @@
  *   - Skips image-only and icon-only PDF links to avoid guessing link purpose.
  *   - Can run after AJAX loads or delayed content rendering.
  *
+ * Options (window.sqsA11yConfig.enhancements.pdfLinkEnhancer):
+ *   - fileTypeText: Hidden text that identifies the link as a PDF.
+ *   - newTabText:   Hidden text added when the PDF opens in a new tab.
+ *   Empty values use the string catalog wording for the page language.
+ *
  * Dependencies:
  *   - sqsA11y-utils
  *   - utils.injectStyleOnce()
  *   - utils.reportUpdate()
+ *   - utils.getAccessibleName(), utils.getAccessibleDescription() (squarespaceA11y-accname.js)
+ *   - utils.t(), utils.phrases() (squarespaceA11y-i18n.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -40,9 +47,17 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
+	const DEFAULTS = {
+		fileTypeText: "",
+		newTabText: "",
+	};
+
 	window.sqsA11y.enhancements.pdfLinkEnhancer = function (options = {}) {
 		const debug = !!options.debug;
+		const settings = Object.assign({}, DEFAULTS, options.settings);
 		const utils = window.sqsA11y.utils || {};
+		const FILE_TYPE_TEXT = String(settings.fileTypeText || utils.t("pdfLinkEnhancer.fileType")).trim();
+		const NEW_TAB_TEXT = String(settings.newTabText || utils.t("pdfLinkEnhancer.newWindow")).trim();
 
 		const ENH_NAME = options.name || "pdfLinkEnhancer";
 		const WCAG = options.wcag || "WCAG 2.4.4, 2.4.6, 3.2.5, 4.1.2";
@@ -83,7 +98,7 @@
 			debug,
 		);
 
-		const pdfLinks = document.querySelectorAll('a[href*=".pdf" i]');
+		const pdfLinks = utils.queryAll('a[href*=".pdf" i]', options.roots);
 		let repairedCount = 0;
 
 		pdfLinks.forEach((link) => {
@@ -94,16 +109,18 @@
 
 			link.dataset.pdfEnhanceInit = "true";
 
-			// Use visible link text only. Image/icon-only links need human-written context.
-			const linkText = (link.innerText || "").trim();
+			// Links named by text, aria-label, aria-labelledby, or image alt text are enhanced.
+			// Links with no name at all need human-written context.
+			const linkText = utils.getAccessibleName(link, { whenShown: true });
 
 			if (!linkText) {
 				if (utils.reportUpdate) {
 					utils.reportUpdate(
 						link,
 						ENH_NAME,
-						`(${WCAG}) - Skipped PDF link with no readable text.`,
+						`(${WCAG}) - Skipped PDF link with no accessible name.`,
 						debug,
+						{ kind: "warning" },
 					);
 				}
 				return;
@@ -112,23 +129,24 @@
 			const href = link.getAttribute("href") || "";
 			const opensNewTab = (link.getAttribute("target") || "").toLowerCase() === "_blank";
 
-			// Check both visible text and existing accessible text to avoid duplicates.
+			// Check the accessible name and description to avoid duplicates.
 			const accessibleText =
-				`${link.textContent || ""} ${link.getAttribute("aria-label") || ""}`.trim();
+				`${linkText} ${utils.getAccessibleDescription(link)}`.trim();
 
 			const alreadyMentionsPdf = /\bpdf\b/i.test(accessibleText);
-			const alreadyMentionsNewTab = /opens?\s+in\s+a\s+new\s+(tab|window)|new\s+(tab|window)/i.test(
-				accessibleText,
-			);
+			const alreadyMentionsNewTab =
+				/opens?\s+in\s+a\s+new\s+(tab|window)|new\s+(tab|window)/i.test(accessibleText) ||
+				accessibleText.toLowerCase().includes(NEW_TAB_TEXT.toLowerCase()) ||
+				utils.phrases("common.newWindowPhrases").some((phrase) => accessibleText.toLowerCase().includes(phrase));
 
 			const hiddenParts = [];
 
 			if (!alreadyMentionsPdf) {
-				hiddenParts.push("PDF file");
+				hiddenParts.push(FILE_TYPE_TEXT);
 			}
 
 			if (opensNewTab && !alreadyMentionsNewTab) {
-				hiddenParts.push("opens in a new window");
+				hiddenParts.push(NEW_TAB_TEXT);
 			}
 
 			if (!hiddenParts.length) {
@@ -167,4 +185,6 @@
 			utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - ${repairedCount} PDF link(s) updated.`, debug);
 		}
 	};
+
+	window.sqsA11y.enhancements.pdfLinkEnhancer.defaults = DEFAULTS;
 })(window, document);
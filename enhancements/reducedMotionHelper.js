@@ -89,8 +89,9 @@
 		}
 
 		function markParallaxElements() {
-			const parallaxElements = document.querySelectorAll(
+			const parallaxElements = utils.queryAll(
 				"[data-parallax-item], [data-parallax-image-wrapper]",
+				options.roots,
 			);
 
 			parallaxElements.forEach((el) => {
@@ -106,8 +107,9 @@
 		}
 
 		function markBackgroundVideos() {
-			const videos = document.querySelectorAll(
+			const videos = utils.queryAll(
 				".sqs-video-background iframe.background-video, .sqs-video-background iframe#vimeoplayer",
+				options.roots,
 			);
 
 			videos.forEach((iframe) => {
@@ -28,6 +28,8 @@
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
  *   - utils.injectStyleOnce()
+ *   - utils.assignId()
+ *   - utils.t() (squarespaceA11y-i18n.js)
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -48,7 +50,7 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
-	window.sqsA11y.enhancements.skipToMain = function (options = {}) {
+	function apply(options = {}) {
 		const debug = !!options.debug;
 		const utils = window.sqsA11y.utils || {};
 		const ENH_NAME = options.name;
@@ -78,7 +80,7 @@
 			skipLink = document.createElement("a");
 			skipLink.id = "acc-skip-link";
 			skipLink.className = "skip-link";
-			skipLink.textContent = "Skip to main content";
+			skipLink.textContent = utils.t("skipToMain.linkText");
 			document.body.insertAdjacentElement("afterbegin", skipLink);
 
 			// Inject default CSS if user hasn't defined .skip-link
@@ -108,7 +110,7 @@
 			}
 
 			// Focus management
-			skipLink.addEventListener("click", function () {
+			options.lifecycle.on(skipLink, "click", function () {
 				const targetId = skipLink.getAttribute("href")?.replace("#", "");
 				const target = document.getElementById(targetId);
 				if (target) {
@@ -126,13 +128,6 @@
 				? utils.getMainTarget()
 				: document.querySelector("main,[role='main'],h1");
 
-		if (!window._skipLinkBound) {
-			window._skipLinkBound = true;
-			document.addEventListener("mercury:load", () => {
-				window.sqsA11y.enhancements.skipToMain();
-			});
-		}
-
 		if (!targetEl) {
 			utils.reportUpdate(
 				null,
@@ -143,12 +138,24 @@
 			return;
 		}
 
-		if (!targetEl.id) targetEl.id = "main-content";
+		if (!targetEl.id) utils.assignId(targetEl, "main-content");
 		skipLink.setAttribute("href", `#${targetEl.id}`);
 
 		// ------------------------------------------------------------
 		// Report or log
 		// ------------------------------------------------------------
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
-	};
+	}
+
+	/*
+	 * Bound once. Re-evaluates the target when Squarespace finishes an
+	 * AJAX page load. The lifecycle records the changes so disable() can
+	 * undo them.
+	 */
+	function init(options = {}) {
+		options.lifecycle.on(document, "mercury:load", () => apply(options));
+	}
+
+	window.sqsA11y.enhancements.skipToMain = apply;
+	window.sqsA11y.enhancements.skipToMain.init = init;
 })(window, document);
@@ -117,7 +117,7 @@
 			const target = getSamePageAnchorTarget(link);
 			if (!target) return { updated: 0, skipped: 1 };
 
-			link.addEventListener("click", function (event) {
+			options.lifecycle.on(link, "click", function (event) {
 				const target = getSamePageAnchorTarget(link);
 				if (!target) return;
 
@@ -139,12 +139,7 @@
 				}
 
 				// Let scrolling begin before moving focus.
-				window.setTimeout(
-					function () {
-						focusTarget(target);
-					},
-					behavior === "smooth" ? 300 : 0,
-				);
+				options.lifecycle.setTimeout(() => focusTarget(target), behavior === "smooth" ? 300 : 0);
 			});
 
 			link.dataset[HAS_RUN_MARK] = "1";
@@ -157,7 +152,7 @@
 		 * Finds same-page anchor links and attaches smooth scrolling behavior.
 		 */
 		function enhanceSamePageAnchorLinks() {
-			const links = document.querySelectorAll('a[href*="#"]');
+			const links = utils.queryAll('a[href*="#"]', options.roots);
 
 			let updated = 0;
 			let skipped = 0;
@@ -18,22 +18,19 @@
  *   - Intended for common Squarespace 7.0 and 7.1 button-style link patterns.
  *   - Reviews anchors with `role="button"` or known button-style link classes.
  *   - Uses one delegated keydown listener.
- *   - Can continue working after AJAX rebuilds because the listener is only bound once.
+ *   - Can continue working after AJAX rebuilds because the listener is only bound
+ *     once, from init().
  *
  * Dependencies:
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
+ *   - utils.queryAll()
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
  *   It does not guarantee WCAG compliance on its own.
  */
 
-// TODO: need to test if the listerner can be added twice on multiple runds.
-// So may need to add a guard before binding the delegated keydown listener. The code sets
-// document.body.dataset.spacebarLinksBound = "true", but it does not currently
-// check that value before adding another listener if the enhancement runs again.
-
 // TODO: Check whether this helper should reject placeholder links such as
 // href="#" or href="javascript:void(0)". The current check uses link.href,
 // which returns a browser-resolved URL even for some placeholder href values.
@@ -67,42 +64,41 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
-	window.sqsA11y.enhancements.spacebarLinkActivation = function (options = {}) {
+	/**
+	 * Identifies anchor elements that are being used as button-like controls.
+	 * Normal links are intentionally excluded because Enter is their native
+	 * activation key, while Space is expected to scroll the page.
+	 */
+	function isButtonLikeLink(link) {
+		// Only apply this behavior to real anchor elements.
+		// This prevents the helper from accidentally treating buttons, spans,
+		// SVG elements, or other focused controls as links.
+		if (!(link instanceof HTMLAnchorElement)) return false;
+
+		// Only links with a usable href should be considered activatable.
+		// Placeholder anchors or malformed links should not receive custom
+		// keyboard behavior.
+		if (!link.href) return false;
+
+		return (
+			link.getAttribute("role") === "button" ||
+			link.classList.contains("sqs-block-button-element") ||
+			link.classList.contains("sqs-button-element--primary") ||
+			link.classList.contains("sqs-button-element--secondary") ||
+			link.classList.contains("sqs-button-element--tertiary")
+		);
+	}
+
+	function init(options = {}) {
 		const debug = !!options.debug;
 		const utils = window.sqsA11y.utils || {};
 
 		const ENH_NAME = options.name || "spacebarLinkActivation";
 		const WCAG = options.wcag || "WCAG 2.1.1";
 
-		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
 		document.body.dataset.spacebarLinksBound = "true";
 
-		/**
-		 * Identifies anchor elements that are being used as button-like controls.
-		 * Normal links are intentionally excluded because Enter is their native
-		 * activation key, while Space is expected to scroll the page.
-		 */
-		function isButtonLikeLink(link) {
-			// Only apply this behavior to real anchor elements.
-			// This prevents the helper from accidentally treating buttons, spans,
-			// SVG elements, or other focused controls as links.
-			if (!(link instanceof HTMLAnchorElement)) return false;
-
-			// Only links with a usable href should be considered activatable.
-			// Placeholder anchors or malformed links should not receive custom
-			// keyboard behavior.
-			if (!link.href) return false;
-
-			return (
-				link.getAttribute("role") === "button" ||
-				link.classList.contains("sqs-block-button-element") ||
-				link.classList.contains("sqs-button-element--primary") ||
-				link.classList.contains("sqs-button-element--secondary") ||
-				link.classList.contains("sqs-button-element--tertiary")
-			);
-		}
-
-		document.addEventListener("keydown", function (event) {
+		options.lifecycle.on(document, "keydown", function (event) {
 			const link = event.target;
 
 			// Only handle unclaimed Spacebar presses on links that are intentionally
@@ -120,8 +116,30 @@
 
 			utils.reportUpdate?.(link, ENH_NAME, `(${WCAG}) - Spacebar activated button-like link`, debug);
 		});
+	}
+
+	/*
+	 * The delegated listener from init() covers button-like links added
+	 * later, so each cycle only reports how many links it covers.
+	 */
+	function apply(options = {}) {
+		const debug = !!options.debug;
+		const utils = window.sqsA11y.utils || {};
+
+		const ENH_NAME = options.name || "spacebarLinkActivation";
+		const WCAG = options.wcag || "WCAG 2.1.1";
+
+		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement called.`, debug);
+
+		const links = utils.queryAll("a[href]", options.roots).filter(isButtonLikeLink);
+
+		if (links.length > 0) {
+			utils.reportUpdate(document.body, ENH_NAME, `${links.length} button-like links activate with the Spacebar`, debug);
+		}
 
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
+	}
 
-	};
+	window.sqsA11y.enhancements.spacebarLinkActivation = apply;
+	window.sqsA11y.enhancements.spacebarLinkActivation.init = init;
 })(window, document);
@@ -18,6 +18,9 @@
  *   - Attempts to improve target sizing while avoiding visible layout shifts
  *     in headers, navigation areas, and image link blocks.
  *
+ * Options (window.sqsA11yConfig.enhancements.targetSizeMinimum):
+ *   - minSize: Minimum target width and height in pixels.
+ *
  * Dependencies:
  *   - sqsA11y-utils
  *
@@ -47,8 +50,14 @@
 	window.sqsA11y = window.sqsA11y || {};
 	window.sqsA11y.enhancements = window.sqsA11y.enhancements || {};
 
+	const DEFAULTS = {
+		minSize: 24,
+	};
+
 	window.sqsA11y.enhancements.targetSizeMinimum = function (options = {}) {
 		const debug = !!options.debug;
+		const settings = Object.assign({}, DEFAULTS, options.settings);
+		const minSize = parseFloat(settings.minSize) > 0 ? parseFloat(settings.minSize) : DEFAULTS.minSize;
 		const utils = window.sqsA11y.utils || {};
 		const ENH_NAME = options.name;
 		const WCAG = options.wcag;
@@ -63,13 +72,13 @@
 			// Define CSS separately for readability & maintenance
 			// --------------------------------------------------------------------
 			const TARGET_SIZE_CSS = `
-				/* 1. Give all interactive elements a 24x24 target area */
+				/* 1. Give all interactive elements a minimum target area (24x24 by default) */
 				a,
 				button,
 				[type="button"],
 				[type="submit"] {
-					min-width: 24px !important;
-					min-height: 24px !important;
+					min-width: ${minSize}px !important;
+					min-height: ${minSize}px !important;
 				}
 
 				/* 2. Center text links & buttons, NOT nav or image links */
@@ -105,9 +114,17 @@
 			utils.injectStyleOnce("sqs-a11y-target-size-css", "a,button", TARGET_SIZE_CSS, debug);
 
 			// Trace for documentation
-			utils.reportUpdate(document.body, ENH_NAME, `(${WCAG}) - Minimum Target Size applied`, debug);
+			utils.reportUpdate(
+				document.body,
+				ENH_NAME,
+				`(${WCAG}) - Minimum Target Size applied (${minSize}px)`,
+				debug,
+				{ kind: "info" },
+			);
 		}
 		utils.reportUpdate(null, ENH_NAME, `(${WCAG}) - Enhancement complete.`, debug);
 
 	};
+
+	window.sqsA11y.enhancements.targetSizeMinimum.defaults = DEFAULTS;
 })(window, document);
@@ -22,6 +22,7 @@
  * Dependencies:
  *   - sqsA11y-utils
  *   - utils.reportUpdate()
+ *   - utils.processInChunks()
  *
  * Notes:
  *   This enhancement supports accessibility review and remediation work.
@@ -167,6 +168,15 @@
 
 			return false;
 		}
+
+		/**
+		 * getVisibleText()
+		 * ------------------------------------------------------------
+		 * Returns only visually rendered text. Text spacing changes only
+		 * affect rendered text, so this is not the accessible name from
+		 * utils.getAccessibleName(), which also counts screen-reader-only
+		 * text and aria-label.
+		 */
 		function getVisibleText(el) {
 			if (!el || !(el instanceof Element)) return "";
 
@@ -518,31 +528,43 @@
 		 * runAudit()
 		 * ------------------------------------------------------------
 		 * Applies WCAG 1.4.12 test spacing, audits, then removes test class.
+		 *
+		 * Resolves once every element has been checked. With idle
+		 * scheduling on, the checks are split across idle periods.
 		 */
 		function runAudit() {
 			injectTextSpacingTestStyle();
 
 			document.documentElement.classList.add(TEST_CLASS);
 
-			window.requestAnimationFrame(function () {
+			return new Promise(function (resolve, reject) {
 				window.requestAnimationFrame(function () {
-					const textElements = Array.from(document.querySelectorAll(TEXT_SELECTOR));
-
-					auditStats.itemsTested = textElements.length;
-					auditStats.issuesFound = 0;
-
-					textElements.forEach((el) => {
-						auditLikelyTextClipping(el);
-						auditNowrap(el);
-						auditFixedHeightInteractive(el);
-						auditNavItem(el);
+					window.requestAnimationFrame(function () {
+						const textElements = Array.from(document.querySelectorAll(TEXT_SELECTOR));
+
+						auditStats.itemsTested = textElements.length;
+						auditStats.issuesFound = 0;
+
+						utils
+							.processInChunks(
+								textElements,
+								(el) => {
+									auditLikelyTextClipping(el);
+									auditNowrap(el);
+									auditFixedHeightInteractive(el);
+									auditNavItem(el);
+								},
+								{ idle: options.idle, lifecycle: options.lifecycle },
+							)
+							.then(() => {
+								options.lifecycle.record(auditNavOverlap);
+
+								reportAuditSummary();
+
+								//document.documentElement.classList.remove(TEST_CLASS);
+							})
+							.then(resolve, reject);
 					});
-
-					auditNavOverlap();
-
-					reportAuditSummary();
-
-					//document.documentElement.classList.remove(TEST_CLASS);
 				});
 			});
 		}
@@ -558,9 +580,10 @@
 				ENH_NAME,
 				`(${WCAG}) Text Spacing Audit Test Completed. ${auditStats.itemsTested.toLocaleString()} items tested, ${auditStats.issuesFound.toLocaleString()} issues need review.`,
 				debug,
+				{ kind: "info" },
 			);
 		}
 
-		runAudit();
+		return runAudit();
 	};
 })(window, document);
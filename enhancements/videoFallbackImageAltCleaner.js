@@ -78,8 +78,9 @@
 		 * decorative alt text.
 		 */
 		function cleanVideoFallbackImages() {
-			const fallbackImages = document.querySelectorAll(
-				'.sqs-video-background img.custom-fallback-image'
+			const fallbackImages = utils.queryAll(
+				'.sqs-video-background img.custom-fallback-image',
+				options.roots,
 			);
 
 			let updated = 0;
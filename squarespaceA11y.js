@@ -2,7 +2,7 @@
  * Squarespace Accessibility Bootstrap - squarespaceA11y.js
  * --------------------------------------------------------
  * Library: squarespace-wcag-utils
- * Version: 0.4.7
+ * Version: 0.4.8
  * Author: Joe Lippeatt / 24Moves.com
  * License: MIT
  *
@@ -57,6 +57,14 @@
 
 	const loadingScripts = window.sqsA11yLoadingScripts || (window.sqsA11yLoadingScripts = new Map());
 
+	/*
+	 * Manifest inlined by tools/build.js when the library is served as a single
+	 * bundled file. Bundled modules are already registered, so the loader does
+	 * not request them again.
+	 */
+	const BUNDLE = window.sqsA11yBundle || null;
+	const BUNDLED_MODULES = new Set(BUNDLE && Array.isArray(BUNDLE.modules) ? BUNDLE.modules : []);
+
 	/*
 	 * Runtime configuration supplied by the page before this library loads.
 	 */
@@ -77,11 +85,97 @@
 	const config = Object.assign(
 		{
 			logging: DEBUG,
+			auditMode: false,
+			includeEnhancements: [],
 			excludeEnhancements: [],
+			rules: [],
+			enhancements: {},
+			performanceBudget: 50,
+			idleScheduling: false,
+			extraEnhancements: [],
+			maxConsecutiveErrors: 3,
+			onError: null,
+			onFinding: null,
+			onCycleComplete: null,
+			beacon: null,
+			reviewPanel: "shortcut",
+			editorMode: false,
+			locale: null,
+			strings: {},
 		},
 		CONFIG,
 	);
 
+	/*
+	 * Reviewer switch for audit mode.
+	 *
+	 * ?sqsA11yAudit=1 turns audit mode on and remembers it in localStorage
+	 * so it stays on while the reviewer moves between pages.
+	 * ?sqsA11yAudit=0 turns it off again and clears the stored value.
+	 */
+	const AUDIT_PARAM = "sqsA11yAudit";
+	const AUDIT_STORAGE_KEY = "sqsA11yAudit";
+
+	/**
+	 * readReviewerSwitch()
+	 * ------------------------------------------------------------
+	 * Reads a reviewer switch from the URL (?param=1 / ?param=0),
+	 * remembering it in localStorage so it stays set across pages.
+	 */
+	function readReviewerSwitch(param, storageKey) {
+		let value = null;
+
+		try {
+			value = new URLSearchParams(window.location.search).get(param);
+		} catch (err) {}
+
+		try {
+			if (value === "1") window.localStorage.setItem(storageKey, "1");
+			if (value === "0") window.localStorage.removeItem(storageKey);
+		} catch (err) {}
+
+		if (value === "1") return true;
+		if (value === "0") return false;
+
+		try {
+			return window.localStorage.getItem(storageKey) === "1";
+		} catch (err) {
+			return false;
+		}
+	}
+
+	/**
+	 * resolveAuditMode()
+	 * ------------------------------------------------------------
+	 * Audit mode is on when config.auditMode is true, or when the
+	 * reviewer switch is set through the URL or localStorage.
+	 */
+	function resolveAuditMode() {
+		if (config.auditMode === true) return true;
+
+		return readReviewerSwitch(AUDIT_PARAM, AUDIT_STORAGE_KEY);
+	}
+
+	/*
+	 * Final audit mode flag. Audit-only enhancement files are not loaded
+	 * or run unless this is true.
+	 */
+	const AUDIT_MODE = resolveAuditMode();
+
+	/*
+	 * Squarespace editor handling.
+	 *
+	 * The library normally does nothing inside the Squarespace editor
+	 * (/config and its sqs-site-frame preview). With config.editorMode set
+	 * to true it runs there in read-only mode instead:
+	 *   - only ENHANCEMENT_LIST entries marked readOnly are loaded and run
+	 *   - a read-only enhancement that changes the page anyway has its
+	 *     changes undone and is turned off
+	 *   - site-specific enhancement files are not loaded
+	 *   - results are shown in the compact review panel
+	 */
+	const EDITOR_MODE = config.editorMode === true;
+
 	/*
 	 * Manual version string for cache busting.
 	 * Change this when deploying updated script files.
@@ -103,7 +197,8 @@
 
 	/*
 	 * Order matters where one enhancement should generally run before another.
-	 * labelIssues appears before autocompleteEnhancer for that reason.
+	 * Use dependsOn to declare it, e.g. autocompleteEnhancer runs after
+	 * labelIssues. Enhancements without dependencies run in list order.
 	 */
 
 	const ENHANCEMENT_LIST = [
@@ -119,7 +214,7 @@
 		{ name: "linkPurposeEnhancer", wcag: "WCAG 2.4.4", debug: DEBUG },
 		{ name: "emptyButtons", wcag: "WCAG 1.1.1, 2.4.6, 4.1.2", debug: DEBUG },
 		{ name: "labelIssues", wcag: "WCAG 1.3.1, 2.4.6, 4.1.2", debug: DEBUG },
-		{ name: "autocompleteEnhancer", wcag: "WCAG 1.3.5", debug: DEBUG },
+		{ name: "autocompleteEnhancer", wcag: "WCAG 1.3.5", debug: DEBUG, dependsOn: ["labelIssues"] },
 		{ name: "contactLinkContext", wcag: "WCAG 1.3.1, 2.4.4, 3.1.5, 4.1.2", debug: DEBUG },
 		{ name: "pdfLinkEnhancer", wcag: "WCAG 2.4.4, 3.2.2", debug: DEBUG },
 		{ name: "formStatusAnnouncer", wcag: "WCAG 4.1.3", debug: DEBUG },
@@ -139,19 +234,138 @@
 		 * These enhancements are intended for review and remediation work only.
 		 * Excessive logging and warnings may be generated, causing performance issues
 		 * or false positives on complex Squarespace layouts.
+		 *
+		 * Entries marked audit: true are only loaded and run when audit mode is on
+		 * (config.auditMode, ?sqsA11yAudit=1, or the localStorage switch).
 		 */
 
 		// AUDIT-ONLY:
-		//{ name: "textSpacingAudit", wcag: "WCAG 1.4.12", debug: true },
-		//{ name: "headingAudit", wcag: "WCAG 1.3.1 / 2.4.6", debug: DEBUG },
+		// readOnly: true marks audits that never change the page. Only these
+		// run inside the Squarespace editor when config.editorMode is on.
+		{ name: "textSpacingAudit", wcag: "WCAG 1.4.12", debug: true, audit: true },
+		{ name: "headingAudit", wcag: "WCAG 1.3.1 / 2.4.6", debug: DEBUG, audit: true, readOnly: true },
+		{ name: "altTextAudit", wcag: "WCAG 1.1.1", debug: DEBUG, audit: true, readOnly: true },
+		{ name: "linkTextAudit", wcag: "WCAG 2.4.4", debug: DEBUG, audit: true, readOnly: true },
+		{ name: "contrastAudit", wcag: "WCAG 1.4.3", debug: DEBUG, audit: true, readOnly: true },
 
 	];
 
+	/*
+	 * Enhancements that may be loaded and run on this page load.
+	 * Audit-only entries are left out entirely unless audit mode is on, or
+	 * editor mode is on and the audit is read-only. In a bundled build,
+	 * remediation enhancements left out of the bundle are not available.
+	 * Audit-only enhancements that were not bundled are still requested
+	 * from BASE_URL when they can run.
+	 *
+	 * Whether the page is inside the Squarespace editor is only known once
+	 * the utilities have loaded; canRunHere() makes the final decision.
+	 */
+	const AVAILABLE_ENHANCEMENTS = ENHANCEMENT_LIST.filter(
+		(item) =>
+			(!item.audit || AUDIT_MODE || (EDITOR_MODE && item.readOnly)) &&
+			(!BUNDLE || item.audit || BUNDLED_MODULES.has(item.name)),
+	);
+
 	/*
 	 * Shared utilities used by one or more enhancement files.
 	 * sqsDomReadySignal is kept and used as the single page-ready source.
 	 */
-	const UTIL_LIST = [{ name: "squarespaceA11y-utils.js" }, { name: "squarespaceA11y-domReadySignal.js" }];
+	const UTIL_LIST = [
+		{ name: "squarespaceA11y-utils.js" },
+		{ name: "squarespaceA11y-i18n.js" },
+		{ name: "squarespaceA11y-accname.js" },
+		{ name: "squarespaceA11y-findings.js" },
+		{ name: "squarespaceA11y-export.js" },
+		{ name: "squarespaceA11y-baseline.js" },
+		{ name: "squarespaceA11y-telemetry.js" },
+		{ name: "squarespaceA11y-lifecycle.js" },
+		{ name: "squarespaceA11y-domReadySignal.js" },
+	];
+
+	// ===========================================================
+	// Module manifest
+	// ===========================================================
+
+	/**
+	 * buildManifest()
+	 * ------------------------------------------------------------
+	 * Describes every file the loader may request:
+	 *   { name, type, file, dependsOn, enhancement }
+	 *
+	 * Utility files only depend on what UTIL_LIST declares. Every enhancement
+	 * depends on all utility files, plus anything listed in its own dependsOn.
+	 * Dependencies that are not available on this page load (for example an
+	 * audit-only enhancement while audit mode is off) are ignored.
+	 */
+	function buildManifest() {
+		const utilNames = UTIL_LIST.map((item) => item.name);
+
+		const utils = UTIL_LIST.map((item) => ({
+			name: item.name,
+			type: "util",
+			file: BASE_URL + "utils/" + item.name,
+			dependsOn: toList(item.dependsOn),
+		}));
+
+		const enhancements = AVAILABLE_ENHANCEMENTS.map((item) => ({
+			name: item.name,
+			type: "enhancement",
+			file: BASE_URL + "enhancements/" + item.name + ".js",
+			dependsOn: utilNames.concat(toList(item.dependsOn)),
+			enhancement: item,
+		}));
+
+		return sortByDependencies(utils.concat(enhancements));
+	}
+
+	/**
+	 * sortByDependencies()
+	 * ------------------------------------------------------------
+	 * Orders manifest entries so each entry comes after its dependencies,
+	 * keeping list order where no dependency applies. Circular dependencies
+	 * are reported and the dependency that closes the loop is ignored.
+	 */
+	function sortByDependencies(entries) {
+		const byName = new Map(entries.map((entry) => [entry.name, entry]));
+		const visited = new Map();
+		const sorted = [];
+
+		function visit(entry, trail) {
+			const state = visited.get(entry.name);
+
+			if (state === "done") return;
+
+			if (state === "visiting") {
+				console.warn("[sqsA11y] Circular dependency ignored:", trail.concat(entry.name).join(" → "));
+				return;
+			}
+
+			visited.set(entry.name, "visiting");
+
+			entry.dependsOn.forEach((dependency) => {
+				if (byName.has(dependency)) visit(byName.get(dependency), trail.concat(entry.name));
+			});
+
+			visited.set(entry.name, "done");
+			sorted.push(entry);
+		}
+
+		entries.forEach((entry) => visit(entry, []));
+
+		return sorted;
+	}
+
+	/*
+	 * Manifest entries in dependency order.
+	 */
+	const MANIFEST = buildManifest();
+
+	/*
+	 * Enhancements in the order the runner calls them. Enhancements added
+	 * through window.sqsA11y.register() are merged in by updateRunOrder().
+	 */
+	const RUN_ORDER = MANIFEST.filter((entry) => entry.type === "enhancement").map((entry) => entry.enhancement);
 
 	// ===========================================================
 	// Script loader
@@ -200,7 +414,7 @@
 			}
 
 			const s = document.createElement("script");
-			s.src = url + "?v=" + encodeURIComponent(SCRIPT_VERSION);
+			s.src = url + (url.indexOf("?") === -1 ? "?" : "&") + "v=" + encodeURIComponent(SCRIPT_VERSION);
 			s.async = true;
 			s.setAttribute("data-sqs-a11y-src", url);
 
@@ -225,138 +439,1723 @@
 	}
 
 	/**
-	 * Load utility files first, then enhancement files.
+	 * Load every manifest file, requesting independent files in parallel.
 	 *
-	 * Utilities must load before enhancements because enhancement files may depend on
-	 * shared helper functions or the dom-ready signal utility.
+	 * A file is only requested after all of its dependencies have loaded, so
+	 * utilities always execute before enhancements, and enhancements with
+	 * dependsOn execute after the enhancements they depend on.
+	 *
+	 * A file that fails to load is reported and does not block its dependents.
 	 */
 	async function loadFiles() {
-		for (const utilFile of UTIL_LIST) {
-			try {
-				await loadScript(BASE_URL + "utils/" + utilFile.name);
-			} catch (e) {
-				console.error("[sqsA11y] Could not load utility file:", utilFile.name, e);
+		const loads = new Map();
+
+		for (const entry of MANIFEST) {
+			if (BUNDLED_MODULES.has(entry.name)) {
+				loads.set(entry.name, Promise.resolve());
+				continue;
 			}
+
+			const dependencies = entry.dependsOn
+				.filter((dependency) => loads.has(dependency))
+				.map((dependency) => loads.get(dependency));
+
+			/*
+			 * Enhancements depend on every utility file, so by the time they
+			 * are requested canRunHere() knows whether this is the editor.
+			 */
+			const promise = Promise.all(dependencies)
+				.then(() => {
+					if (entry.type === "enhancement" && !canRunHere(entry.enhancement)) return;
+					return loadScript(entry.file);
+				})
+				.catch((e) => {
+					if (entry.type === "enhancement") {
+						recordError(entry.name, new Error("Could not load " + entry.file), "load");
+						return;
+					}
+
+					console.error(`[sqsA11y] Could not load ${entry.type} file:`, entry.name, e);
+				});
+
+			loads.set(entry.name, promise);
 		}
 
-		for (const enhancementFile of ENHANCEMENT_LIST) {
-			try {
-				await loadScript(BASE_URL + "enhancements/" + enhancementFile.name + ".js");
-			} catch (e) {
-				console.error(
-					"[sqsA11y] Could not load enhancement file:",
-					enhancementFile.name + ".js?v=" + Date.now(),
-					e,
-				);
-			}
+		/*
+		 * Site-specific enhancement scripts from config.extraEnhancements
+		 * load once the utilities are available. Each one is expected to
+		 * call window.sqsA11y.register().
+		 */
+		const utilLoads = UTIL_LIST.map((item) => loads.get(item.name));
+
+		toList(config.extraEnhancements).forEach((url) => {
+			const promise = Promise.all(utilLoads)
+				.then(() => {
+					if (isReadOnlySession()) {
+						log("Extra enhancement file not loaded in editor mode:", url);
+						return;
+					}
+					return loadScript(url);
+				})
+				.catch((e) => {
+					console.error("[sqsA11y] Could not load extra enhancement file:", url, e);
+				});
+
+			loads.set("extra:" + url, promise);
+		});
+
+		await Promise.all(loads.values());
+	}
+
+	/*
+	 * Result of utils.isSquarespaceEditMode(), once the utilities have loaded.
+	 */
+	let inEditor = null;
+
+	/**
+	 * inSquarespaceEditor()
+	 * ------------------------------------------------------------
+	 * True inside the Squarespace editor. Returns false until the
+	 * utilities have loaded.
+	 */
+	function inSquarespaceEditor() {
+		if (inEditor === null) {
+			const utils = window.sqsA11y.utils || {};
+			if (typeof utils.isSquarespaceEditMode !== "function") return false;
+
+			inEditor = utils.isSquarespaceEditMode();
+			window.sqsA11y.editorMode = EDITOR_MODE && inEditor;
 		}
+
+		return inEditor;
+	}
+
+	/**
+	 * isReadOnlySession()
+	 * ------------------------------------------------------------
+	 * True when running read-only inside the Squarespace editor.
+	 */
+	function isReadOnlySession() {
+		return EDITOR_MODE && inSquarespaceEditor();
+	}
+
+	/**
+	 * canRunHere()
+	 * ------------------------------------------------------------
+	 * Whether an enhancement may be loaded and run in this session:
+	 * read-only entries in the editor, otherwise everything except
+	 * audit-only entries while audit mode is off.
+	 */
+	function canRunHere(item) {
+		if (isReadOnlySession()) return item.readOnly === true;
+
+		return !item.audit || AUDIT_MODE;
 	}
 
 	/**
 	 * stopIfSquarespaceEditMode()
 	 * ------------------------------------------------------------
 	 * Stops the full sqsA11y utility loader when running inside Squarespace
-	 * edit mode.
+	 * edit mode, unless editor mode allows read-only audits there.
 	 */
 	function stopIfSquarespaceEditMode(utils) {
-		if (!utils.isSquarespaceEditMode()) return false;
+		if (isReadOnlySession() || !utils.isSquarespaceEditMode()) return false;
 
-		console.warn("[sqsA11y] Accessibility Utilities skipped in Squarespace edit mode.");
+		console.warn(
+			"[sqsA11y] Accessibility Utilities skipped in Squarespace edit mode. Set editorMode: true to run read-only audits here.",
+		);
 
 		return true;
 	}
 
 	// ===========================================================
-	// Enhancement runner
+	// Enablement rules
 	// ===========================================================
 
 	/**
-	 * Run every registered enhancement when sqsDomReadySignal reports that
-	 * the page is ready for review and JavaScript-based adjustment.
+	 * toList()
+	 * ------------------------------------------------------------
+	 * Normalizes a single config value or array into an array.
+	 */
+	function toList(value) {
+		if (value === undefined || value === null || value === "") return [];
+		return Array.isArray(value) ? value : [value];
+	}
+
+	/**
+	 * globToRegExp()
+	 * ------------------------------------------------------------
+	 * Converts a URL path glob into a regular expression.
 	 *
-	 * @param {Object} detail
-	 * Provided by sqsDomReadySignal.
+	 *   *    matches within one path segment
+	 *   **   matches across segments
+	 *   /**  at the end also matches the parent path itself
+	 *   ?    matches one character within a segment
 	 */
-	function runAllEnhancements(detail) {
-		const utils = window.sqsA11y.utils || {};
+	function globToRegExp(glob) {
+		let pattern = String(glob).trim();
+		let suffix = "";
 
-		if (stopIfSquarespaceEditMode(utils)) return;
+		if (pattern.endsWith("/**")) {
+			pattern = pattern.slice(0, -3);
+			suffix = "(?:/.*)?";
+		}
 
-		utils.reportUpdate(
-			null,
-			"",
-			`DOM Ready Triggered:  ${detail.reason}, version: ${detail.version}`,
-			DEBUG,
-		);
+		const source = pattern
+			.split("**")
+			.map((part) =>
+				part
+					.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+					.replace(/\*/g, "[^/]*")
+					.replace(/\?/g, "[^/]"),
+			)
+			.join(".*");
 
-		for (const enhancement of ENHANCEMENT_LIST) {
-			const functionName = enhancement.name;
-			const enhancementFunction =
-				window.sqsA11y && window.sqsA11y.enhancements && window.sqsA11y.enhancements[functionName];
+		return new RegExp("^" + source + suffix + "/?$", "i");
+	}
 
-			/*
-			 * Allow site/page configuration to disable individual enhancements.
-			 */
-			if (
-				Array.isArray(config.excludeEnhancements) &&
-				config.excludeEnhancements.indexOf(enhancement.name) > -1
-			) {
-				continue;
-			}
+	/**
+	 * getPageContext()
+	 * ------------------------------------------------------------
+	 * Page details that rules are evaluated against. Read on every
+	 * readiness cycle so AJAX navigation picks up the new page.
+	 */
+	function getPageContext(utils) {
+		return {
+			path: window.location.pathname || "/",
+			collectionType:
+				typeof utils.getSquarespaceCollectionType === "function" ? utils.getSquarespaceCollectionType() : "",
+			bodyClasses: document.body ? Array.from(document.body.classList) : [],
+		};
+	}
 
-			/*
-			 * Skip if the expected enhancement function did not register properly.
-			 */
-			if (typeof enhancementFunction !== "function") {
-				console.warn("[sqsA11y] Enhancement function not found:", functionName);
-				continue;
-			}
+	/**
+	 * ruleMatches()
+	 * ------------------------------------------------------------
+	 * A rule matches when every condition it declares matches.
+	 * Each condition accepts a single value or an array of values,
+	 * any one of which may match. Rules without conditions never match.
+	 */
+	function ruleMatches(rule, context) {
+		const paths = toList(rule.path);
+		const collectionTypes = toList(rule.collectionType).map((type) => String(type).toLowerCase());
+		const bodyClasses = toList(rule.bodyClass);
 
-			try {
-				enhancementFunction({
-					name: enhancement.name,
-					wcag: enhancement.wcag,
-					debug: enhancement.debug,
-					detail: detail,
-				});
-			} catch (err) {
-				console.error("[sqsA11y] Error running enhancement:", functionName, err);
-			}
+		if (!paths.length && !collectionTypes.length && !bodyClasses.length) return false;
+
+		if (paths.length && !paths.some((glob) => globToRegExp(glob).test(context.path))) return false;
+
+		if (collectionTypes.length && !collectionTypes.includes(context.collectionType)) return false;
+
+		if (bodyClasses.length && !bodyClasses.some((className) => context.bodyClasses.includes(className))) {
+			return false;
 		}
+
+		return true;
+	}
+
+	/**
+	 * getActiveEnhancementNames()
+	 * ------------------------------------------------------------
+	 * Resolves which enhancements should run on the current page.
+	 *
+	 * Order:
+	 *   1. includeEnhancements, when set, limits the starting set
+	 *      (otherwise every available entry in ENHANCEMENT_LIST)
+	 *   2. excludeEnhancements removes names
+	 *   3. each matching rule, in order, adds its include names and
+	 *      removes its exclude names
+	 *   4. entries that cannot run in this session are removed (see
+	 *      canRunHere())
+	 */
+	function getActiveEnhancementNames(utils) {
+		const context = getPageContext(utils);
+		const include = toList(config.includeEnhancements);
+
+		const active = new Set(include.length ? include : AVAILABLE_ENHANCEMENTS.map((item) => item.name));
+
+		toList(config.excludeEnhancements).forEach((name) => active.delete(name));
+
+		toList(config.rules).forEach((rule, index) => {
+			if (!rule || typeof rule !== "object" || !ruleMatches(rule, context)) return;
+
+			toList(rule.include).forEach((name) => active.add(name));
+			toList(rule.exclude).forEach((name) => active.delete(name));
+
+			log(`Rule ${index} matched ${context.path}`, rule);
+		});
+
+		ENHANCEMENT_LIST.forEach((item) => {
+			if (active.has(item.name) && !canRunHere(item)) active.delete(item.name);
+		});
+
+		return active;
 	}
 
 	// ===========================================================
-	// DOM-ready watcher bootstrap
+	// Config validation
 	// ===========================================================
 
+	/*
+	 * Declared shape of window.sqsA11yConfig. Keys not listed here are
+	 * reported as unknown. Types: "boolean", "number", "string",
+	 * "function", "object", "array", and "null". values lists allowed
+	 * literal values in addition to the types.
+	 */
+	const CONFIG_SCHEMA = {
+		logging: { types: ["boolean"] },
+		auditMode: { types: ["boolean"] },
+		includeEnhancements: { types: ["array", "string"], names: true },
+		excludeEnhancements: { types: ["array", "string"], names: true },
+		rules: { types: ["array", "object"] },
+		enhancements: { types: ["object"] },
+		performanceBudget: { types: ["number", "object"] },
+		idleScheduling: { types: ["boolean"] },
+		extraEnhancements: { types: ["array", "string"] },
+		maxConsecutiveErrors: { types: ["number"] },
+		onError: { types: ["function", "null"] },
+		onFinding: { types: ["function", "null"] },
+		onCycleComplete: { types: ["function", "null"] },
+		beacon: { types: ["string", "object", "null"] },
+		reviewPanel: { types: ["boolean"], values: ["shortcut"] },
+		editorMode: { types: ["boolean"] },
+		locale: { types: ["string", "null"] },
+		strings: { types: ["object"] },
+		version: { types: ["string"] },
+	};
+
+	const RULE_KEYS = ["path", "collectionType", "bodyClass", "include", "exclude"];
+	const BEACON_KEYS = ["url", "sampleRate", "batchSize"];
+
+	/*
+	 * Config keys that were renamed. Reported with the new name.
+	 */
+	const RENAMED_CONFIG_KEYS = {
+		excludeFixes: "excludeEnhancements",
+	};
+
+	const TYPE_LABELS = {
+		boolean: "true or false",
+		number: "a number",
+		string: "a string",
+		function: "a function",
+		object: "an object",
+		array: "an array",
+		null: "null",
+	};
+
 	/**
-	 * Load all files, then subscribe once to the shared dom-ready utility.
-	 *
-	 * fireImmediately = true means:
-	 * if sqsDomReadySignal already fired before this subscription is attached,
-	 * the callback runs immediately with the latest ready state.
+	 * typeOf()
+	 * ------------------------------------------------------------
+	 * typeof, with arrays and null told apart from objects.
 	 */
-	async function initDomReadyWatcher() {
-		await loadFiles();
+	function typeOf(value) {
+		if (value === null) return "null";
+		if (Array.isArray(value)) return "array";
 
-		if (!window.sqsDomReadySignal || typeof window.sqsDomReadySignal.onReady !== "function") {
-			console.error("[sqsA11y] sqsDomReadySignal is not available.");
-			return;
+		return typeof value;
+	}
+
+	/**
+	 * editDistance()
+	 * ------------------------------------------------------------
+	 * Levenshtein distance between two strings, ignoring case.
+	 */
+	function editDistance(a, b) {
+		const left = a.toLowerCase();
+		const right = b.toLowerCase();
+		let previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+
+		for (let i = 1; i <= left.length; i++) {
+			const current = [i];
+
+			for (let j = 1; j <= right.length; j++) {
+				const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+				current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+			}
+
+			previous = current;
 		}
 
-		window.sqsDomReadySignal.onReady(function (detail) {
-			runAllEnhancements(detail);
-		}, true);
+		return previous[right.length];
 	}
 
-	// ===========================================================
-	// Public helpers
-	// ===========================================================
+	/**
+	 * closestMatch()
+	 * ------------------------------------------------------------
+	 * The candidate nearest to a mistyped name, or null when none is
+	 * close enough to be a likely typo.
+	 */
+	function closestMatch(value, candidates) {
+		const text = String(value);
+		const limit = Math.min(3, Math.max(1, Math.floor(text.length / 3)));
+		let best = null;
+		let bestDistance = Infinity;
+
+		candidates.forEach((candidate) => {
+			const distance = editDistance(text, candidate);
+
+			if (distance < bestDistance) {
+				best = candidate;
+				bestDistance = distance;
+			}
+		});
+
+		return bestDistance <= limit ? best : null;
+	}
 
 	/*
-	 * Expose loadFiles in case it is needed manually for debugging.
+	 * Set once loadFiles() has finished, so every extraEnhancements file
+	 * has had its chance to call window.sqsA11y.register().
 	 */
-	window.sqsA11yLoadFiles = loadFiles;
+	let filesLoaded = false;
+
+	/*
+	 * Enhancement names the startup warning reported as unknown, so a
+	 * later window.sqsA11y.register() call can say the warning no longer
+	 * applies.
+	 */
+	const warnedUnknownNames = new Set();
+
+	/**
+	 * queuedNames()
+	 * ------------------------------------------------------------
+	 * Names in window.sqsA11y.registerQueue that have not been
+	 * registered yet.
+	 */
+	function queuedNames() {
+		const queue = window.sqsA11y.registerQueue;
+		if (!Array.isArray(queue)) return [];
+
+		return queue
+			.map((definition) => definition && definition.name)
+			.filter((name) => typeof name === "string" && name.trim())
+			.map((name) => name.trim());
+	}
+
+	/**
+	 * validateConfig()
+	 * ------------------------------------------------------------
+	 * Checks a config object against CONFIG_SCHEMA, the enhancement
+	 * names in ENHANCEMENT_LIST, and the options each loaded enhancement
+	 * declares. Defaults to window.sqsA11yConfig.
+	 *
+	 * Names still waiting in window.sqsA11y.registerQueue count as known.
+	 * Until the extraEnhancements files have loaded, names that are not
+	 * known yet are not reported, since those files may register them.
+	 * Enhancement options can only be checked once the enhancement file
+	 * has loaded.
+	 *
+	 * @param {Object} [candidate]
+	 * @returns {{ valid: boolean, problems: Array<{ path: string, message: string, suggestion: string|null }> }}
+	 */
+	function validateConfig(candidate) {
+		const input = candidate === undefined ? window.sqsA11yConfig || {} : candidate;
+		const problems = [];
+		const names = ENHANCEMENT_LIST.map((item) => item.name).concat(queuedNames());
+		const namesPending = !filesLoaded && typeOf(input) === "object" && toList(input.extraEnhancements).length > 0;
+
+		const report = (path, message, suggestion) => {
+			problems.push({ path: path, message: message, suggestion: suggestion || null });
+		};
+
+		const expectType = (path, value, types, values) => {
+			if (types.includes(typeOf(value)) || (values && values.includes(value))) return true;
+
+			const expected = (values || [])
+				.map((item) => JSON.stringify(item))
+				.concat(types.map((type) => TYPE_LABELS[type]));
+
+			report(path, `Should be ${expected.join(" or ")}, got ${typeOf(value)}.`);
+			return false;
+		};
+
+		const checkNames = (path, value) => {
+			toList(value).forEach((name, index) => {
+				const itemPath = Array.isArray(value) ? `${path}[${index}]` : path;
+
+				if (typeof name !== "string") {
+					report(itemPath, `Should be an enhancement name, got ${typeOf(name)}.`);
+				} else if (!names.includes(name) && !namesPending) {
+					report(itemPath, `Unknown enhancement "${name}".`, closestMatch(name, names));
+				}
+			});
+		};
+
+		if (typeOf(input) !== "object") {
+			report("sqsA11yConfig", `Should be an object, got ${typeOf(input)}.`);
+			return { valid: false, problems: problems };
+		}
+
+		Object.keys(input).forEach((key) => {
+			const schema = CONFIG_SCHEMA[key];
+			const value = input[key];
+
+			if (!schema) {
+				if (RENAMED_CONFIG_KEYS[key]) {
+					report(key, `Renamed to "${RENAMED_CONFIG_KEYS[key]}".`);
+				} else {
+					report(key, "Unknown option.", closestMatch(key, Object.keys(CONFIG_SCHEMA)));
+				}
+				return;
+			}
+
+			if (!expectType(key, value, schema.types, schema.values)) return;
+
+			if (schema.names) checkNames(key, value);
+		});
+
+		// Values inside the options that accept objects and lists.
+		if (typeOf(input.rules) === "array" || typeOf(input.rules) === "object") {
+			toList(input.rules).forEach((rule, index) => {
+				const path = Array.isArray(input.rules) ? `rules[${index}]` : "rules";
+
+				if (!expectType(path, rule, ["object"])) return;
+
+				Object.keys(rule).forEach((key) => {
+					if (!RULE_KEYS.includes(key)) {
+						report(`${path}.${key}`, "Unknown rule key.", closestMatch(key, RULE_KEYS));
+					}
+				});
+
+				if (!["path", "collectionType", "bodyClass"].some((key) => toList(rule[key]).length)) {
+					report(path, "Has no path, collectionType, or bodyClass, so it never matches.");
+				}
+
+				checkNames(`${path}.include`, rule.include);
+				checkNames(`${path}.exclude`, rule.exclude);
+			});
+		}
+
+		if (typeOf(input.enhancements) === "object") {
+			Object.keys(input.enhancements).forEach((name) => {
+				const path = `enhancements.${name}`;
+				const options = input.enhancements[name];
+
+				if (!names.includes(name)) {
+					if (!namesPending) report(path, `Unknown enhancement "${name}".`, closestMatch(name, names));
+					return;
+				}
+
+				if (!expectType(path, options, ["object"])) return;
+
+				// Options are declared by the enhancement file, so they can only be checked once it has loaded.
+				const enhancementFunction = window.sqsA11y.enhancements[name];
+				if (typeof enhancementFunction !== "function") return;
+
+				const defaults = enhancementFunction.defaults || {};
+				const supported = Object.keys(defaults);
+
+				Object.keys(options).forEach((key) => {
+					if (!supported.includes(key)) {
+						report(
+							`${path}.${key}`,
+							supported.length ? "Unknown option for this enhancement." : "This enhancement has no options.",
+							closestMatch(key, supported),
+						);
+						return;
+					}
+
+					if (defaults[key] !== null && defaults[key] !== undefined && options[key] !== null) {
+						expectType(`${path}.${key}`, options[key], [typeOf(defaults[key])]);
+					}
+				});
+			});
+		}
+
+		if (typeOf(input.performanceBudget) === "object") {
+			Object.keys(input.performanceBudget).forEach((name) => {
+				const path = `performanceBudget.${name}`;
+
+				if (name !== "default" && !names.includes(name)) {
+					if (!namesPending) {
+						report(path, `Unknown enhancement "${name}".`, closestMatch(name, names.concat("default")));
+					}
+					return;
+				}
+
+				expectType(path, input.performanceBudget[name], ["number"]);
+			});
+		}
+
+		if (
+			typeof input.maxConsecutiveErrors === "number" &&
+			!(Number.isInteger(input.maxConsecutiveErrors) && input.maxConsecutiveErrors >= 0)
+		) {
+			report("maxConsecutiveErrors", "Should be a whole number of 0 or more.");
+		}
+
+		if (typeOf(input.extraEnhancements) === "array") {
+			input.extraEnhancements.forEach((url, index) => {
+				expectType(`extraEnhancements[${index}]`, url, ["string"]);
+			});
+		}
+
+		if (typeOf(input.beacon) === "object") {
+			const beacon = input.beacon;
+
+			Object.keys(beacon).forEach((key) => {
+				if (!BEACON_KEYS.includes(key)) {
+					report(`beacon.${key}`, "Unknown beacon option.", closestMatch(key, BEACON_KEYS));
+				}
+			});
+
+			if (typeof beacon.url !== "string" || !beacon.url.trim()) {
+				report("beacon.url", "Is required, so nothing is sent.");
+			}
+
+			if (
+				beacon.sampleRate !== undefined &&
+				!(typeof beacon.sampleRate === "number" && beacon.sampleRate >= 0 && beacon.sampleRate <= 1)
+			) {
+				report("beacon.sampleRate", "Should be a number from 0 to 1.");
+			}
+
+			if (beacon.batchSize !== undefined && !(Number.isInteger(beacon.batchSize) && beacon.batchSize > 0)) {
+				report("beacon.batchSize", "Should be a whole number of 1 or more.");
+			}
+		}
+
+		const i18n = window.sqsA11y.i18n;
+
+		if (typeof input.locale === "string" && i18n && typeof i18n.locales === "function") {
+			const locales = i18n.locales();
+			const language = input.locale.trim().toLowerCase().split(/[-_]/)[0];
+
+			if (!locales.includes(input.locale.trim().toLowerCase()) && !locales.includes(language)) {
+				report(
+					"locale",
+					`No strings for "${input.locale}". The page language or English is used.`,
+					closestMatch(language, locales),
+				);
+			}
+		}
+
+		if (typeOf(input.strings) === "object" && i18n && typeof i18n.keys === "function") {
+			const keys = i18n.keys();
+
+			Object.keys(input.strings).forEach((key) => {
+				if (!keys.includes(key)) {
+					report(`strings.${key}`, "Unknown string key.", closestMatch(key, keys));
+				} else {
+					expectType(`strings.${key}`, input.strings[key], ["string", "array"]);
+				}
+			});
+		}
+
+		return { valid: problems.length === 0, problems: problems };
+	}
+
+	/**
+	 * warnAboutConfig()
+	 * ------------------------------------------------------------
+	 * Logs every config problem in one warning when logging is on.
+	 */
+	function warnAboutConfig() {
+		if (!DEBUG) return;
+
+		const result = validateConfig();
+		if (result.valid) return;
+
+		const lines = result.problems.map((problem) => {
+			const hint = problem.suggestion ? ` Did you mean "${problem.suggestion}"?` : "";
+			return `  - ${problem.path}: ${problem.message}${hint}`;
+		});
+
+		console.warn(
+			[`[sqsA11y] window.sqsA11yConfig has ${result.problems.length} problem(s). These settings may be ignored:`]
+				.concat(lines)
+				.join("\n"),
+		);
+
+		// Unknown enhancement options were listed here, so the runner does not warn about them again.
+		result.problems.forEach((problem) => {
+			const unknownName = problem.message.match(/^Unknown enhancement "(.+)"\.$/);
+			if (unknownName) warnedUnknownNames.add(unknownName[1]);
+
+			const match = problem.path.match(/^enhancements\.([^.]+)\.(.+)$/);
+			const enhancementFunction = match && window.sqsA11y.enhancements[match[1]];
+			const defaults = (enhancementFunction && enhancementFunction.defaults) || {};
+
+			if (enhancementFunction && !Object.prototype.hasOwnProperty.call(defaults, match[2])) {
+				warnedOptionKeys.add(match[1] + "." + match[2]);
+			}
+		});
+	}
+
+	// ===========================================================
+	// Performance stats
+	// ===========================================================
+
+	/*
+	 * When true, each enhancement waits for an idle period before it runs,
+	 * and enhancements that process long lists (see utils.processInChunks)
+	 * split the work across idle periods.
+	 */
+	const IDLE_SCHEDULING = config.idleScheduling === true;
+
+	/*
+	 * Per-enhancement totals since page load, plus the most recent cycle.
+	 * Read through window.sqsA11y.stats().
+	 */
+	const stats = {
+		cycles: 0,
+		enhancements: new Map(),
+		lastCycle: null,
+	};
+
+	/**
+	 * now()
+	 * ------------------------------------------------------------
+	 * High resolution time where available.
+	 */
+	function now() {
+		return window.performance && typeof window.performance.now === "function"
+			? window.performance.now()
+			: Date.now();
+	}
+
+	/**
+	 * measure()
+	 * ------------------------------------------------------------
+	 * Adds a User Timing measure between two marks so enhancement runs
+	 * show up in the browser's performance tools, then clears the entries
+	 * so repeated cycles do not fill the performance timeline.
+	 */
+	function measure(label, startMark) {
+		const perf = window.performance;
+
+		if (!perf || typeof perf.mark !== "function" || typeof perf.measure !== "function") return;
+
+		try {
+			perf.mark(label + ":end");
+			perf.measure(label, startMark, label + ":end");
+			perf.clearMarks(startMark);
+			perf.clearMarks(label + ":end");
+			perf.clearMeasures(label);
+		} catch (err) {}
+	}
+
+	/**
+	 * mark()
+	 * ------------------------------------------------------------
+	 * Starts a User Timing mark and returns its name.
+	 */
+	function mark(label) {
+		const name = label + ":start";
+
+		try {
+			if (window.performance && typeof window.performance.mark === "function") window.performance.mark(name);
+		} catch (err) {}
+
+		return name;
+	}
+
+	/**
+	 * getBudget()
+	 * ------------------------------------------------------------
+	 * config.performanceBudget is a number of milliseconds for every
+	 * enhancement, or an object of per-enhancement budgets with an
+	 * optional default:
+	 *   { default: 50, textSpacingAudit: 250 }
+	 */
+	function getBudget(name) {
+		const budget = config.performanceBudget;
+
+		if (budget && typeof budget === "object") {
+			if (typeof budget[name] === "number") return budget[name];
+			return typeof budget.default === "number" ? budget.default : 50;
+		}
+
+		return typeof budget === "number" ? budget : 50;
+	}
+
+	/**
+	 * countChangedElements()
+	 * ------------------------------------------------------------
+	 * Number of distinct elements changed by journal entries.
+	 */
+	function countChangedElements(entries) {
+		const elements = new Set();
+
+		entries.forEach((entry) => {
+			const node = entry.type === "added" || entry.type === "removed" ? entry.node : entry.target;
+			const element = node && node.nodeType === 1 ? node : entry.parent || (node && node.parentNode);
+
+			if (element) elements.add(element);
+		});
+
+		return elements.size;
+	}
+
+	/**
+	 * recordRun()
+	 * ------------------------------------------------------------
+	 * Adds one enhancement run to the totals and to the current cycle.
+	 * Warns in debug mode when the run took longer than its budget.
+	 */
+	function recordRun(cycle, name, duration, elements) {
+		const budget = getBudget(name);
+		const overBudget = duration > budget;
+
+		let totals = stats.enhancements.get(name);
+
+		if (!totals) {
+			totals = { name: name, runs: 0, totalDuration: 0, maxDuration: 0, totalElements: 0, overBudget: 0 };
+			stats.enhancements.set(name, totals);
+		}
+
+		totals.runs++;
+		totals.totalDuration += duration;
+		totals.maxDuration = Math.max(totals.maxDuration, duration);
+		totals.lastDuration = duration;
+		totals.totalElements += elements;
+		totals.lastElements = elements;
+		if (overBudget) totals.overBudget++;
+
+		if (cycle) {
+			cycle.enhancements.push({ name: name, duration: duration, elements: elements, overBudget: overBudget });
+		}
+
+		if (overBudget && DEBUG) {
+			console.warn(
+				`[sqsA11y] ${name} took ${duration.toFixed(1)} ms (budget ${budget} ms) and changed ${elements} element(s).`,
+			);
+		}
+	}
+
+	/**
+	 * getStats()
+	 * ------------------------------------------------------------
+	 * Returns a copy of the collected timings, slowest enhancement first.
+	 */
+	function getStats() {
+		return {
+			cycles: stats.cycles,
+			idleScheduling: IDLE_SCHEDULING,
+			lastCycle: stats.lastCycle
+				? Object.assign({}, stats.lastCycle, {
+						enhancements: stats.lastCycle.enhancements.map((run) => Object.assign({}, run)),
+					})
+				: null,
+			enhancements: Array.from(stats.enhancements.values())
+				.map((totals) =>
+					Object.assign({}, totals, {
+						budget: getBudget(totals.name),
+						averageDuration: totals.totalDuration / totals.runs,
+					}),
+				)
+				.sort((a, b) => b.totalDuration - a.totalDuration),
+		};
+	}
+
+	/**
+	 * resetStats()
+	 * ------------------------------------------------------------
+	 * Clears collected timings.
+	 */
+	function resetStats() {
+		stats.cycles = 0;
+		stats.enhancements.clear();
+		stats.lastCycle = null;
+	}
+
+	// ===========================================================
+	// Error log
+	// ===========================================================
+
+	/*
+	 * An enhancement that throws on this many readiness cycles in a row is
+	 * disabled for the rest of the page session. 0 turns this off.
+	 */
+	const MAX_CONSECUTIVE_ERRORS =
+		typeof config.maxConsecutiveErrors === "number" && config.maxConsecutiveErrors >= 0
+			? config.maxConsecutiveErrors
+			: 3;
+
+	/*
+	 * Oldest error entries are dropped once this many are stored.
+	 */
+	const MAX_ERROR_ENTRIES = 100;
+
+	const errorLog = [];
+	const consecutiveErrors = new Map();
+	let nextErrorId = 1;
+
+	/**
+	 * recordError()
+	 * ------------------------------------------------------------
+	 * Logs an enhancement error, adds it to the error log, and passes it
+	 * to config.onError.
+	 *
+	 * Errors from init() and apply count towards the enhancement's
+	 * consecutive error limit; reaching the limit disables it. Load and
+	 * destroy() errors are logged but not counted.
+	 *
+	 * @param {string} name     Enhancement name
+	 * @param {*} err           Thrown value or rejection reason
+	 * @param {string} phase    "load", "init", "apply", or "destroy"
+	 * @param {Object} [detail] sqsDomReadySignal detail for the cycle
+	 */
+	function recordError(name, err, phase, detail) {
+		console.error(`[sqsA11y] Error in ${phase} for enhancement:`, name, err);
+
+		const counted = phase === "init" || phase === "apply";
+		const consecutive = counted ? (consecutiveErrors.get(name) || 0) + 1 : 0;
+
+		if (counted) consecutiveErrors.set(name, consecutive);
+
+		const entry = {
+			id: nextErrorId++,
+			enhancement: name,
+			phase: phase,
+			message: err && err.message ? String(err.message) : String(err && err.type ? err.type : err),
+			stack: err && err.stack ? String(err.stack) : null,
+			reason: detail ? detail.reason : null,
+			cycle: detail ? detail.version : null,
+			url: window.location.href,
+			timestamp: Date.now(),
+			consecutive: consecutive,
+			disabled: counted && MAX_CONSECUTIVE_ERRORS > 0 && consecutive >= MAX_CONSECUTIVE_ERRORS,
+		};
+
+		errorLog.push(entry);
+		if (errorLog.length > MAX_ERROR_ENTRIES) errorLog.shift();
+
+		if (entry.disabled) {
+			console.warn(
+				`[sqsA11y] ${name} was disabled after ${consecutive} consecutive errors. Call window.sqsA11y.enable("${name}") to try it again.`,
+			);
+			disableEnhancement(name);
+		}
+
+		if (typeof config.onError === "function") {
+			try {
+				config.onError(Object.assign({}, entry));
+			} catch (hookErr) {
+				console.error("[sqsA11y] onError hook failed:", hookErr);
+			}
+		}
+	}
+
+	/**
+	 * recordSuccess()
+	 * ------------------------------------------------------------
+	 * A run without errors resets the consecutive error count.
+	 */
+	function recordSuccess(name) {
+		consecutiveErrors.delete(name);
+	}
+
+	/**
+	 * getErrors()
+	 * ------------------------------------------------------------
+	 * Returns copies of logged errors, oldest first. Optional filter keys:
+	 * enhancement (name or array of names) and phase.
+	 */
+	function getErrors(filter) {
+		const opts = filter || {};
+		const names = toList(opts.enhancement);
+		const phases = toList(opts.phase);
+
+		return errorLog
+			.filter((entry) => !names.length || names.includes(entry.enhancement))
+			.filter((entry) => !phases.length || phases.includes(entry.phase))
+			.map((entry) => Object.assign({}, entry));
+	}
+
+	/**
+	 * clearErrors()
+	 * ------------------------------------------------------------
+	 * Empties the error log. Consecutive error counts are kept.
+	 */
+	function clearErrors() {
+		errorLog.length = 0;
+	}
+
+	// ===========================================================
+	// Enhancement runner
+	// ===========================================================
+
+	/*
+	 * Unknown option keys already warned about, so repeated readiness
+	 * cycles do not repeat the same warning.
+	 */
+	const warnedOptionKeys = new Set();
+
+	/**
+	 * getEnhancementSettings()
+	 * ------------------------------------------------------------
+	 * Merges site/page options from config.enhancements[name] over the
+	 * defaults declared by the enhancement module.
+	 *
+	 * Modules declare supported options and defaults on the registered
+	 * function:
+	 *   window.sqsA11y.enhancements.myEnhancement.defaults = { ... };
+	 *
+	 * Keys the module does not declare are ignored, with a warning in debug mode.
+	 */
+	function getEnhancementSettings(name, enhancementFunction) {
+		const defaults = enhancementFunction.defaults || {};
+		const overrides = (config.enhancements && config.enhancements[name]) || {};
+		const settings = Object.assign({}, defaults);
+
+		Object.keys(overrides).forEach((key) => {
+			if (Object.prototype.hasOwnProperty.call(defaults, key)) {
+				settings[key] = overrides[key];
+				return;
+			}
+
+			if (!DEBUG || warnedOptionKeys.has(name + "." + key)) return;
+			warnedOptionKeys.add(name + "." + key);
+
+			const supported = Object.keys(defaults);
+			console.warn(
+				`[sqsA11y] Unknown option "${key}" for enhancement "${name}".`,
+				supported.length ? `Supported options: ${supported.join(", ")}` : "This enhancement has no options.",
+			);
+		});
+
+		return settings;
+	}
+
+	/*
+	 * Detail from the most recent readiness cycle, used when an
+	 * enhancement is enabled again at runtime.
+	 */
+	let lastDetail = null;
+
+	/*
+	 * True after window.sqsA11y.revert(), until reapply(). Readiness
+	 * cycles are skipped so the page stays in its original state.
+	 */
+	let reverted = false;
+
+	/**
+	 * rejectEditorChanges()
+	 * ------------------------------------------------------------
+	 * Read-only enhancements must leave the page exactly as it was. When
+	 * one has journaled DOM changes in editor mode, the error is logged,
+	 * and the enhancement is turned off, which undoes the changes.
+	 * Returns true when changes were found.
+	 */
+	function rejectEditorChanges(name, lifecycle, detail) {
+		const count = lifecycle.journal.length;
+		if (!count) return false;
+
+		recordError(name, new Error(`Made ${count} change(s) to the page in editor mode. They were undone.`), "apply", detail);
+		disableEnhancement(name);
+
+		return true;
+	}
+
+	/**
+	 * runEnhancement()
+	 * ------------------------------------------------------------
+	 * Runs one enhancement through its lifecycle:
+	 *   - init(options) once, before the first run
+	 *   - the enhancement function itself (apply) on every cycle
+	 *
+	 * DOM changes made during both steps are journaled so
+	 * window.sqsA11y.disable(name) can undo them.
+	 *
+	 * options.roots limits the work to content added since the last
+	 * cycle. It is [document] on full-scan cycles such as navigation, and
+	 * on the enhancement's first run.
+	 *
+	 * The enhancement may return a Promise for work it finishes later, such
+	 * as an audit split into idle chunks. The run is timed until it settles.
+	 * Returns that Promise, or nothing for synchronous runs.
+	 *
+	 * In editor mode only read-only entries run, and their journal is
+	 * checked before and after every run (see rejectEditorChanges()).
+	 *
+	 * @param {Object} enhancement
+	 * @param {Object} detail
+	 * @param {Object} [cycle] Stats for the current readiness cycle
+	 */
+	function runEnhancement(enhancement, detail, cycle) {
+		const functionName = enhancement.name;
+		const enhancementFunction =
+			window.sqsA11y && window.sqsA11y.enhancements && window.sqsA11y.enhancements[functionName];
+
+		/*
+		 * Skip if the expected enhancement function did not register properly.
+		 */
+		if (typeof enhancementFunction !== "function") {
+			console.warn("[sqsA11y] Enhancement function not found:", functionName);
+			return;
+		}
+
+		const lifecycle = window.sqsA11y.lifecycle.get(functionName);
+
+		if (lifecycle.disabled) return;
+
+		if (isReadOnlySession() && (!enhancement.readOnly || rejectEditorChanges(functionName, lifecycle, detail))) {
+			return;
+		}
+
+		const options = {
+			name: enhancement.name,
+			wcag: enhancement.wcag,
+			debug: enhancement.debug,
+			detail: detail,
+			settings: getEnhancementSettings(functionName, enhancementFunction),
+			lifecycle: lifecycle,
+			roots: detail.fullScan === false && lifecycle.initialized ? detail.roots : [document],
+			idle: IDLE_SCHEDULING,
+		};
+
+		const label = "sqsA11y:" + functionName;
+		const startMark = mark(label);
+		const start = now();
+		const journalStart = lifecycle.journal.length;
+
+		const finish = function (failed) {
+			measure(label, startMark);
+			recordRun(cycle, functionName, now() - start, countChangedElements(lifecycle.journal.slice(journalStart)));
+
+			if (isReadOnlySession() && rejectEditorChanges(functionName, lifecycle, detail)) return;
+			if (!failed) recordSuccess(functionName);
+		};
+
+		let phase = "apply";
+		let result;
+
+		try {
+			result = lifecycle.record(() => {
+				if (!lifecycle.initialized) {
+					lifecycle.initialized = true;
+
+					if (typeof enhancementFunction.init === "function") {
+						phase = "init";
+						enhancementFunction.init(options);
+						phase = "apply";
+					}
+				}
+
+				return enhancementFunction(options);
+			});
+		} catch (err) {
+			recordError(functionName, err, phase, detail);
+			finish(true);
+			return;
+		}
+
+		if (result && typeof result.then === "function") {
+			return Promise.resolve(result).then(
+				() => finish(false),
+				(err) => {
+					recordError(functionName, err, "apply", detail);
+					finish(true);
+				},
+			);
+		}
+
+		finish(false);
+	}
+
+	/**
+	 * Run every registered enhancement when sqsDomReadySignal reports that
+	 * the page is ready for review and JavaScript-based adjustment.
+	 *
+	 * Enhancements run one at a time in RUN_ORDER. An enhancement that
+	 * returns a Promise is awaited before the next one starts. With
+	 * idleScheduling, each enhancement also waits for an idle period.
+	 *
+	 * @param {Object} detail
+	 * Provided by sqsDomReadySignal.
+	 * @returns {Promise<void>}
+	 */
+	async function runAllEnhancements(detail) {
+		const utils = window.sqsA11y.utils || {};
+
+		if (stopIfSquarespaceEditMode(utils)) return;
+
+		if (!window.sqsA11y.lifecycle) {
+			console.error("[sqsA11y] Enhancement lifecycle is not available.");
+			return;
+		}
+
+		lastDetail = detail;
+
+		if (reverted) {
+			log("Enhancements are reverted. Skipping cycle:", detail.reason);
+			return;
+		}
+
+		// The previous page's nodes are gone; stop holding them in the journals.
+		if (detail.navigation) window.sqsA11y.lifecycle.prune();
+
+		utils.reportUpdate(
+			null,
+			"",
+			`DOM Ready Triggered:  ${detail.reason}, version: ${detail.version}`,
+			DEBUG,
+		);
+
+		const activeEnhancements = getActiveEnhancementNames(utils);
+
+		const cycle = {
+			version: detail.version,
+			reason: detail.reason,
+			fullScan: detail.fullScan !== false,
+			duration: 0,
+			enhancements: [],
+		};
+
+		const cycleMark = mark("sqsA11y:cycle");
+		const start = now();
+
+		stats.cycles++;
+		stats.lastCycle = cycle;
+
+		for (const enhancement of RUN_ORDER) {
+			/*
+			 * Allow site/page configuration and enablement rules to disable
+			 * individual enhancements for the current page.
+			 */
+			if (!activeEnhancements.has(enhancement.name)) {
+				continue;
+			}
+
+			if (IDLE_SCHEDULING) await utils.whenIdle();
+
+			// revert() may have been called while waiting.
+			if (reverted) break;
+
+			const pending = runEnhancement(enhancement, detail, cycle);
+			if (pending) await pending;
+		}
+
+		cycle.duration = now() - start;
+		measure("sqsA11y:cycle", cycleMark);
+	}
+
+	/**
+	 * callDestroyHook()
+	 * ------------------------------------------------------------
+	 * Calls the enhancement's own destroy(options), if it declares one
+	 * and has been initialized.
+	 */
+	function callDestroyHook(enhancement, lifecycle) {
+		const enhancementFunction = window.sqsA11y.enhancements[enhancement.name];
+
+		if (!lifecycle.initialized || !enhancementFunction || typeof enhancementFunction.destroy !== "function") {
+			return;
+		}
+
+		try {
+			enhancementFunction.destroy({
+				name: enhancement.name,
+				wcag: enhancement.wcag,
+				debug: enhancement.debug,
+				lifecycle: lifecycle,
+			});
+		} catch (err) {
+			recordError(enhancement.name, err, "destroy", lastDetail);
+		}
+	}
+
+	/**
+	 * disableEnhancement()
+	 * ------------------------------------------------------------
+	 * Stops an enhancement from running on later cycles and undoes what
+	 * it has done so far: the module's own destroy(), then its tracked
+	 * listeners and observers, then its journaled DOM changes.
+	 */
+	function disableEnhancement(name) {
+		const enhancement = RUN_ORDER.find((item) => item.name === name);
+
+		if (!enhancement || !window.sqsA11y.lifecycle) {
+			console.warn("[sqsA11y] Cannot disable unknown enhancement:", name);
+			return false;
+		}
+
+		const lifecycle = window.sqsA11y.lifecycle.get(name);
+
+		if (lifecycle.disabled) return true;
+
+		lifecycle.disabled = true;
+
+		callDestroyHook(enhancement, lifecycle);
+		lifecycle.destroy();
+
+		log("Disabled enhancement:", name);
+		return true;
+	}
+
+	/**
+	 * enableEnhancement()
+	 * ------------------------------------------------------------
+	 * Lets a disabled enhancement run again and applies it straight away
+	 * when the page has already been through a readiness cycle.
+	 */
+	function enableEnhancement(name) {
+		const enhancement = RUN_ORDER.find((item) => item.name === name);
+
+		if (!enhancement || !window.sqsA11y.lifecycle) {
+			console.warn("[sqsA11y] Cannot enable unknown enhancement:", name);
+			return false;
+		}
+
+		const lifecycle = window.sqsA11y.lifecycle.get(name);
+
+		if (!lifecycle.disabled) return true;
+
+		lifecycle.disabled = false;
+		consecutiveErrors.delete(name);
+
+		if (lastDetail && !reverted && getActiveEnhancementNames(window.sqsA11y.utils || {}).has(name)) {
+			runEnhancement(enhancement, lastDetail);
+		}
+
+		log("Enabled enhancement:", name);
+		return true;
+	}
+
+	/**
+	 * revertAll()
+	 * ------------------------------------------------------------
+	 * Restores the page to its state before any enhancement ran, so
+	 * reviewers can compare with and without fixes without reloading.
+	 *
+	 * Every enhancement's listeners and observers are removed and all
+	 * journaled DOM changes are undone, newest first. Readiness cycles
+	 * are skipped until reapply() is called.
+	 */
+	function revertAll() {
+		if (!window.sqsA11y.lifecycle) return 0;
+
+		reverted = true;
+
+		const names = RUN_ORDER.map((item) => item.name);
+
+		RUN_ORDER.slice()
+			.reverse()
+			.forEach((enhancement) => {
+				callDestroyHook(enhancement, window.sqsA11y.lifecycle.get(enhancement.name));
+			});
+
+		const count = window.sqsA11y.lifecycle.destroyAll(names);
+
+		log(`Reverted ${count} recorded DOM change(s).`);
+		return count;
+	}
+
+	/**
+	 * reapplyAll()
+	 * ------------------------------------------------------------
+	 * Ends the reverted state and runs the enhancements again against
+	 * the current page.
+	 */
+	function reapplyAll() {
+		reverted = false;
+
+		if (lastDetail) {
+			runAllEnhancements(Object.assign({}, lastDetail, { reason: "reapply", fullScan: true, roots: [] }));
+		}
+	}
+
+	// ===========================================================
+	// Site-specific enhancements
+	// ===========================================================
+
+	/*
+	 * Enhancements registered through window.sqsA11y.register() that can
+	 * run on this page load, in registration order.
+	 */
+	const REGISTERED_ENHANCEMENTS = [];
+
+	/**
+	 * updateRunOrder()
+	 * ------------------------------------------------------------
+	 * Rebuilds RUN_ORDER with registered enhancements included.
+	 *
+	 * Registered remediations go after the built-in remediations and
+	 * before the audit-only enhancements; registered audits go last.
+	 * "after" and "before" then move entries using the same dependency
+	 * sort as the manifest.
+	 */
+	function updateRunOrder() {
+		const builtIn = MANIFEST.filter((entry) => entry.type === "enhancement").map((entry) => entry.enhancement);
+		const firstAudit = builtIn.findIndex((item) => item.audit);
+		const splitAt = firstAudit === -1 ? builtIn.length : firstAudit;
+
+		const list = builtIn
+			.slice(0, splitAt)
+			.concat(REGISTERED_ENHANCEMENTS.filter((item) => !item.audit))
+			.concat(builtIn.slice(splitAt))
+			.concat(REGISTERED_ENHANCEMENTS.filter((item) => item.audit));
+
+		const entries = list.map((item) => ({ name: item.name, dependsOn: toList(item.dependsOn), enhancement: item }));
+
+		REGISTERED_ENHANCEMENTS.forEach((item) => {
+			toList(item.before).forEach((name) => {
+				const entry = entries.find((candidate) => candidate.name === name);
+				if (entry) entry.dependsOn = entry.dependsOn.concat(item.name);
+			});
+		});
+
+		RUN_ORDER.splice(0, RUN_ORDER.length, ...sortByDependencies(entries).map((entry) => entry.enhancement));
+	}
+
+	/**
+	 * registerEnhancement()
+	 * ------------------------------------------------------------
+	 * Adds a site-specific enhancement without editing ENHANCEMENT_LIST.
+	 *
+	 * Registered enhancements receive the same options, settings,
+	 * lifecycle, readiness cycles, enablement rules, and findings as the
+	 * built-in ones. If the page has already been through a readiness
+	 * cycle, the enhancement runs straight away.
+	 *
+	 * @param {Object} definition
+	 * @param {string} definition.name      Unique enhancement name
+	 * @param {Function} definition.run     Called on every readiness cycle (apply)
+	 * @param {string} [definition.wcag]    e.g. "WCAG 2.4.4"
+	 * @param {string} [definition.kind]    "remediation" (default) or "audit"
+	 * @param {string|string[]} [definition.after]   Run after these enhancements
+	 * @param {string|string[]} [definition.before]  Run before these enhancements
+	 * @param {Function} [definition.init]     Lifecycle init hook
+	 * @param {Function} [definition.destroy]  Lifecycle destroy hook
+	 * @param {Object} [definition.defaults]   Options for config.enhancements[name]
+	 * @param {boolean} [definition.readOnly]  Never changes the page, so it may run in editor mode
+	 * @param {boolean} [definition.debug]     Defaults to the logging setting
+	 * @returns {boolean} true when registered
+	 */
+	function registerEnhancement(definition) {
+		const item = definition || {};
+		const name = typeof item.name === "string" ? item.name.trim() : "";
+
+		if (!name || typeof item.run !== "function") {
+			console.warn("[sqsA11y] Cannot register enhancement: a name and a run function are required.", definition);
+			return false;
+		}
+
+		if (item.kind !== undefined && item.kind !== "remediation" && item.kind !== "audit") {
+			console.warn(`[sqsA11y] Cannot register enhancement "${name}": kind must be "remediation" or "audit".`);
+			return false;
+		}
+
+		if (ENHANCEMENT_LIST.some((existing) => existing.name === name)) {
+			console.warn(`[sqsA11y] Cannot register enhancement "${name}": the name is already in use.`);
+			return false;
+		}
+
+		const enhancement = {
+			name: name,
+			wcag: item.wcag || "",
+			debug: typeof item.debug === "boolean" ? item.debug : DEBUG,
+			audit: item.kind === "audit",
+			dependsOn: toList(item.after),
+			before: toList(item.before),
+			readOnly: item.readOnly === true,
+			registered: true,
+		};
+
+		const enhancementFunction = function (options) {
+			return item.run(options);
+		};
+
+		if (typeof item.init === "function") enhancementFunction.init = item.init;
+		if (typeof item.destroy === "function") enhancementFunction.destroy = item.destroy;
+		if (item.defaults && typeof item.defaults === "object") enhancementFunction.defaults = item.defaults;
+
+		window.sqsA11y.enhancements[name] = enhancementFunction;
+
+		// Listed for findings and exports even when it cannot run here.
+		ENHANCEMENT_LIST.push(enhancement);
+
+		if (warnedUnknownNames.delete(name)) {
+			log(`"${name}" was reported as an unknown enhancement at startup. It is registered now.`);
+		}
+
+		if (!canRunHere(enhancement)) {
+			log(
+				isReadOnlySession()
+					? "Registered enhancement (not read-only, so it does not run in editor mode):"
+					: "Registered audit-only enhancement (audit mode is off):",
+				name,
+			);
+			return true;
+		}
+
+		AVAILABLE_ENHANCEMENTS.push(enhancement);
+		REGISTERED_ENHANCEMENTS.push(enhancement);
+		updateRunOrder();
+
+		log("Registered enhancement:", name);
+
+		if (lastDetail && !reverted && getActiveEnhancementNames(window.sqsA11y.utils || {}).has(name)) {
+			runEnhancement(enhancement, lastDetail);
+		}
+
+		return true;
+	}
+
+	/**
+	 * getEnhancementStatus()
+	 * ------------------------------------------------------------
+	 * Describes every entry in ENHANCEMENT_LIST for the current page:
+	 *   - available: can run on this page load (audit-only entries
+	 *     need audit mode; in editor mode only read-only entries can run)
+	 *   - readOnly: never changes the page
+	 *   - loaded: its file registered the enhancement function
+	 *   - active: enablement config and rules allow it on this page
+	 *   - disabled: turned off with disable() or by repeated errors
+	 */
+	function getEnhancementStatus() {
+		const active = getActiveEnhancementNames(window.sqsA11y.utils || {});
+
+		return ENHANCEMENT_LIST.map((item) => {
+			const available = RUN_ORDER.includes(item) && canRunHere(item);
+
+			return {
+				name: item.name,
+				wcag: item.wcag || "",
+				kind: item.audit ? "audit" : "remediation",
+				readOnly: item.readOnly === true,
+				registered: item.registered === true,
+				available: available,
+				loaded: typeof window.sqsA11y.enhancements[item.name] === "function",
+				active: available && active.has(item.name),
+				disabled: !!(window.sqsA11y.lifecycle && window.sqsA11y.lifecycle.get(item.name).disabled),
+			};
+		});
+	}
+
+	// ===========================================================
+	// Reviewer tools
+	// ===========================================================
+
+	/*
+	 * The review panel and the change overlay are separate files, loaded
+	 * only when a reviewer turns them on.
+	 *
+	 * Review panel:
+	 *   - config.reviewPanel = true opens it on every page load
+	 *   - ?sqsA11yPanel=1 opens it and keeps it open across pages
+	 *     (?sqsA11yPanel=0 turns that off again)
+	 *   - Alt+Shift+A toggles it
+	 *
+	 * Change overlay:
+	 *   - ?sqsA11yOverlay=1 shows it and keeps it on across pages
+	 *     (?sqsA11yOverlay=0 turns that off again)
+	 *   - the switch in the review panel, or window.sqsA11y.toggleOverlay()
+	 *
+	 * In editor mode the compact, read-only panel opens on every page load
+	 * instead, without taking focus from the editor.
+	 *
+	 * config.reviewPanel = false turns off the shortcut and URL switches,
+	 * and the editor mode panel.
+	 */
+	const REVIEWER_TOOLS = {
+		panel: { file: "squarespaceA11y-reviewPanel.js", api: "reviewPanel", param: "sqsA11yPanel" },
+		overlay: { file: "squarespaceA11y-overlay.js", api: "overlay", param: "sqsA11yOverlay" },
+	};
+
+	/**
+	 * loadReviewerTool()
+	 * ------------------------------------------------------------
+	 * Loads a reviewer tool's file once and resolves with its API.
+	 */
+	function loadReviewerTool(tool) {
+		if (window.sqsA11y[tool.api]) return Promise.resolve(window.sqsA11y[tool.api]);
+
+		return loadScript(BASE_URL + "utils/" + tool.file).then(() => window.sqsA11y[tool.api]);
+	}
+
+	/**
+	 * showReviewerTool()
+	 * ------------------------------------------------------------
+	 * Opens a reviewer tool. show is true to open, false to close, or
+	 * undefined to toggle.
+	 */
+	function showReviewerTool(tool, show) {
+		return loadReviewerTool(tool)
+			.then((api) => {
+				if (!api) return;
+
+				const open = show === undefined ? !api.isOpen() : !!show;
+
+				if (open) {
+					api.open();
+				} else {
+					api.close();
+				}
+			})
+			.catch((e) => {
+				console.error(`[sqsA11y] Could not load ${tool.file}:`, e);
+			});
+	}
+
+	/**
+	 * initReviewerTools()
+	 * ------------------------------------------------------------
+	 * Binds the review panel shortcut and opens the tools that config
+	 * or the reviewer switches ask for.
+	 */
+	function initReviewerTools() {
+		if (config.reviewPanel === false) return;
+
+		if (isReadOnlySession()) {
+			loadReviewerTool(REVIEWER_TOOLS.panel)
+				.then((api) => {
+					if (api) api.open({ focus: false });
+				})
+				.catch((e) => {
+					console.error(`[sqsA11y] Could not load ${REVIEWER_TOOLS.panel.file}:`, e);
+				});
+			return;
+		}
+
+		const utils = window.sqsA11y.utils || {};
+		if (typeof utils.isSquarespaceEditMode === "function" && utils.isSquarespaceEditMode()) return;
+
+		document.addEventListener("keydown", function (event) {
+			if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || event.code !== "KeyA") return;
+
+			event.preventDefault();
+			showReviewerTool(REVIEWER_TOOLS.panel);
+		});
+
+		if (config.reviewPanel === true || readReviewerSwitch(REVIEWER_TOOLS.panel.param, REVIEWER_TOOLS.panel.param)) {
+			showReviewerTool(REVIEWER_TOOLS.panel, true);
+		}
+
+		if (readReviewerSwitch(REVIEWER_TOOLS.overlay.param, REVIEWER_TOOLS.overlay.param)) {
+			showReviewerTool(REVIEWER_TOOLS.overlay, true);
+		}
+	}
+
+	// ===========================================================
+	// DOM-ready watcher bootstrap
+	// ===========================================================
+
+	/**
+	 * Load all files, then subscribe once to the shared dom-ready utility.
+	 *
+	 * fireImmediately = true means:
+	 * if sqsDomReadySignal already fired before this subscription is attached,
+	 * the callback runs immediately with the latest ready state.
+	 *
+	 * The callback returns the cycle's Promise, so the signal waits for
+	 * idle-scheduled or async enhancements before its next cycle.
+	 */
+	async function initDomReadyWatcher() {
+		await loadFiles();
+		filesLoaded = true;
+
+		warnAboutConfig();
+
+		if (!window.sqsDomReadySignal || typeof window.sqsDomReadySignal.onReady !== "function") {
+			console.error("[sqsA11y] sqsDomReadySignal is not available.");
+			return;
+		}
+
+		window.sqsDomReadySignal.onReady(
+			function (detail) {
+				return runAllEnhancements(detail);
+			},
+			{ fireImmediately: true, name: "sqsA11y", priority: 0 },
+		);
+
+		initReviewerTools();
+	}
+
+	// ===========================================================
+	// Public helpers
+	// ===========================================================
+
+	/*
+	 * Expose loadFiles in case it is needed manually for debugging.
+	 */
+	window.sqsA11yLoadFiles = loadFiles;
+
+	/*
+	 * Expose the enhancement list so the findings store can map each
+	 * report back to the WCAG criteria declared for that enhancement.
+	 */
+	window.sqsA11y.enhancementList = ENHANCEMENT_LIST;
+
+	/*
+	 * Expose whether audit-only enhancements are active on this page load.
+	 */
+	window.sqsA11y.auditMode = AUDIT_MODE;
+
+	/*
+	 * True while running read-only inside the Squarespace editor. Set once
+	 * the utilities have loaded.
+	 */
+	window.sqsA11y.editorMode = false;
+
+	/*
+	 * Turn a single enhancement off or back on at runtime.
+	 * disable() undoes the listeners, styles, and attributes it added.
+	 */
+	window.sqsA11y.disable = disableEnhancement;
+	window.sqsA11y.enable = enableEnhancement;
+
+	/*
+	 * Timing and changed-element counts per enhancement.
+	 * stats.reset() clears them.
+	 */
+	window.sqsA11y.stats = getStats;
+	window.sqsA11y.stats.reset = resetStats;
+
+	/*
+	 * Errors thrown by enhancements, with the cycle reason and URL.
+	 * errors.clear() empties the log.
+	 */
+	window.sqsA11y.errors = getErrors;
+	window.sqsA11y.errors.clear = clearErrors;
+
+	/*
+	 * Whether each enhancement is available, active, and enabled on
+	 * this page. Used by the review panel.
+	 */
+	window.sqsA11y.status = getEnhancementStatus;
+
+	/*
+	 * Check window.sqsA11yConfig, or a config object passed in, for
+	 * unknown keys, unknown enhancement names, and wrong option types.
+	 * Problems are also logged once at startup when logging is on.
+	 */
+	window.sqsA11y.validateConfig = validateConfig;
+
+	/*
+	 * Open the reviewer panel, or show and hide the change overlay, from
+	 * the console or a bookmarklet. toggleOverlay(true/false) forces a state.
+	 */
+	window.sqsA11y.openReviewPanel = function () {
+		return showReviewerTool(REVIEWER_TOOLS.panel, true);
+	};
+
+	window.sqsA11y.toggleOverlay = function (show) {
+		return showReviewerTool(REVIEWER_TOOLS.overlay, show);
+	};
+
+	/*
+	 * Compare the page with and without fixes without reloading.
+	 * revert() undoes every recorded change; reapply() runs the
+	 * enhancements again. Recorded changes are those made while an
+	 * enhancement ran, or from listeners and timers it added through its
+	 * lifecycle. See squarespaceA11y-lifecycle.js.
+	 */
+	window.sqsA11y.revert = revertAll;
+	window.sqsA11y.reapply = reapplyAll;
+
+	/*
+	 * Add site-specific enhancements. Calls made before this file loaded
+	 * were queued in window.sqsA11y.registerQueue by the Code Injection
+	 * stub shown in the README, and are registered now.
+	 */
+	window.sqsA11y.register = registerEnhancement;
+
+	if (Array.isArray(window.sqsA11y.registerQueue)) {
+		window.sqsA11y.registerQueue.splice(0).forEach(registerEnhancement);
+	}
 
 	/*
 	 * Start the main bootstrap now.
@@ -0,0 +1,68 @@
+/**
+ * Squarespace Accessibility Tests – test/accname.test.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Checks how utils.getAccessibleName() and
+ *   utils.getAccessibleDescription() treat hidden elements: a hidden
+ *   element has no name, and hidden content only counts when it is
+ *   referenced through aria-labelledby or aria-describedby.
+ *
+ * Usage:
+ *   npm test
+ */
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./helpers/load-fixture.js");
+
+describe("Accessible names of hidden elements", () => {
+	let page;
+	let utils;
+
+	before(async () => {
+		page = await loadFixture("sqs-7.1.html");
+		utils = page.window.sqsA11y.utils;
+
+		page.document.body.insertAdjacentHTML(
+			"beforeend",
+			`<div id="accname-test">
+				<button id="hidden-button" hidden>Menu <span aria-hidden="true">☰</span></button>
+				<button id="shown-button">Menu <span aria-hidden="true">☰</span></button>
+				<span id="hidden-label" hidden>Close <span aria-hidden="true">menu</span></span>
+				<button id="labelled-button" aria-labelledby="hidden-label">×</button>
+				<span id="hidden-hint" style="display: none">Opens the cart</span>
+				<a id="described-link" href="/cart" aria-describedby="hidden-hint">Cart</a>
+			</div>`,
+		);
+	});
+
+	after(() => page.close());
+
+	it("returns an empty name for a hidden element", () => {
+		assert.equal(utils.getAccessibleName(page.document.getElementById("hidden-button")), "");
+	});
+
+	it("skips aria-hidden content when naming a hidden element as if shown", () => {
+		const button = page.document.getElementById("hidden-button");
+
+		assert.equal(utils.getAccessibleName(button, { whenShown: true }), "Menu");
+		assert.equal(utils.getAccessibleName(page.document.getElementById("shown-button")), "Menu");
+	});
+
+	it("follows aria-labelledby and aria-describedby into hidden content", () => {
+		assert.equal(utils.getAccessibleName(page.document.getElementById("labelled-button")), "Close menu");
+		assert.equal(utils.getAccessibleDescription(page.document.getElementById("described-link")), "Opens the cart");
+	});
+
+	it("does not relabel a hidden button that has text", async () => {
+		await page.cycle("accname-test");
+
+		assert.equal(page.document.getElementById("hidden-button").hasAttribute("aria-label"), false);
+	});
+});
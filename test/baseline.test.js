@@ -0,0 +1,69 @@
+/**
+ * Squarespace Accessibility Tests – test/baseline.test.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Saves a findings baseline, loads the same fixture again, and checks
+ *   that the comparison finds nothing new or resolved. Squarespace 7.0
+ *   adds YUI ids at runtime that differ on every load, so each load gets
+ *   its own.
+ *
+ * Usage:
+ *   npm test
+ */
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./helpers/load-fixture.js");
+
+let loadCount = 0;
+
+/**
+ * addRuntimeIds()
+ * ------------------------------------------------------------
+ * Gives wrappers without an id a YUI id unique to this load.
+ */
+function addRuntimeIds(window) {
+	const stamp = `yui_3_17_2_1_${Date.now()}${++loadCount}`;
+
+	window.document.querySelectorAll("main div, main section, form, footer").forEach((el, index) => {
+		if (!el.id) el.id = `${stamp}_${index}`;
+	});
+}
+
+/**
+ * compareReload()
+ * ------------------------------------------------------------
+ * Returns the summary of comparing a second load with a baseline saved
+ * on the first.
+ */
+async function compareReload(name) {
+	const first = await loadFixture(name, {}, addRuntimeIds);
+	const baseline = JSON.stringify(first.window.sqsA11y.baseline.create());
+
+	first.close();
+
+	const second = await loadFixture(name, {}, addRuntimeIds);
+	const summary = Object.assign({}, second.window.sqsA11y.baseline.compare(baseline).summary);
+
+	second.close();
+
+	return summary;
+}
+
+describe("Findings baseline", () => {
+	["sqs-7.0-brine.html", "sqs-7.1.html"].forEach((name) => {
+		it(`finds no differences after reloading ${name}`, async () => {
+			const summary = await compareReload(name);
+
+			assert.equal(summary.new, 0);
+			assert.equal(summary.resolved, 0);
+			assert.ok(summary.unchanged > 0);
+		});
+	});
+});
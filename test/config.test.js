@@ -0,0 +1,69 @@
+/**
+ * Squarespace Accessibility Tests – test/config.test.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Checks window.sqsA11y.validateConfig() against enhancement names
+ *   that are registered through window.sqsA11y.register() or still
+ *   waiting in window.sqsA11y.registerQueue.
+ *
+ * Usage:
+ *   npm test
+ */
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./helpers/load-fixture.js");
+
+/**
+ * problemPaths()
+ * ------------------------------------------------------------
+ * The path of every problem validateConfig() reports.
+ */
+function problemPaths(page, candidate) {
+	return Array.from(page.window.sqsA11y.validateConfig(candidate).problems).map((problem) => problem.path);
+}
+
+describe("validateConfig()", () => {
+	let page;
+
+	before(async () => {
+		page = await loadFixture("sqs-7.1.html", {}, (window) => {
+			window.sqsA11y = {
+				registerQueue: [{ name: "siteBanner", kind: "audit", run: function () {} }],
+			};
+		});
+	});
+
+	after(() => page.close());
+
+	it("knows names registered from the queue", () => {
+		assert.deepEqual(problemPaths(page, { excludeEnhancements: ["siteBanner"] }), []);
+	});
+
+	it("knows names still waiting in the queue", () => {
+		const candidate = { excludeEnhancements: ["siteFooter"], enhancements: { siteFooter: {} } };
+
+		assert.deepEqual(problemPaths(page, candidate), ["excludeEnhancements[0]", "enhancements.siteFooter"]);
+
+		page.window.sqsA11y.registerQueue.push({ name: "siteFooter", run: function () {} });
+
+		try {
+			assert.deepEqual(problemPaths(page, candidate), []);
+		} finally {
+			page.window.sqsA11y.registerQueue.length = 0;
+		}
+	});
+
+	it("still reports misspelled names", () => {
+		const problem = page.window.sqsA11y.validateConfig({ excludeEnhancements: ["siteBaner"] }).problems[0];
+
+		assert.equal(problem.path, "excludeEnhancements[0]");
+		assert.equal(problem.suggestion, "siteBanner");
+	});
+});
@@ -0,0 +1,254 @@
+/**
+ * Squarespace Accessibility Tests – test/enhancements.test.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Loads the captured Squarespace 7.0 and 7.1 fixtures in jsdom, lets
+ *   the first readiness cycle run every enhancement, and checks the DOM
+ *   output. A second sqsDomReadySignal.trigger() must leave the page
+ *   unchanged and must not report any fix again.
+ *
+ * Usage:
+ *   npm test
+ *
+ * Notes:
+ *   jsdom has no layout, so enhancements that measure elements
+ *   (imagesWithoutContext, targetSizeMinimum, focusNotObscured) are not
+ *   covered here. See docs/testing.md.
+ */
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./helpers/load-fixture.js");
+
+/**
+ * assertCleanRun()
+ * ------------------------------------------------------------
+ * No page errors and no enhancement failures.
+ */
+function assertCleanRun(page) {
+	assert.deepEqual(page.errors, []);
+	assert.deepEqual(Array.from(page.window.sqsA11y.errors()), []);
+}
+
+/**
+ * assertIdempotent()
+ * ------------------------------------------------------------
+ * A second cycle changes nothing and reports no fix twice.
+ */
+async function assertIdempotent(page) {
+	const before = page.document.documentElement.outerHTML;
+
+	await page.cycle("idempotency-test");
+
+	assert.equal(page.document.documentElement.outerHTML, before);
+
+	// report() returns an array from the jsdom window, so copy it before comparing.
+	const repeated = Array.from(page.window.sqsA11y.report())
+		.filter((entry) => entry.kind === "fix" && entry.occurrences > 1)
+		.map((entry) => `${entry.enhancement}: ${entry.selector}`);
+
+	assert.deepEqual(repeated, []);
+	assertCleanRun(page);
+}
+
+/**
+ * assertInjectedStyles()
+ * ------------------------------------------------------------
+ * Each style id is present exactly once.
+ */
+function assertInjectedStyles(document, ids) {
+	ids.forEach((id) => {
+		assert.equal(document.querySelectorAll(`style#${id}`).length, 1, `style#${id}`);
+	});
+}
+
+describe("Squarespace 7.0 (Brine) fixture", () => {
+	let page;
+	let document;
+
+	before(async () => {
+		page = await loadFixture("sqs-7.0-brine.html");
+		document = page.document;
+	});
+
+	after(() => page.close());
+
+	it("runs without errors", () => {
+		assertCleanRun(page);
+	});
+
+	it("adds a skip link to the main content", () => {
+		const skipLink = document.getElementById("acc-skip-link");
+
+		assert.ok(skipLink);
+		assert.equal(skipLink.getAttribute("href"), "#main-content");
+		assert.equal(document.querySelector("main").id, "main-content");
+	});
+
+	it("makes the mobile menu button focusable and named", () => {
+		const button = document.querySelector(".Mobile-bar-menu");
+
+		assert.equal(button.getAttribute("tabindex"), "0");
+		assert.equal(button.getAttribute("aria-label"), "Button");
+		assert.equal(button.getAttribute("data-accessibility-init"), "true");
+	});
+
+	it("adds aria-expanded to navigation folder titles", () => {
+		const folder = document.querySelector(".Header-nav-folder-title");
+
+		assert.equal(folder.getAttribute("aria-expanded"), "false");
+	});
+
+	it("clears filename alt text on parallax images", () => {
+		const img = document.querySelector(".Index-page-image img");
+
+		assert.equal(img.getAttribute("alt"), "");
+		assert.equal(img.getAttribute("data-parallax-image-alt-cleaned"), "1");
+	});
+
+	it("gives read more links a purpose", () => {
+		const link = document.querySelector("a.summary-read-more-link");
+
+		assert.equal(link.getAttribute("aria-label"), "read more about Spring Open House");
+	});
+
+	it("adds autocomplete tokens to contact fields", () => {
+		assert.equal(document.querySelector('input[name="fname"]').getAttribute("autocomplete"), "given-name");
+		assert.equal(document.querySelector('input[name="lname"]').getAttribute("autocomplete"), "family-name");
+		assert.equal(document.querySelector('input[name="email"]').getAttribute("autocapitalize"), "none");
+
+		const phone = document.querySelector('input[name="phone"]');
+
+		assert.equal(phone.getAttribute("autocomplete"), "tel");
+		assert.equal(phone.getAttribute("inputmode"), "tel");
+	});
+
+	it("announces form status through live regions", () => {
+		assert.ok(document.getElementById("acc-form-error-live-region"));
+		assert.ok(document.getElementById("acc-form-success-live-region"));
+	});
+
+	it("marks PDF links and new window links", () => {
+		const pdfLink = document.querySelector('a[href$=".pdf"]');
+
+		assert.equal(pdfLink.querySelector(".sqs-a11y-sr-only").textContent, ", PDF file");
+
+		const social = document.querySelector('footer a[target="_blank"]');
+
+		assert.match(social.getAttribute("rel"), /\bnoopener\b/);
+		assert.ok(social.hasAttribute("data-sqs-a11y-new-window-context"));
+		assert.equal(social.querySelectorAll(".sqs-a11y-new-window-icon").length, 1);
+	});
+
+	it("initializes telephone links", () => {
+		const tel = document.querySelector('a[href^="tel:"]');
+
+		assert.equal(tel.getAttribute("data-contact-label-init"), "true");
+	});
+
+	it("reports the unlabeled submit input", () => {
+		const warnings = page.window.sqsA11y
+			.report({ kind: "warning" })
+			.filter((entry) => /input/.test(entry.selector || ""));
+
+		assert.ok(warnings.length > 0);
+	});
+
+	it("injects each style once", () => {
+		assertInjectedStyles(document, [
+			"sqs-a11y-target-size-css",
+			"sqs-a11y-skip-link-style",
+			"sqs-a11y-sr-only-style",
+			"sqs-a11y-form-status-style",
+			"sqs-a11y-new-window-link-context-style",
+			"sqs-a11y-text-spacing-audit-style",
+		]);
+	});
+
+	it("changes nothing on a second cycle", async () => {
+		await assertIdempotent(page);
+	});
+});
+
+describe("Squarespace 7.1 fixture", () => {
+	let page;
+	let document;
+
+	before(async () => {
+		page = await loadFixture("sqs-7.1.html");
+		document = page.document;
+	});
+
+	after(() => page.close());
+
+	it("runs without errors", () => {
+		assertCleanRun(page);
+	});
+
+	it("keeps the native skip link", () => {
+		assert.equal(document.getElementById("acc-skip-link"), null);
+		assert.equal(document.querySelectorAll("a.header-skip-link").length, 1);
+	});
+
+	it("makes the burger button focusable and named", () => {
+		const burger = document.querySelector(".header-burger-btn");
+
+		assert.equal(burger.getAttribute("tabindex"), "0");
+		assert.equal(burger.getAttribute("aria-label"), "Button");
+	});
+
+	it("adds aria-expanded to mobile folder links", () => {
+		const folder = document.querySelector(".header-menu-nav-item--folder > a");
+
+		assert.equal(folder.getAttribute("aria-expanded"), "false");
+	});
+
+	it("clears filename alt text on video fallback images", () => {
+		const img = document.querySelector("img.custom-fallback-image");
+
+		assert.equal(img.getAttribute("alt"), "");
+		assert.equal(img.getAttribute("data-video-fallback-alt-cleaned"), "1");
+	});
+
+	it("hides duplicate required text in field labels only", () => {
+		const labelSpan = document.querySelector("label .description.required");
+		const legendSpan = document.querySelector("legend .description.required");
+
+		assert.equal(labelSpan.getAttribute("aria-hidden"), "true");
+		assert.equal(labelSpan.getAttribute("data-duplicate-required-text-cleaned"), "1");
+		assert.equal(legendSpan.hasAttribute("aria-hidden"), false);
+	});
+
+	it("names the empty submit button", () => {
+		const submit = document.querySelector('form button[type="submit"]');
+
+		assert.equal(submit.getAttribute("aria-label"), "Submit form");
+	});
+
+	it("gives read more links a purpose", () => {
+		const link = document.querySelector(".summary-item a.summary-read-more-link");
+
+		assert.equal(link.getAttribute("aria-label"), "read more about Lakeside Cabin");
+	});
+
+	it("marks PDF links and new window links", () => {
+		const pdfLink = document.querySelector('a[href$=".pdf"]');
+
+		assert.equal(pdfLink.querySelector(".sqs-a11y-sr-only").textContent, ", PDF file");
+
+		const social = document.querySelector('a[target="_blank"]');
+
+		assert.match(social.getAttribute("rel"), /\bnoopener\b/);
+		assert.equal(social.querySelectorAll(".sqs-a11y-new-window-icon").length, 1);
+	});
+
+	it("changes nothing on a second cycle", async () => {
+		await assertIdempotent(page);
+	});
+});
@@ -0,0 +1,146 @@
+/**
+ * Squarespace Accessibility Test Helper – test/helpers/load-fixture.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Loads a fixture from test/fixtures into jsdom and injects the library
+ *   the same way tools/audit.js does: the utilities, the enhancements,
+ *   then squarespaceA11y.js, with window.sqsA11yBundle set so nothing is
+ *   requested over the network. Resolves once the first readiness cycle
+ *   has run the enhancements.
+ *
+ * Usage:
+ *   const page = await loadFixture("sqs-7.1.html");
+ *   await page.cycle();
+ *   page.close();
+ *
+ * Notes:
+ *   jsdom has no layout engine, so fixtures are only used to check DOM
+ *   output, not size or position.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { readLibrary, waitForCycle } = require("../../tools/audit.js");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+const CYCLE_TIMEOUT = 5000;
+
+/*
+ * How long the page must go without a readiness cycle to count as
+ * settled. Enhancement DOM changes can schedule scoped follow-up cycles.
+ */
+const SETTLE_MS = 300;
+
+// Read once; every fixture gets the same library files.
+let library = null;
+
+/**
+ * getLibrary()
+ * ------------------------------------------------------------
+ * Every remediation enhancement plus the audit-only ones, matching a
+ * reviewer session with audit mode on.
+ */
+function getLibrary() {
+	if (!library) library = readLibrary({ include: [], exclude: [], audit: true });
+
+	return library;
+}
+
+/**
+ * waitForSettle()
+ * ------------------------------------------------------------
+ * Resolves after SETTLE_MS without a cycle-complete event.
+ */
+function waitForSettle(window) {
+	return new Promise((resolve) => {
+		let timer = setTimeout(done, SETTLE_MS);
+
+		function onCycle() {
+			clearTimeout(timer);
+			timer = setTimeout(done, SETTLE_MS);
+		}
+
+		function done() {
+			window.document.removeEventListener("sqs:cycle-complete", onCycle);
+			resolve();
+		}
+
+		window.document.addEventListener("sqs:cycle-complete", onCycle);
+	});
+}
+
+/**
+ * loadFixture(name, config, setup)
+ * ------------------------------------------------------------
+ * Returns { window, document, errors, cycle(), close() }.
+ *
+ * setup(window), when given, runs before the library is injected, for
+ * changes Squarespace makes at runtime, such as YUI ids.
+ *
+ * errors collects console.error output from the page, so a test can
+ * check that nothing failed.
+ *
+ * cycle(reason) calls sqsDomReadySignal.trigger() and resolves once that
+ * cycle and any follow-up cycles are done.
+ */
+async function loadFixture(name, config, setup) {
+	const html = fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+	const virtualConsole = new VirtualConsole();
+	const errors = [];
+
+	virtualConsole.on("error", (...args) => errors.push(args.map(String).join(" ")));
+	virtualConsole.on("jsdomError", (err) => {
+		// getComputedStyle(el, "::before") is not implemented in jsdom.
+		if (/Not implemented/.test(err.message)) return;
+		errors.push(err.message);
+	});
+
+	const dom = new JSDOM(html, {
+		url: "https://test-site.squarespace.com/",
+		runScripts: "outside-only",
+		pretendToBeVisual: true,
+		virtualConsole: virtualConsole,
+	});
+
+	const window = dom.window;
+	const { files, manifest } = getLibrary();
+
+	if (setup) setup(window);
+
+	window.sqsA11yConfig = Object.assign({ auditMode: true, reviewPanel: false }, config);
+	window.sqsA11yBundle = manifest;
+
+	const firstCycle = waitForCycle(window, CYCLE_TIMEOUT);
+
+	files.forEach((item) => {
+		window.eval(`${item.source}\n//# sourceURL=${item.file}`);
+	});
+
+	await firstCycle;
+	await waitForSettle(window);
+
+	return {
+		window: window,
+		document: window.document,
+		errors: errors,
+		cycle: async function (reason) {
+			const next = waitForCycle(window, CYCLE_TIMEOUT);
+
+			window.sqsDomReadySignal.trigger(reason || "test");
+			await next;
+			await waitForSettle(window);
+		},
+		close: function () {
+			window.close();
+		},
+	};
+}
+
+module.exports = { loadFixture: loadFixture };
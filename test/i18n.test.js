@@ -0,0 +1,57 @@
+/**
+ * Squarespace Accessibility Tests – test/i18n.test.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Checks that autocompleteEnhancer recognizes field labels written in
+ *   the page language, using the keyword lists in
+ *   squarespaceA11y-i18n.js.
+ *
+ * Usage:
+ *   npm test
+ */
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./helpers/load-fixture.js");
+
+describe("German form labels", () => {
+	let page;
+
+	before(async () => {
+		page = await loadFixture("sqs-7.1.html", { locale: "de" });
+
+		page.document.body.insertAdjacentHTML(
+			"beforeend",
+			`<form id="de-form">
+				<label for="de-field-1">Vorname</label>
+				<input id="de-field-1" name="field-1" type="text">
+				<label for="de-field-2">E-Mail-Adresse</label>
+				<input id="de-field-2" name="field-2" type="text">
+				<label for="de-field-3">Telefonnummer</label>
+				<input id="de-field-3" name="field-3" type="text">
+			</form>`,
+		);
+
+		await page.cycle("i18n-test");
+	});
+
+	after(() => page.close());
+
+	it("matches German keywords", () => {
+		assert.equal(page.document.getElementById("de-field-1").getAttribute("autocomplete"), "given-name");
+		assert.equal(page.document.getElementById("de-field-3").getAttribute("autocomplete"), "tel");
+	});
+
+	it("matches a hyphenated German email label", () => {
+		const email = page.document.getElementById("de-field-2");
+
+		assert.ok(page.window.sqsA11y.utils.phrases("autocomplete.email").includes("e-mail-adresse"));
+		assert.equal(email.getAttribute("autocomplete"), "email");
+	});
+});
@@ -0,0 +1,64 @@
+/**
+ * Squarespace Accessibility Tests – test/lifecycle.test.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Checks the change journal in squarespaceA11y-lifecycle.js against a
+ *   fixture: changes made later by lifecycle listeners are reverted, and
+ *   entries for nodes that left the page are pruned.
+ *
+ * Usage:
+ *   npm test
+ */
+
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./helpers/load-fixture.js");
+
+/**
+ * journalNodes()
+ * ------------------------------------------------------------
+ * Every node an enhancement's journal holds on to.
+ */
+function journalNodes(page, name) {
+	return page.window.sqsA11y.lifecycle
+		.get(name)
+		.journal.map((entry) => (entry.type === "removed" ? entry.parent : entry.target || entry.node));
+}
+
+describe("Change journal", () => {
+	let page;
+
+	beforeEach(async () => {
+		page = await loadFixture("sqs-7.0-brine.html");
+	});
+
+	afterEach(() => page.close());
+
+	it("reverts focus styles added by a listener after the cycle", () => {
+		const link = page.document.querySelector('a[href$=".pdf"]');
+
+		link.focus();
+		assert.match(link.getAttribute("style") || "", /outline/);
+
+		page.window.sqsA11y.revert();
+
+		assert.equal(link.hasAttribute("style"), false);
+	});
+
+	it("drops entries for nodes that left the page", () => {
+		const link = page.document.querySelector('a[href$=".pdf"]');
+
+		assert.ok(journalNodes(page, "pdfLinkEnhancer").some((node) => link.contains(node)));
+
+		link.closest(".sqs-block").remove();
+
+		assert.ok(page.window.sqsA11y.lifecycle.prune() > 0);
+		assert.equal(journalNodes(page, "pdfLinkEnhancer").some((node) => !node.isConnected), false);
+	});
+});
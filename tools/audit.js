@@ -0,0 +1,697 @@
+#!/usr/bin/env node
+/**
+ * Squarespace Accessibility Offline Audit – tools/audit.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Runs the library against saved HTML pages without a browser, for
+ *   example snapshots archived during a client review or a site mirror
+ *   made with wget.
+ *
+ *   For each page the script:
+ *     1. Loads the HTML into a jsdom window. The page's own scripts do
+ *        not run, and no stylesheets, images, or other files are fetched.
+ *     2. Injects the utilities, the enhancements, and squarespaceA11y.js
+ *        the same way the single-file bundle does (see tools/build.js).
+ *     3. Waits for the first sqsDomReadySignal readiness cycle.
+ *     4. Collects window.sqsA11y.report(), window.sqsA11y.errors(), and
+ *        window.sqsA11y.status().
+ *     5. With --baseline, compares the findings with a saved baseline
+ *        using window.sqsA11y.baseline.compare().
+ *
+ *   Audit mode is on by default, so headingAudit, textSpacingAudit, and the
+ *   other audit-only enhancements run.
+ *
+ * Usage:
+ *   node tools/audit.js [options] <file-or-directory...>
+ *
+ * Options:
+ *   --format text|json  Output format. Default: text
+ *   --out <file>        Write the output to a file instead of stdout.
+ *   --include a,b       Run only the listed enhancements.
+ *   --exclude a,b       Skip enhancements, using the same names as
+ *                       excludeEnhancements.
+ *   --no-audit          Turn audit mode off.
+ *   --config <file>     JSON file merged into window.sqsA11yConfig.
+ *   --base-url <url>    URL the pages are loaded as. The path of each file
+ *                       relative to the directory given is added to it.
+ *                       Default: http://localhost/
+ *   --max-warnings <n>  Fail when more than n warnings are found.
+ *   --max-audit <n>     Fail when more than n audit findings are found.
+ *   --max-errors <n>    Fail when enhancements throw more than n errors.
+ *   --baseline <file>   Compare the findings with a baseline file saved by
+ *                       --save-baseline or window.sqsA11y.baseline.download().
+ *   --save-baseline <file>
+ *                       Save the findings of this run as a baseline file.
+ *   --max-new <n>       Fail when more than n warnings and audit findings
+ *                       are new compared to --baseline.
+ *   --timeout <ms>      Time to wait for each page's readiness cycle.
+ *                       Default: 10000
+ *   --verbose           Print the library's console output.
+ *   --help              Show usage.
+ *
+ * Exit codes:
+ *   0  Every page was audited and no threshold was exceeded.
+ *   1  A threshold was exceeded.
+ *   2  Invalid options, or a page could not be audited.
+ *
+ * Requirements:
+ *   Node.js 18 or later and the jsdom package, a development dependency
+ *   in package.json:
+ *     npm install
+ *
+ * Notes:
+ *   jsdom has no layout engine. Every element reports a zero-sized box,
+ *   so checks that depend on size or position, such as targetSizeMinimum,
+ *   focusNotObscured, and textSpacingAudit, report less than they would
+ *   in a browser. Use the browser for those criteria.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { readList, selectEnhancements } = require("./build.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const BOOTSTRAP_FILE = path.join(ROOT, "squarespaceA11y.js");
+const DEFAULT_BASE_URL = "http://localhost/";
+const DEFAULT_TIMEOUT = 10000;
+const PAGE_EXTENSIONS = /\.html?$/i;
+
+const THRESHOLDS = [
+	{ option: "maxWarnings", flag: "--max-warnings", total: "warning", label: "warnings" },
+	{ option: "maxAudit", flag: "--max-audit", total: "audit", label: "audit findings" },
+	{ option: "maxErrors", flag: "--max-errors", total: "errors", label: "enhancement errors" },
+	{ option: "maxNew", flag: "--max-new", total: "regressions", label: "new warnings and audit findings" },
+];
+
+const USAGE = `Usage: node tools/audit.js [--format text|json] [--out file] [--include a,b] [--exclude a,b] [--no-audit]
+                          [--config file] [--base-url url] [--max-warnings n] [--max-audit n] [--max-errors n]
+                          [--baseline file] [--save-baseline file] [--max-new n]
+                          [--timeout ms] [--verbose] <file-or-directory...>`;
+
+// ===========================================================
+// Arguments
+// ===========================================================
+
+/**
+ * parseArgs()
+ * ------------------------------------------------------------
+ * Reads command-line options. Accepts "--name value" and "--name=value".
+ */
+function parseArgs(argv) {
+	const options = {
+		paths: [],
+		format: "text",
+		out: null,
+		include: [],
+		exclude: [],
+		audit: true,
+		config: null,
+		baseUrl: DEFAULT_BASE_URL,
+		maxWarnings: null,
+		maxAudit: null,
+		maxErrors: null,
+		baseline: null,
+		saveBaseline: null,
+		maxNew: null,
+		timeout: DEFAULT_TIMEOUT,
+		verbose: false,
+		help: false,
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+		const nextValue = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+		switch (flag) {
+			case "--format":
+				options.format = nextValue();
+				if (options.format !== "text" && options.format !== "json") {
+					throw new Error(`--format must be "text" or "json"\n${USAGE}`);
+				}
+				break;
+			case "--out":
+				options.out = path.resolve(process.cwd(), nextValue() || "");
+				break;
+			case "--include":
+				options.include.push(...splitNames(nextValue()));
+				break;
+			case "--exclude":
+				options.exclude.push(...splitNames(nextValue()));
+				break;
+			case "--no-audit":
+				options.audit = false;
+				break;
+			case "--config":
+				options.config = path.resolve(process.cwd(), nextValue() || "");
+				break;
+			case "--base-url":
+				options.baseUrl = nextValue();
+				break;
+			case "--max-warnings":
+			case "--max-audit":
+			case "--max-errors":
+			case "--max-new":
+				options[THRESHOLDS.find((threshold) => threshold.flag === flag).option] = toCount(flag, nextValue());
+				break;
+			case "--baseline":
+				options.baseline = path.resolve(process.cwd(), nextValue() || "");
+				break;
+			case "--save-baseline":
+				options.saveBaseline = path.resolve(process.cwd(), nextValue() || "");
+				break;
+			case "--timeout":
+				options.timeout = toCount(flag, nextValue());
+				break;
+			case "--verbose":
+				options.verbose = true;
+				break;
+			case "--help":
+			case "-h":
+				options.help = true;
+				break;
+			default:
+				if (flag.startsWith("-")) throw new Error(`Unknown option: ${argv[i]}\n${USAGE}`);
+				options.paths.push(argv[i]);
+		}
+	}
+
+	if (!options.help && !options.paths.length) {
+		throw new Error(`No HTML files or directories given.\n${USAGE}`);
+	}
+
+	if (options.maxNew !== null && !options.baseline) {
+		throw new Error("--max-new needs --baseline");
+	}
+
+	try {
+		options.baseUrl = new URL(options.baseUrl).href;
+	} catch (err) {
+		throw new Error(`--base-url is not a valid URL: ${options.baseUrl}`);
+	}
+
+	return options;
+}
+
+function splitNames(value) {
+	return String(value || "")
+		.split(",")
+		.map((name) => name.trim())
+		.filter(Boolean);
+}
+
+function toCount(flag, value) {
+	const number = Number(value);
+
+	if (value === undefined || value === "" || !Number.isInteger(number) || number < 0) {
+		throw new Error(`${flag} needs a whole number of 0 or more`);
+	}
+
+	return number;
+}
+
+/**
+ * loadJsdom()
+ * ------------------------------------------------------------
+ * jsdom is a development dependency. It is only needed by the Node.js
+ * tools, not by the library itself.
+ */
+function loadJsdom() {
+	try {
+		return require("jsdom");
+	} catch (err) {
+		throw new Error("jsdom is required to run audits. Install the development dependencies with: npm install");
+	}
+}
+
+// ===========================================================
+// Pages
+// ===========================================================
+
+/**
+ * findPages()
+ * ------------------------------------------------------------
+ * Expands the given paths into HTML files. Directories are searched
+ * recursively; the path inside the directory becomes the page URL path.
+ */
+function findPages(paths) {
+	const pages = [];
+
+	function walk(dir, base) {
+		fs.readdirSync(dir, { withFileTypes: true })
+			.sort((a, b) => a.name.localeCompare(b.name))
+			.forEach((entry) => {
+				if (entry.name.startsWith(".") || entry.name === "node_modules") return;
+
+				const file = path.join(dir, entry.name);
+
+				if (entry.isDirectory()) {
+					walk(file, base);
+				} else if (PAGE_EXTENSIONS.test(entry.name)) {
+					pages.push({ file: file, relative: path.relative(base, file) });
+				}
+			});
+	}
+
+	paths.forEach((input) => {
+		const file = path.resolve(process.cwd(), input);
+		let stat;
+
+		try {
+			stat = fs.statSync(file);
+		} catch (err) {
+			throw new Error(`Not found: ${input}`);
+		}
+
+		if (stat.isDirectory()) {
+			walk(file, file);
+		} else {
+			pages.push({ file: file, relative: path.basename(file) });
+		}
+	});
+
+	if (!pages.length) {
+		throw new Error(`No .html files found in: ${paths.join(", ")}`);
+	}
+
+	return pages;
+}
+
+/**
+ * pageUrl()
+ * ------------------------------------------------------------
+ * Maps a saved file to the URL it was saved from, so URL-based rules
+ * match: "blog/index.html" becomes "/blog/" and "about.html" "/about".
+ */
+function pageUrl(baseUrl, relative) {
+	const urlPath = relative
+		.split(path.sep)
+		.map(encodeURIComponent)
+		.join("/")
+		.replace(/(^|\/)index\.html?$/i, "$1")
+		.replace(PAGE_EXTENSIONS, "");
+
+	return new URL(urlPath, baseUrl).href;
+}
+
+// ===========================================================
+// Library
+// ===========================================================
+
+/**
+ * readLibrary()
+ * ------------------------------------------------------------
+ * Reads every utility, the selected enhancements, and the bootstrap,
+ * in bundle order. Each page gets the same manifest as a bundled build.
+ */
+function readLibrary(options) {
+	const bootstrapSource = fs.readFileSync(BOOTSTRAP_FILE, "utf8");
+
+	// Validates the names and picks the audit-only files to include.
+	const enhancements = selectEnhancements(readList(bootstrapSource, "ENHANCEMENT_LIST"), {
+		include: options.include,
+		exclude: options.exclude,
+		audit: options.audit,
+	});
+
+	const files = readList(bootstrapSource, "UTIL_LIST")
+		.map((item) => ({ name: item.name, file: path.join(ROOT, "utils", item.name) }))
+		.concat(
+			enhancements.map((item) => ({
+				name: item.name,
+				file: path.join(ROOT, "enhancements", item.name + ".js"),
+			})),
+		)
+		.map((item) => Object.assign(item, { source: fs.readFileSync(item.file, "utf8") }))
+		.concat([{ name: null, file: BOOTSTRAP_FILE, source: bootstrapSource }]);
+
+	return {
+		files: files,
+		manifest: { modules: files.filter((item) => item.name).map((item) => item.name) },
+	};
+}
+
+/**
+ * readConfig()
+ * ------------------------------------------------------------
+ * Builds window.sqsA11yConfig from --config and the command-line options.
+ * The review panel is turned off because nobody can use it here.
+ */
+function readConfig(options) {
+	let fileConfig = {};
+
+	if (options.config) {
+		try {
+			fileConfig = JSON.parse(fs.readFileSync(options.config, "utf8"));
+		} catch (err) {
+			throw new Error(`Could not read --config ${options.config}: ${err.message}`);
+		}
+	}
+
+	return Object.assign({}, fileConfig, {
+		auditMode: options.audit,
+		includeEnhancements: options.include.length ? options.include : fileConfig.includeEnhancements || [],
+		excludeEnhancements: (fileConfig.excludeEnhancements || []).concat(options.exclude),
+		reviewPanel: false,
+	});
+}
+
+/**
+ * readBaseline()
+ * ------------------------------------------------------------
+ * Reads a baseline file. The comparison itself runs in each page, with
+ * the same code reviewers use in the browser.
+ */
+function readBaseline(file) {
+	let baseline;
+
+	try {
+		baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+	} catch (err) {
+		throw new Error(`Could not read --baseline ${file}: ${err.message}`);
+	}
+
+	if (!baseline || baseline.format !== "sqsA11y-baseline" || !baseline.pages) {
+		throw new Error(`--baseline ${file} is not a findings baseline`);
+	}
+
+	return baseline;
+}
+
+// ===========================================================
+// Audit
+// ===========================================================
+
+/**
+ * waitForCycle()
+ * ------------------------------------------------------------
+ * Resolves with the detail of the first readiness cycle that ran the
+ * enhancements.
+ */
+function waitForCycle(window, timeout) {
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			reject(new Error(`No readiness cycle within ${timeout} ms`));
+		}, timeout);
+
+		window.document.addEventListener("sqs:cycle-complete", (event) => {
+			const subscribers = (event.detail && event.detail.subscribers) || [];
+			if (!subscribers.some((subscriber) => subscriber.name === "sqsA11y")) return;
+
+			clearTimeout(timer);
+			resolve(event.detail);
+		});
+	});
+}
+
+/**
+ * auditPage()
+ * ------------------------------------------------------------
+ * Runs the library on one saved page and returns plain JSON results.
+ * baselinePages is only set when --save-baseline is used.
+ */
+async function auditPage(jsdom, page, library, config, options, baseline) {
+	const url = pageUrl(options.baseUrl, page.relative);
+	const virtualConsole = new jsdom.VirtualConsole();
+
+	if (options.verbose) {
+		["log", "info", "warn", "error"].forEach((method) => {
+			virtualConsole.on(method, (...args) => console.error(`[${page.relative}]`, ...args));
+		});
+	}
+
+	const dom = new jsdom.JSDOM(fs.readFileSync(page.file, "utf8"), {
+		url: url,
+		runScripts: "outside-only",
+		pretendToBeVisual: true,
+		virtualConsole: virtualConsole,
+	});
+
+	const window = dom.window;
+
+	try {
+		window.sqsA11yConfig = config;
+		window.sqsA11yBundle = library.manifest;
+
+		const cycle = waitForCycle(window, options.timeout);
+
+		library.files.forEach((item) => {
+			window.eval(`${item.source}\n//# sourceURL=${item.file}`);
+		});
+
+		const detail = await cycle;
+
+		// Copy out of the page's realm so results outlive the window.
+		const copy = (value) => JSON.parse(JSON.stringify(value));
+		const result = {
+			file: page.relative,
+			url: url,
+			duration: Math.round(detail.duration || 0),
+			findings: copy(window.sqsA11y.report()),
+			errors: copy(window.sqsA11y.errors()),
+			enhancements: copy(window.sqsA11y.status()).filter((item) => item.active),
+		};
+
+		if (baseline) result.comparison = copy(window.sqsA11y.baseline.compare(baseline));
+		if (options.saveBaseline) result.baselinePages = copy(window.sqsA11y.baseline.create().pages);
+
+		result.summary = summarize([result]);
+
+		return result;
+	} finally {
+		window.close();
+	}
+}
+
+/**
+ * summarize()
+ * ------------------------------------------------------------
+ * Counts findings by kind, plus enhancement errors, over some pages.
+ * With --baseline, also counts new, resolved, and unchanged findings.
+ */
+function summarize(pages) {
+	const totals = { fix: 0, warning: 0, audit: 0, errors: 0 };
+
+	pages.forEach((page) => {
+		(page.findings || []).forEach((entry) => {
+			if (totals[entry.kind] !== undefined) totals[entry.kind]++;
+		});
+
+		totals.errors += (page.errors || []).length;
+
+		if (page.comparison) {
+			["new", "resolved", "unchanged", "regressions"].forEach((key) => {
+				totals[key] = (totals[key] || 0) + page.comparison.summary[key];
+			});
+		}
+	});
+
+	return totals;
+}
+
+/**
+ * checkThresholds()
+ * ------------------------------------------------------------
+ * Returns one message per exceeded threshold, for all pages together.
+ */
+function checkThresholds(totals, options) {
+	return THRESHOLDS.filter((threshold) => {
+		const max = options[threshold.option];
+		return max !== null && totals[threshold.total] > max;
+	}).map((threshold) => `${totals[threshold.total]} ${threshold.label} (max ${options[threshold.option]})`);
+}
+
+// ===========================================================
+// Output
+// ===========================================================
+
+/**
+ * saveBaseline()
+ * ------------------------------------------------------------
+ * Writes the pages collected with --save-baseline as one baseline file,
+ * in the same format as window.sqsA11y.baseline.download().
+ */
+function saveBaseline(file, version, results) {
+	const baseline = {
+		format: "sqsA11y-baseline",
+		formatVersion: 1,
+		version: version,
+		created: new Date().toISOString(),
+		pages: {},
+	};
+
+	results.forEach((page) => {
+		if (!page.baselinePages) return;
+
+		Object.assign(baseline.pages, page.baselinePages);
+		delete page.baselinePages;
+	});
+
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + "\n");
+	console.error(`[sqsA11y-audit] Baseline saved: ${path.relative(process.cwd(), file)}`);
+}
+
+/**
+ * formatText()
+ * ------------------------------------------------------------
+ * Short summary per page. Warnings, audit findings, and errors are
+ * listed; fixes are counted only. With --baseline, new and resolved
+ * warnings and audit findings are marked. Use --format json for every
+ * entry.
+ */
+function formatText(result) {
+	const lines = [`squarespace-wcag-utils ${result.version} offline audit - ${result.pages.length} page(s)`, ""];
+
+	const counts = (summary) =>
+		`Fixes: ${summary.fix}  Warnings: ${summary.warning}  Needs review: ${summary.audit}  Errors: ${summary.errors}`;
+
+	const changes = (summary) =>
+		`Baseline: ${summary.new} new (${summary.regressions} warnings or audit findings), ` +
+		`${summary.resolved} resolved, ${summary.unchanged} unchanged`;
+
+	const describe = (entry) => `${entry.enhancement}: ${entry.description}${entry.selector ? ` - ${entry.selector}` : ""}`;
+	const needsReview = (entry) => entry.kind === "warning" || entry.kind === "audit";
+
+	result.pages.forEach((page) => {
+		lines.push(`${page.file}  ${page.url}`);
+
+		if (page.failed) {
+			lines.push(`  Could not audit: ${page.failed}`, "");
+			return;
+		}
+
+		lines.push(`  ${counts(page.summary)}`);
+
+		if (page.comparison) {
+			// One saved page is one path, so its comparison has one page.
+			const comparison = page.comparison.pages[0];
+			const prefix = comparison.baselined ? "new " : "";
+
+			lines.push(comparison.baselined ? `  ${changes(page.comparison.summary)}` : "  Baseline: page not in baseline");
+
+			comparison.new.filter(needsReview).forEach((item) => lines.push(`  [${prefix}${item.kind}] ${describe(item)}`));
+			comparison.unchanged.filter(needsReview).forEach((item) => lines.push(`  [${item.kind}] ${describe(item)}`));
+			comparison.resolved.filter(needsReview).forEach((item) => {
+				lines.push(`  [resolved ${item.kind}] ${describe(item)}`);
+			});
+		} else {
+			page.findings.filter(needsReview).forEach((entry) => lines.push(`  [${entry.kind}] ${describe(entry)}`));
+		}
+
+		page.errors.forEach((entry) => {
+			lines.push(`  [error] ${entry.enhancement} (${entry.phase}): ${entry.message}`);
+		});
+
+		lines.push("");
+	});
+
+	lines.push(`Total  ${counts(result.totals)}`);
+
+	if (result.totals.new !== undefined) lines.push(`Total  ${changes(result.totals)}`);
+
+	result.exceeded.forEach((message) => lines.push(`Threshold exceeded: ${message}`));
+
+	return lines.join("\n") + "\n";
+}
+
+// ===========================================================
+// CLI
+// ===========================================================
+
+async function main() {
+	let options;
+	let jsdom;
+	let pages;
+	let library;
+	let config;
+	let baseline = null;
+
+	try {
+		options = parseArgs(process.argv.slice(2));
+
+		if (options.help) {
+			console.log(USAGE);
+			return 0;
+		}
+
+		jsdom = loadJsdom();
+		pages = findPages(options.paths);
+		library = readLibrary(options);
+		config = readConfig(options);
+
+		if (options.baseline) baseline = readBaseline(options.baseline);
+	} catch (err) {
+		console.error(`[sqsA11y-audit] ${err.message}`);
+		return 2;
+	}
+
+	const version = (fs.readFileSync(BOOTSTRAP_FILE, "utf8").match(/window\.sqsA11y\.version = "([^"]+)"/) || [])[1] || "";
+	const results = [];
+
+	// One page at a time keeps memory use flat on large mirrors.
+	for (const page of pages) {
+		try {
+			results.push(await auditPage(jsdom, page, library, config, options, baseline));
+		} catch (err) {
+			console.error(`[sqsA11y-audit] ${page.relative}: ${err.message}`);
+			results.push({ file: page.relative, url: pageUrl(options.baseUrl, page.relative), failed: err.message });
+		}
+	}
+
+	if (options.saveBaseline) {
+		saveBaseline(options.saveBaseline, version, results);
+	}
+
+	const totals = summarize(results);
+
+	const result = {
+		version: version,
+		generated: new Date().toISOString(),
+		auditMode: options.audit,
+		totals: totals,
+		thresholds: {
+			maxWarnings: options.maxWarnings,
+			maxAudit: options.maxAudit,
+			maxErrors: options.maxErrors,
+			maxNew: options.maxNew,
+		},
+		exceeded: checkThresholds(totals, options),
+		pages: results,
+	};
+
+	const output = options.format === "json" ? JSON.stringify(result, null, 2) + "\n" : formatText(result);
+
+	if (options.out) {
+		fs.mkdirSync(path.dirname(options.out), { recursive: true });
+		fs.writeFileSync(options.out, output);
+		console.error(`[sqsA11y-audit] ${path.relative(process.cwd(), options.out)}`);
+	} else {
+		process.stdout.write(output);
+	}
+
+	if (results.some((page) => page.failed)) return 2;
+	if (result.exceeded.length) return 1;
+
+	return 0;
+}
+
+if (require.main === module) {
+	main().then((code) => {
+		process.exitCode = code;
+	});
+}
+
+module.exports = {
+	auditPage: auditPage,
+	findPages: findPages,
+	pageUrl: pageUrl,
+	readLibrary: readLibrary,
+	waitForCycle: waitForCycle,
+};
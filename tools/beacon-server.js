@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Squarespace Accessibility Beacon Server – tools/beacon-server.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Local stand-in for a site-owned findings endpoint, for testing the
+ *   sqsA11yConfig.beacon transport before pointing it at real analytics.
+ *
+ *   Accepts the batches sent by squarespaceA11y-telemetry.js on any path,
+ *   prints a line per finding, and keeps running totals per enhancement
+ *   and kind. With --out, each batch is also appended to a JSON Lines
+ *   file. Totals are printed when the server is stopped with Ctrl+C.
+ *
+ *   Point a test page at it with:
+ *     window.sqsA11yConfig = { beacon: "http://127.0.0.1:8787/findings" };
+ *
+ * Usage:
+ *   node tools/beacon-server.js [--port n] [--out file] [--quiet]
+ *
+ * Options:
+ *   --port <n>     Port to listen on. Default: 8787
+ *   --out <file>   Append each batch to a JSON Lines file.
+ *   --quiet        Print only the totals, not each finding.
+ *   --help         Show usage.
+ *
+ * Notes:
+ *   Listens on 127.0.0.1 only. Responses allow any origin, so a page on
+ *   a Squarespace domain can send to it from the same computer. Browsers
+ *   may block requests from an https page to an http address; use a
+ *   local copy of the page, or allow insecure content for the test.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 256 * 1024;
+const FORMAT = "sqsA11y-findings";
+
+// Finding kinds counted per enhancement. The library's telemetry leaves out "info", but other senders may not.
+const KINDS = ["fix", "warning", "audit", "info"];
+
+const USAGE = "Usage: node tools/beacon-server.js [--port n] [--out file] [--quiet]";
+
+// ===========================================================
+// Arguments
+// ===========================================================
+
+/**
+ * parseArgs()
+ * ------------------------------------------------------------
+ * Reads command-line options. Accepts "--name value" and "--name=value".
+ */
+function parseArgs(argv) {
+	const options = {
+		port: DEFAULT_PORT,
+		out: null,
+		quiet: false,
+		help: false,
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+		const nextValue = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+		switch (flag) {
+			case "--port": {
+				const value = nextValue();
+				const port = Number(value);
+
+				if (!Number.isInteger(port) || port < 0 || port > 65535) {
+					throw new Error(`--port needs a port number, got: ${value}`);
+				}
+
+				options.port = port;
+				break;
+			}
+			case "--out":
+				options.out = path.resolve(process.cwd(), nextValue() || "");
+				break;
+			case "--quiet":
+				options.quiet = true;
+				break;
+			case "--help":
+			case "-h":
+				options.help = true;
+				break;
+			default:
+				throw new Error(`Unknown option: ${argv[i]}\n${USAGE}`);
+		}
+	}
+
+	return options;
+}
+
+// ===========================================================
+// Batches
+// ===========================================================
+
+/**
+ * parseBatch()
+ * ------------------------------------------------------------
+ * Returns the batch object, or throws when the body is not a findings
+ * batch.
+ */
+function parseBatch(body) {
+	const batch = JSON.parse(body);
+
+	if (!batch || batch.format !== FORMAT || !Array.isArray(batch.findings)) {
+		throw new Error(`Expected a "${FORMAT}" batch`);
+	}
+
+	return batch;
+}
+
+/**
+ * addToTotals()
+ * ------------------------------------------------------------
+ * Counts findings by enhancement and kind.
+ */
+function addToTotals(totals, batch) {
+	batch.findings.forEach((finding) => {
+		const name = finding.enhancement || "(unnamed)";
+		const counts = totals.get(name) || { fix: 0, warning: 0, audit: 0, info: 0 };
+
+		if (counts[finding.kind] !== undefined) counts[finding.kind]++;
+		totals.set(name, counts);
+	});
+}
+
+/**
+ * formatTotals()
+ * ------------------------------------------------------------
+ * One line per enhancement, most findings first.
+ */
+function formatTotals(totals, batches) {
+	const total = (counts) => KINDS.reduce((sum, kind) => sum + counts[kind], 0);
+	const rows = Array.from(totals.entries()).sort(([, a], [, b]) => total(b) - total(a));
+
+	const lines = [`${batches} batch(es) received`];
+
+	rows.forEach(([name, counts]) => {
+		lines.push(`  ${name}: ${KINDS.map((kind) => `${counts[kind]} ${kind}`).join(", ")}`);
+	});
+
+	return lines.join("\n");
+}
+
+// ===========================================================
+// Server
+// ===========================================================
+
+/**
+ * createServer()
+ * ------------------------------------------------------------
+ * Returns the HTTP server and its running totals.
+ */
+function createServer(options) {
+	const totals = new Map();
+	const state = { batches: 0 };
+
+	const server = http.createServer((req, res) => {
+		res.setHeader("Access-Control-Allow-Origin", "*");
+		res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+		res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+		if (req.method === "OPTIONS") {
+			res.writeHead(204);
+			res.end();
+			return;
+		}
+
+		if (req.method !== "POST") {
+			res.writeHead(405, { "Content-Type": "text/plain" });
+			res.end("POST findings batches to any path.\n");
+			return;
+		}
+
+		let body = "";
+		let tooLarge = false;
+
+		req.setEncoding("utf8");
+		req.on("data", (chunk) => {
+			body += chunk;
+
+			if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+				tooLarge = true;
+				req.destroy();
+			}
+		});
+
+		req.on("end", () => {
+			if (tooLarge) return;
+
+			let batch;
+
+			try {
+				batch = parseBatch(body);
+			} catch (err) {
+				console.error(`[sqsA11y-beacon] Rejected request to ${req.url}: ${err.message}`);
+				res.writeHead(400, { "Content-Type": "text/plain" });
+				res.end(err.message + "\n");
+				return;
+			}
+
+			state.batches++;
+			addToTotals(totals, batch);
+
+			console.log(`[sqsA11y-beacon] ${batch.findings.length} finding(s) from ${batch.host || "unknown host"}`);
+
+			if (!options.quiet) {
+				batch.findings.forEach((finding) => {
+					console.log(
+						`  ${finding.kind} ${finding.enhancement} ${finding.path}${finding.selector ? " " + finding.selector : ""}`,
+					);
+				});
+			}
+
+			if (options.out) {
+				fs.appendFileSync(options.out, JSON.stringify(batch) + "\n");
+			}
+
+			res.writeHead(204);
+			res.end();
+		});
+	});
+
+	return { server: server, totals: totals, state: state };
+}
+
+function main() {
+	let options;
+
+	try {
+		options = parseArgs(process.argv.slice(2));
+	} catch (err) {
+		console.error(`[sqsA11y-beacon] ${err.message}`);
+		return 2;
+	}
+
+	if (options.help) {
+		console.log(USAGE);
+		return 0;
+	}
+
+	if (options.out) fs.mkdirSync(path.dirname(options.out), { recursive: true });
+
+	const { server, totals, state } = createServer(options);
+
+	server.on("error", (err) => {
+		console.error(`[sqsA11y-beacon] ${err.message}`);
+		process.exitCode = 2;
+	});
+
+	server.listen(options.port, "127.0.0.1", () => {
+		console.log(`[sqsA11y-beacon] Listening on http://127.0.0.1:${server.address().port}/`);
+	});
+
+	process.on("SIGINT", () => {
+		console.log("\n" + formatTotals(totals, state.batches));
+		process.exit(0);
+	});
+
+	return null;
+}
+
+if (require.main === module) {
+	const code = main();
+	if (code !== null) process.exitCode = code;
+}
+
+module.exports = { createServer: createServer, parseBatch: parseBatch };
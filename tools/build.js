@@ -0,0 +1,620 @@
+#!/usr/bin/env node
+/**
+ * Squarespace Accessibility Bundle Build – tools/build.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Description:
+ *   Builds a single-file version of the library for production sites that
+ *   should make one request instead of one per module.
+ *
+ *   The bundle contains, in order:
+ *     1. An inlined manifest (window.sqsA11yBundle) listing bundled modules
+ *     2. Every file in UTIL_LIST
+ *     3. The selected enhancements from ENHANCEMENT_LIST
+ *     4. squarespaceA11y.js
+ *
+ *   The bootstrap reads the inlined manifest and skips loadScript() for
+ *   every bundled module.
+ *
+ *   The review panel and change overlay are only loaded when a reviewer
+ *   opens them, so they stay out of the bundle. They are written to a
+ *   utils/ folder next to it, where the loader requests them.
+ *
+ * Usage:
+ *   node tools/build.js [options]
+ *
+ * Options:
+ *   --exclude a,b     Leave out enhancements, using the same names as
+ *                     excludeEnhancements.
+ *   --include a,b     Bundle only the listed enhancements.
+ *   --audit           Also bundle the audit-only enhancements. They still
+ *                     only run when audit mode is on.
+ *   --out <file>      Output file. Default: dist/squarespaceA11y.bundle.min.js
+ *   --no-minify       Keep comments and whitespace.
+ *   --help            Show usage.
+ *
+ * Requirements:
+ *   Node.js 16 or later. Uses only built-in modules and runs offline.
+ *
+ * Notes:
+ *   Minification is intentionally conservative. Comments, indentation, and
+ *   blank lines are removed, but line breaks and identifiers are kept, so
+ *   the output behaves exactly like the source files and every output line
+ *   maps back to one source line in the source map.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const BOOTSTRAP_FILE = path.join(ROOT, "squarespaceA11y.js");
+const DEFAULT_OUT = path.join(ROOT, "dist", "squarespaceA11y.bundle.min.js");
+
+const USAGE = `Usage: node tools/build.js [--exclude a,b] [--include a,b] [--audit] [--out file] [--no-minify]`;
+
+// ===========================================================
+// Arguments
+// ===========================================================
+
+/**
+ * parseArgs()
+ * ------------------------------------------------------------
+ * Reads command-line options. Accepts "--name value" and "--name=value".
+ */
+function parseArgs(argv) {
+	const options = {
+		exclude: [],
+		include: [],
+		audit: false,
+		minify: true,
+		out: DEFAULT_OUT,
+		help: false,
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+		const nextValue = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+		switch (flag) {
+			case "--exclude":
+				options.exclude.push(...splitNames(nextValue()));
+				break;
+			case "--include":
+				options.include.push(...splitNames(nextValue()));
+				break;
+			case "--audit":
+				options.audit = true;
+				break;
+			case "--no-minify":
+				options.minify = false;
+				break;
+			case "--out":
+				options.out = path.resolve(process.cwd(), nextValue() || "");
+				break;
+			case "--help":
+			case "-h":
+				options.help = true;
+				break;
+			default:
+				throw new Error(`Unknown option: ${argv[i]}\n${USAGE}`);
+		}
+	}
+
+	return options;
+}
+
+function splitNames(value) {
+	return String(value || "")
+		.split(",")
+		.map((name) => name.trim())
+		.filter(Boolean);
+}
+
+// ===========================================================
+// Reading the bootstrap lists
+// ===========================================================
+
+/**
+ * readList()
+ * ------------------------------------------------------------
+ * Extracts the active entries of a `const NAME = [ ... ];` list from
+ * squarespaceA11y.js. Commented-out entries are ignored.
+ */
+function readList(source, listName) {
+	const match = source.match(new RegExp(`const ${listName} = \\[([\\s\\S]*?)\\n\\t\\];`));
+
+	if (!match) {
+		throw new Error(`Could not find ${listName} in squarespaceA11y.js`);
+	}
+
+	return match[1]
+		.split("\n")
+		.map((line) => line.trim())
+		.filter((line) => line.startsWith("{") && /name:\s*"/.test(line))
+		.map((line) => ({
+			name: line.match(/name:\s*"([^"]+)"/)[1],
+			audit: /audit:\s*true/.test(line),
+		}));
+}
+
+/**
+ * readReviewerTools()
+ * ------------------------------------------------------------
+ * File names from the REVIEWER_TOOLS object in squarespaceA11y.js.
+ */
+function readReviewerTools(source) {
+	const match = source.match(/const REVIEWER_TOOLS = \{([\s\S]*?)\n\t\};/);
+
+	if (!match) {
+		throw new Error("Could not find REVIEWER_TOOLS in squarespaceA11y.js");
+	}
+
+	return Array.from(match[1].matchAll(/file:\s*"([^"]+)"/g), (fileMatch) => fileMatch[1]);
+}
+
+/**
+ * selectEnhancements()
+ * ------------------------------------------------------------
+ * Applies --include, --exclude and --audit to ENHANCEMENT_LIST.
+ */
+function selectEnhancements(list, options) {
+	const known = list.map((item) => item.name);
+	const unknown = options.include.concat(options.exclude).filter((name) => !known.includes(name));
+
+	if (unknown.length) {
+		throw new Error(`Unknown enhancement name(s): ${unknown.join(", ")}\nKnown names: ${known.join(", ")}`);
+	}
+
+	return list.filter((item) => {
+		if (options.include.length && !options.include.includes(item.name)) return false;
+		if (options.exclude.includes(item.name)) return false;
+		if (item.audit && !options.audit && !options.include.includes(item.name)) return false;
+		return true;
+	});
+}
+
+// ===========================================================
+// Conservative minifier
+// ===========================================================
+
+const REGEX_PRECEDING_WORDS = new Set([
+	"return",
+	"typeof",
+	"instanceof",
+	"in",
+	"of",
+	"new",
+	"delete",
+	"void",
+	"throw",
+	"case",
+	"do",
+	"else",
+	"yield",
+	"await",
+]);
+
+/**
+ * stripComments()
+ * ------------------------------------------------------------
+ * Removes comments while keeping every line break, so line numbers in the
+ * result match the source. Strings, template literals, and regular
+ * expression literals are copied unchanged.
+ *
+ * Returns { code, protectedLines }, where protectedLines holds the line
+ * numbers that start inside a template literal and must not be trimmed.
+ */
+function stripComments(source) {
+	let out = "";
+	let line = 0;
+	let i = 0;
+	let lastSignificant = "";
+	let lastWord = "";
+
+	// Stack of brace depths for template literal ${ } expressions.
+	const templateStack = [];
+	let braceDepth = 0;
+	const protectedLines = new Set();
+
+	function copy(ch) {
+		out += ch;
+		if (ch === "\n") line++;
+	}
+
+	function copyString(quote) {
+		copy(source[i++]);
+		while (i < source.length && source[i] !== quote) {
+			if (source[i] === "\\") copy(source[i++]);
+			if (i < source.length) copy(source[i++]);
+		}
+		if (i < source.length) copy(source[i++]);
+	}
+
+	/*
+	 * Copies template text up to the closing backtick or the start of a
+	 * ${ } expression. Returns true when an expression was entered.
+	 */
+	function copyTemplateText() {
+		while (i < source.length) {
+			const ch = source[i];
+
+			if (ch === "\\") {
+				copy(source[i++]);
+				if (i < source.length) copy(source[i++]);
+				continue;
+			}
+
+			if (ch === "`") {
+				copy(source[i++]);
+				return false;
+			}
+
+			if (ch === "$" && source[i + 1] === "{") {
+				copy(source[i++]);
+				copy(source[i++]);
+				templateStack.push(braceDepth);
+				braceDepth = 0;
+				return true;
+			}
+
+			copy(source[i++]);
+			if (ch === "\n") protectedLines.add(line);
+		}
+
+		return false;
+	}
+
+	function copyRegex() {
+		let inClass = false;
+		copy(source[i++]);
+
+		while (i < source.length) {
+			const ch = source[i];
+
+			if (ch === "\\") {
+				copy(source[i++]);
+				if (i < source.length) copy(source[i++]);
+				continue;
+			}
+
+			if (ch === "\n") break;
+			if (ch === "[") inClass = true;
+			if (ch === "]") inClass = false;
+
+			copy(source[i++]);
+			if (ch === "/" && !inClass) break;
+		}
+
+		while (i < source.length && /[a-z]/i.test(source[i])) copy(source[i++]);
+	}
+
+	function regexAllowed() {
+		if (!lastSignificant) return true;
+		if (/[(,=:[!&|?{};+\-*%<>~^]/.test(lastSignificant)) return true;
+
+		return /[A-Za-z_$]/.test(lastSignificant) && REGEX_PRECEDING_WORDS.has(lastWord);
+	}
+
+	while (i < source.length) {
+		const ch = source[i];
+		const next = source[i + 1];
+
+		if (ch === "/" && next === "/") {
+			while (i < source.length && source[i] !== "\n") i++;
+			continue;
+		}
+
+		if (ch === "/" && next === "*") {
+			const end = source.indexOf("*/", i + 2);
+			const stop = end === -1 ? source.length : end + 2;
+			const newlines = (source.slice(i, stop).match(/\n/g) || []).length;
+
+			// Keep a separator so tokens on either side are not joined.
+			out += newlines ? "\n".repeat(newlines) : " ";
+			line += newlines;
+			i = stop;
+			continue;
+		}
+
+		if (ch === '"' || ch === "'") {
+			copyString(ch);
+			lastSignificant = ch;
+			lastWord = "";
+			continue;
+		}
+
+		if (ch === "`") {
+			copy(source[i++]);
+			copyTemplateText();
+			lastSignificant = "`";
+			lastWord = "";
+			continue;
+		}
+
+		if (ch === "/" && regexAllowed()) {
+			copyRegex();
+			lastSignificant = "/";
+			lastWord = "";
+			continue;
+		}
+
+		if (ch === "{") braceDepth++;
+
+		if (ch === "}") {
+			if (braceDepth === 0 && templateStack.length) {
+				copy(source[i++]);
+				braceDepth = templateStack.pop();
+				copyTemplateText();
+				lastSignificant = "`";
+				lastWord = "";
+				continue;
+			}
+			braceDepth--;
+		}
+
+		if (/[A-Za-z0-9_$]/.test(ch)) {
+			let word = "";
+			while (i < source.length && /[A-Za-z0-9_$]/.test(source[i])) {
+				word += source[i];
+				copy(source[i++]);
+			}
+			lastSignificant = word[word.length - 1];
+			lastWord = word;
+			continue;
+		}
+
+		if (!/\s/.test(ch)) {
+			lastSignificant = ch;
+			lastWord = "";
+		}
+
+		copy(source[i++]);
+	}
+
+	return { code: out, protectedLines: protectedLines };
+}
+
+/**
+ * minifyLines()
+ * ------------------------------------------------------------
+ * Returns [{ text, line, column }] where line/column point at the
+ * source position of the first character kept on each output line.
+ */
+function minifyLines(source, minify) {
+	if (!minify) {
+		return source.split("\n").map((text, line) => ({ text: text, line: line, column: 0 }));
+	}
+
+	const stripped = stripComments(source);
+	const lines = stripped.code.split("\n");
+	const result = [];
+
+	lines.forEach((text, line) => {
+		const isProtected = stripped.protectedLines.has(line);
+		const endsProtected = stripped.protectedLines.has(line + 1);
+
+		if (isProtected) {
+			result.push({ text: text, line: line, column: 0 });
+			return;
+		}
+
+		const trimmedStart = text.replace(/^\s+/, "");
+		const column = text.length - trimmedStart.length;
+		const trimmed = endsProtected ? trimmedStart : trimmedStart.replace(/\s+$/, "");
+
+		if (!trimmed && !endsProtected) return;
+
+		result.push({ text: trimmed, line: line, column: column });
+	});
+
+	return result;
+}
+
+// ===========================================================
+// Source map
+// ===========================================================
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function encodeVlq(value) {
+	let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+	let encoded = "";
+
+	do {
+		let digit = vlq & 31;
+		vlq >>>= 5;
+		if (vlq > 0) digit |= 32;
+		encoded += BASE64[digit];
+	} while (vlq > 0);
+
+	return encoded;
+}
+
+/**
+ * createSourceMap()
+ * ------------------------------------------------------------
+ * Builds a version 3 source map with one segment per output line.
+ * Lines without a source (for example the inlined manifest) map to nothing.
+ */
+function createSourceMap(outputFile, outputLines, sources) {
+	let previousSource = 0;
+	let previousLine = 0;
+	let previousColumn = 0;
+
+	const mappings = outputLines
+		.map((entry) => {
+			if (entry.source === undefined) return "";
+
+			const segment =
+				encodeVlq(0) +
+				encodeVlq(entry.source - previousSource) +
+				encodeVlq(entry.line - previousLine) +
+				encodeVlq(entry.column - previousColumn);
+
+			previousSource = entry.source;
+			previousLine = entry.line;
+			previousColumn = entry.column;
+
+			return segment;
+		})
+		.join(";");
+
+	return {
+		version: 3,
+		file: path.basename(outputFile),
+		sources: sources.map((source) => path.relative(path.dirname(outputFile), source.file).split(path.sep).join("/")),
+		sourcesContent: sources.map((source) => source.content),
+		names: [],
+		mappings: mappings,
+	};
+}
+
+// ===========================================================
+// Build
+// ===========================================================
+
+/**
+ * writeOutput()
+ * ------------------------------------------------------------
+ * Writes the output lines and their source map next to each other.
+ * Returns the map file path.
+ */
+function writeOutput(outFile, outputLines, sources) {
+	const mapFile = outFile + ".map";
+	const map = createSourceMap(outFile, outputLines, sources);
+
+	outputLines.push({ text: `//# sourceMappingURL=${path.basename(mapFile)}` });
+
+	fs.mkdirSync(path.dirname(outFile), { recursive: true });
+	fs.writeFileSync(outFile, outputLines.map((entry) => entry.text).join("\n") + "\n");
+	fs.writeFileSync(mapFile, JSON.stringify(map));
+
+	return mapFile;
+}
+
+/**
+ * writeReviewerTools()
+ * ------------------------------------------------------------
+ * Writes each reviewer tool, minified like the bundle, to utils/ next to
+ * the bundle. Returns the written file paths.
+ */
+function writeReviewerTools(bootstrapSource, options) {
+	const outDir = path.join(path.dirname(options.out), "utils");
+
+	return readReviewerTools(bootstrapSource).map((name) => {
+		const file = path.join(ROOT, "utils", name);
+		const content = fs.readFileSync(file, "utf8");
+		const outFile = path.join(outDir, name);
+
+		const outputLines = minifyLines(content, options.minify).map((entry) => ({
+			text: entry.text,
+			source: 0,
+			line: entry.line,
+			column: entry.column,
+		}));
+
+		writeOutput(outFile, outputLines, [{ file: file, content: content }]);
+
+		return outFile;
+	});
+}
+
+function build(options) {
+	const bootstrapSource = fs.readFileSync(BOOTSTRAP_FILE, "utf8");
+	const versionMatch = bootstrapSource.match(/window\.sqsA11y\.version = "([^"]+)"/);
+	const version = versionMatch ? versionMatch[1] : "";
+
+	const utilList = readList(bootstrapSource, "UTIL_LIST");
+	const enhancements = selectEnhancements(readList(bootstrapSource, "ENHANCEMENT_LIST"), options);
+
+	const files = utilList
+		.map((item) => ({ name: item.name, file: path.join(ROOT, "utils", item.name) }))
+		.concat(
+			enhancements.map((item) => ({
+				name: item.name,
+				file: path.join(ROOT, "enhancements", item.name + ".js"),
+			})),
+		)
+		.concat([{ name: null, file: BOOTSTRAP_FILE }]);
+
+	const manifest = {
+		version: version,
+		modules: files.filter((item) => item.name).map((item) => item.name),
+	};
+
+	const outputLines = [
+		{ text: `/*! squarespace-wcag-utils v${version} | MIT | bundled build */` },
+		{ text: `window.sqsA11yBundle = ${JSON.stringify(manifest)};` },
+	];
+
+	const sources = [];
+
+	files.forEach((item) => {
+		const content = fs.readFileSync(item.file, "utf8");
+		const sourceIndex = sources.push({ file: item.file, content: content }) - 1;
+
+		minifyLines(content, options.minify).forEach((entry) => {
+			outputLines.push({ text: entry.text, source: sourceIndex, line: entry.line, column: entry.column });
+		});
+
+		// Keep each module a separate statement, whatever its last line is.
+		outputLines.push({ text: ";" });
+	});
+
+	const mapFile = writeOutput(options.out, outputLines, sources);
+	const reviewerTools = writeReviewerTools(bootstrapSource, options);
+
+	return { manifest: manifest, out: options.out, mapFile: mapFile, reviewerTools: reviewerTools };
+}
+
+// ===========================================================
+// CLI
+// ===========================================================
+
+function main() {
+	let options;
+
+	try {
+		options = parseArgs(process.argv.slice(2));
+	} catch (err) {
+		console.error(`[sqsA11y-build] ${err.message}`);
+		process.exit(1);
+	}
+
+	if (options.help) {
+		console.log(USAGE);
+		return;
+	}
+
+	try {
+		const result = build(options);
+		const size = fs.statSync(result.out).size;
+
+		console.log(`[sqsA11y-build] Bundled ${result.manifest.modules.length} modules (${size.toLocaleString()} bytes)`);
+		console.log(`[sqsA11y-build] ${path.relative(process.cwd(), result.out)}`);
+		console.log(`[sqsA11y-build] ${path.relative(process.cwd(), result.mapFile)}`);
+
+		result.reviewerTools.forEach((file) => {
+			console.log(`[sqsA11y-build] ${path.relative(process.cwd(), file)} (loaded on demand)`);
+		});
+	} catch (err) {
+		console.error(`[sqsA11y-build] ${err.message}`);
+		process.exit(1);
+	}
+}
+
+if (require.main === module) {
+	main();
+}
+
+module.exports = {
+	build: build,
+	minifyLines: minifyLines,
+	readList: readList,
+	selectEnhancements: selectEnhancements,
+};
@@ -0,0 +1,480 @@
+/**
+ * Squarespace Accessibility Name Computation – squarespaceA11y-accname.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Computes the accessible name and description of an element following
+ * the W3C Accessible Name and Description Computation (accname 1.2) and
+ * the HTML-AAM rules for native elements, so every enhancement agrees on
+ * whether something is unnamed.
+ *
+ * Name steps, in order, for each node visited:
+ *   A. Hidden nodes (display: none, visibility: hidden, the hidden
+ *      attribute, aria-hidden="true") are skipped, unless they are
+ *      referenced directly by aria-labelledby or aria-describedby.
+ *   B. aria-labelledby, followed one level deep.
+ *   C. Form controls embedded in another element's name contribute their
+ *      value or selected option.
+ *   D. aria-label.
+ *   E. Native labels: <label>, alt, button values, <legend>,
+ *      <figcaption>, <caption>, and the SVG <title>.
+ *   F. Text from content, for roles that take their name from content
+ *      (links, buttons, headings, cells, ...) and inside labels, with
+ *      ::before and ::after content and spaces around block elements.
+ *   I. The title attribute, and placeholder for text fields.
+ *
+ * Text that is only visually hidden, such as screen-reader-only text, is
+ * part of the name, the same as in browsers. An element that is itself
+ * hidden has no name, and hidden content is only followed through
+ * aria-labelledby and aria-describedby. Repairs that must name an element
+ * before it is shown, such as the button of a closed menu, pass
+ * { whenShown: true }.
+ *
+ * Public API:
+ *   utils.getAccessibleName(el, options)
+ *     Returns the accessible name, with whitespace collapsed, or "".
+ *     options.whenShown ignores whether el itself is hidden, so the
+ *     result is the name it will have once shown. Hidden content inside
+ *     it is still skipped.
+ *
+ *   utils.getAccessibleDescription(el)
+ *     Returns the accessible description from aria-describedby,
+ *     aria-description, or a title that was not used for the name.
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+	window.sqsA11y.utils = window.sqsA11y.utils || {};
+
+	const utils = window.sqsA11y.utils;
+
+	if (typeof utils.getAccessibleName === "function") return;
+
+	/*
+	 * Roles whose name can come from their content.
+	 */
+	const NAME_FROM_CONTENT_ROLES = [
+		"button",
+		"cell",
+		"checkbox",
+		"columnheader",
+		"gridcell",
+		"heading",
+		"link",
+		"menuitem",
+		"menuitemcheckbox",
+		"menuitemradio",
+		"option",
+		"radio",
+		"row",
+		"rowheader",
+		"sectionhead",
+		"switch",
+		"tab",
+		"tooltip",
+		"treeitem",
+	];
+
+	/*
+	 * Native elements whose content is the text alternative of another
+	 * element, so their content is always used.
+	 */
+	const LABEL_ELEMENTS = ["LABEL", "LEGEND", "CAPTION", "FIGCAPTION", "SUMMARY"];
+
+	const SKIPPED_ELEMENTS = ["SCRIPT", "STYLE", "TEMPLATE", "NOSCRIPT"];
+
+	const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+	const TEXT_INPUT_TYPES = ["", "text", "search", "email", "tel", "url", "password", "number"];
+
+	/**
+	 * getRole()
+	 * ------------------------------------------------------------
+	 * The first role attribute token, or the implicit role of common
+	 * HTML elements.
+	 */
+	function getRole(el) {
+		const explicit = (el.getAttribute("role") || "").trim().toLowerCase().split(/\s+/)[0];
+		if (explicit) return explicit;
+
+		const tag = el.tagName.toUpperCase();
+		const type = (el.getAttribute("type") || "").toLowerCase();
+
+		if ((tag === "A" || tag === "AREA") && el.hasAttribute("href")) return "link";
+		if (tag === "BUTTON" || tag === "SUMMARY") return "button";
+		if (/^H[1-6]$/.test(tag)) return "heading";
+		if (tag === "TD") return "cell";
+		if (tag === "TH") return el.getAttribute("scope") === "row" ? "rowheader" : "columnheader";
+		if (tag === "TR") return "row";
+		if (tag === "OPTION") return "option";
+		if (tag === "IMG") return el.getAttribute("alt") === "" ? "presentation" : "img";
+		if (tag === "SELECT") return el.multiple || el.size > 1 ? "listbox" : "combobox";
+		if (tag === "TEXTAREA") return "textbox";
+
+		if (tag === "INPUT") {
+			if (["button", "submit", "reset", "image"].includes(type)) return "button";
+			if (type === "checkbox") return "checkbox";
+			if (type === "radio") return "radio";
+			if (type === "range") return "slider";
+			if (TEXT_INPUT_TYPES.includes(type)) return type === "number" ? "spinbutton" : "textbox";
+		}
+
+		return "";
+	}
+
+	/**
+	 * isHidden()
+	 * ------------------------------------------------------------
+	 * True when the element itself is not rendered or is hidden from
+	 * assistive technology. Ancestors are checked as the walk reaches them.
+	 */
+	function isHidden(el) {
+		if (el.hidden || el.getAttribute("aria-hidden") === "true") return true;
+
+		const style = window.getComputedStyle(el);
+
+		if (!style) return false;
+
+		return style.display === "none" || style.visibility === "hidden" || style.visibility === "collapse";
+	}
+
+	/**
+	 * getReferencedElements()
+	 * ------------------------------------------------------------
+	 * Elements listed by id in an IDREF attribute such as aria-labelledby.
+	 */
+	function getReferencedElements(el, attribute) {
+		const root = el.getRootNode ? el.getRootNode() : document;
+		const lookup = typeof root.getElementById === "function" ? root : document;
+
+		return (el.getAttribute(attribute) || "")
+			.split(/\s+/)
+			.filter(Boolean)
+			.map((id) => lookup.getElementById(id))
+			.filter(Boolean);
+	}
+
+	/**
+	 * getPseudoContent()
+	 * ------------------------------------------------------------
+	 * Text from CSS ::before or ::after content, or "".
+	 */
+	function getPseudoContent(el, pseudo) {
+		let content = "";
+
+		try {
+			const style = window.getComputedStyle(el, pseudo);
+			content = style ? style.content : "";
+		} catch (err) {
+			return "";
+		}
+
+		if (!content || content === "none" || content === "normal") return "";
+
+		// Only quoted strings are text; counters, images, and attr() are not read.
+		const strings = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g);
+		if (!strings) return "";
+
+		const text = strings.map((part) => part.slice(1, -1).replace(/\\(.)/g, "$1")).join("");
+
+		// "Alt text" for generated content: content: "★" / "Rating"
+		const alt = content.match(/\/\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')\s*$/);
+		return alt ? alt[1].slice(1, -1) : text;
+	}
+
+	/**
+	 * isBlock()
+	 * ------------------------------------------------------------
+	 * Block-level content is separated from its neighbors by a space.
+	 */
+	function isBlock(el) {
+		const style = window.getComputedStyle(el);
+		const display = style ? style.display : "";
+
+		return !!display && !/^inline/.test(display) && display !== "contents";
+	}
+
+	/**
+	 * getEmbeddedControlValue()
+	 * ------------------------------------------------------------
+	 * Step C: the value a form control contributes when it is inside the
+	 * label or content of another element. Returns null for other elements.
+	 */
+	function getEmbeddedControlValue(el, role) {
+		if (role === "textbox" || role === "searchbox") {
+			if (el.tagName === "INPUT" || el.tagName === "TEXTAREA") return el.value || "";
+			return el.textContent || "";
+		}
+
+		if (role === "combobox" || role === "listbox") {
+			if (el.tagName === "SELECT") {
+				return Array.from(el.selectedOptions || [])
+					.map((option) => option.textContent)
+					.join(" ");
+			}
+
+			const selected = el.querySelector("[role='option'][aria-selected='true']");
+			return selected ? selected.textContent : el.tagName === "INPUT" ? el.value || "" : "";
+		}
+
+		if (["slider", "spinbutton", "progressbar", "scrollbar", "meter"].includes(role)) {
+			return el.getAttribute("aria-valuetext") || el.getAttribute("aria-valuenow") || el.value || "";
+		}
+
+		return null;
+	}
+
+	/**
+	 * getNativeLabel()
+	 * ------------------------------------------------------------
+	 * Step E: names given by HTML itself. Returns null when the element
+	 * has none, so later steps are tried.
+	 */
+	function getNativeLabel(el, role, context) {
+		const tag = el.tagName.toUpperCase();
+		const type = (el.getAttribute("type") || "").toLowerCase();
+
+		if (tag === "INPUT" && ["button", "submit", "reset"].includes(type)) {
+			if (el.hasAttribute("value")) return el.getAttribute("value");
+			if (type === "submit") return "Submit";
+			if (type === "reset") return "Reset";
+		}
+
+		if (tag === "INPUT" && type === "image") {
+			return el.getAttribute("alt") || el.getAttribute("value") || el.getAttribute("title") || "Submit";
+		}
+
+		if (el.labels && el.labels.length && type !== "hidden") {
+			const text = Array.from(el.labels)
+				.map((label) => computeText(label, Object.assign({}, context, { recursing: true })))
+				.join(" ");
+
+			if (text.trim()) return text;
+		}
+
+		if ((tag === "IMG" || tag === "AREA") && el.hasAttribute("alt")) return el.getAttribute("alt");
+
+		const captionTag = { FIELDSET: "LEGEND", FIGURE: "FIGCAPTION", TABLE: "CAPTION" }[tag];
+
+		if (captionTag) {
+			const caption = Array.from(el.children).find((child) => child.tagName === captionTag);
+			if (caption) {
+				const text = computeText(caption, Object.assign({}, context, { recursing: true }));
+				if (text.trim()) return text;
+			}
+		}
+
+		if (tag === "SVG") {
+			const title = Array.from(el.children).find((child) => child.tagName.toUpperCase() === "TITLE");
+			if (title && title.textContent.trim()) return title.textContent;
+		}
+
+		return null;
+	}
+
+	/**
+	 * getContentText()
+	 * ------------------------------------------------------------
+	 * Step F: text of the element's children, with ::before and ::after.
+	 */
+	function getContentText(el, context) {
+		const parts = [getPseudoContent(el, "::before")];
+		const children = el.shadowRoot ? el.shadowRoot.childNodes : el.childNodes;
+
+		Array.from(children).forEach((child) => {
+			if (child.nodeType === Node.TEXT_NODE) {
+				parts.push(child.data);
+				return;
+			}
+
+			if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+			const text = computeText(child, Object.assign({}, context, { recursing: true }));
+			parts.push(isBlock(child) ? ` ${text} ` : text);
+		});
+
+		parts.push(getPseudoContent(el, "::after"));
+
+		return parts.join("");
+	}
+
+	/**
+	 * computeText()
+	 * ------------------------------------------------------------
+	 * Text alternative of one node.
+	 *
+	 * context:
+	 *   root          Element whose name is being computed
+	 *   recursing     Visiting a descendant or label, not the root itself
+	 *   referenced    Inside an aria-labelledby or aria-describedby traversal
+	 *   includeHidden The referenced node was hidden, so hidden content counts
+ *   whenShown     The root is named as if shown (getAccessibleName options)
+	 *   visited       Nodes already visited, to stop reference loops
+	 */
+	function computeText(el, context) {
+		if (context.visited.has(el)) return "";
+		context.visited.add(el);
+
+		const tag = el.tagName.toUpperCase();
+
+		if (SKIPPED_ELEMENTS.includes(tag)) return "";
+
+		// SVG <title> is read in step E, and <desc> is a description.
+		if (el.namespaceURI === SVG_NAMESPACE && (tag === "TITLE" || tag === "DESC")) return "";
+
+		// A. Hidden
+		const shownRoot = context.whenShown && el === context.root && !context.recursing;
+		if (!context.includeHidden && !shownRoot && isHidden(el)) return "";
+
+		// B. aria-labelledby, not followed again inside a referenced node
+		if (!context.referenced) {
+			const labels = getReferencedElements(el, "aria-labelledby");
+
+			if (labels.length) {
+				const text = labels
+					.map((label) => {
+						// A control may list itself, e.g. aria-labelledby="own-id price-label".
+						if (label === el) context.visited.delete(el);
+
+						return computeText(label, {
+							root: context.root,
+							recursing: true,
+							referenced: true,
+							includeHidden: context.includeHidden || isHidden(label),
+							visited: context.visited,
+						});
+					})
+					.join(" ");
+
+				if (text.trim()) return text;
+			}
+		}
+
+		const role = getRole(el);
+
+		// Presentational content (an img with alt="", role="none") contributes only its content.
+		const presentational = role === "presentation" || role === "none";
+
+		// The control whose name is being computed is not part of its own label.
+		if (context.recursing && !context.referenced && el === context.root) return "";
+
+		// C. Embedded control
+		if (context.recursing) {
+			const value = getEmbeddedControlValue(el, role);
+			if (value !== null) return value;
+		}
+
+		// D. aria-label
+		const ariaLabel = el.getAttribute("aria-label");
+		if (!presentational && ariaLabel && ariaLabel.trim()) return ariaLabel;
+
+		// E. Native labels
+		if (!presentational) {
+			const native = getNativeLabel(el, role, context);
+			if (native !== null && native.trim()) return native;
+		}
+
+		// F. Name from content
+		if (context.recursing || NAME_FROM_CONTENT_ROLES.includes(role) || LABEL_ELEMENTS.includes(tag)) {
+			const text = getContentText(el, context);
+			if (text.trim()) return text;
+		}
+
+		// I. Tooltip, then placeholder for text fields
+		const title = el.getAttribute("title");
+		if (!presentational && title && title.trim()) return title;
+
+		if (role === "textbox" || role === "searchbox" || role === "combobox") {
+			const placeholder = el.getAttribute("placeholder") || el.getAttribute("aria-placeholder");
+			if (placeholder && placeholder.trim()) return placeholder;
+		}
+
+		return "";
+	}
+
+	/**
+	 * getAccessibleName()
+	 * ----------------------------------------------------------------
+	 * Purpose:
+	 *   The accessible name a browser exposes for an element.
+	 *
+	 * Parameters:
+	 *   el                 Element to name
+	 *   options.whenShown  Name el as if it were shown. Its hidden
+	 *                      descendants are still skipped.
+	 *
+	 * Returns:
+	 *   String → name with whitespace collapsed, or "" when the element is
+	 *   unnamed or hidden.
+	 */
+	utils.getAccessibleName = function (el, options) {
+		if (!el || el.nodeType !== 1) return "";
+
+		try {
+			const text = computeText(el, {
+				root: el,
+				recursing: false,
+				referenced: false,
+				includeHidden: false,
+				whenShown: !!(options && options.whenShown),
+				visited: new Set(),
+			});
+
+			return text.replace(/\s+/g, " ").trim();
+		} catch (err) {
+			console.warn("[sqsA11y-accname] Could not compute accessible name:", err);
+			return "";
+		}
+	};
+
+	/**
+	 * getAccessibleDescription()
+	 * ----------------------------------------------------------------
+	 * Purpose:
+	 *   The accessible description a browser exposes for an element.
+	 *
+	 * Behavior:
+	 *   - aria-describedby references, including hidden ones.
+	 *   - aria-description.
+	 *   - The title attribute, when the name did not already use it.
+	 *
+	 * Returns:
+	 *   String → description with whitespace collapsed, or "".
+	 */
+	utils.getAccessibleDescription = function (el) {
+		if (!el || el.nodeType !== 1) return "";
+
+		try {
+			const references = getReferencedElements(el, "aria-describedby");
+			let text = references
+				.map((ref) =>
+					computeText(ref, {
+						root: el,
+						recursing: true,
+						referenced: true,
+						includeHidden: isHidden(ref),
+						visited: new Set([el]),
+					}),
+				)
+				.join(" ");
+
+			if (!text.trim()) text = el.getAttribute("aria-description") || "";
+
+			if (!text.trim()) {
+				const title = (el.getAttribute("title") || "").replace(/\s+/g, " ").trim();
+				if (title && title !== utils.getAccessibleName(el)) text = title;
+			}
+
+			return text.replace(/\s+/g, " ").trim();
+		} catch (err) {
+			console.warn("[sqsA11y-accname] Could not compute accessible description:", err);
+			return "";
+		}
+	};
+})(window, document);
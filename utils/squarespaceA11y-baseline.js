@@ -0,0 +1,287 @@
+/**
+ * Squarespace Accessibility Findings Baseline – squarespaceA11y-baseline.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Saves the findings recorded in window.sqsA11y.findings as a baseline
+ * and compares a later run against it, so a template update or content
+ * change can be checked for what got worse.
+ *
+ * A baseline groups findings by page path. Within a page, a finding is
+ * identified by its enhancement, kind, element selector, and changed
+ * attribute. Descriptions are kept for reading but are not compared, so
+ * a changed link text does not count as a new finding.
+ *
+ * Pages are keyed by path only ("/blog"), so a baseline saved on a
+ * staging domain can be compared on the live site, and baselines work
+ * with tools/audit.js whatever --base-url it used.
+ *
+ * Public API:
+ *   window.sqsA11y.baseline.create(filter)
+ *     Returns a baseline object for every page in the findings store,
+ *     plus the current page even when it has no findings. filter is
+ *     passed to window.sqsA11y.report().
+ *
+ *   window.sqsA11y.baseline.save(filter)
+ *     Creates a baseline and stores it in localStorage. Pages already in
+ *     the stored baseline are kept unless this run has findings for them,
+ *     so a reviewer can save page by page.
+ *
+ *   window.sqsA11y.baseline.load()
+ *     Returns the stored baseline, or null.
+ *
+ *   window.sqsA11y.baseline.download(baseline)
+ *     Downloads a baseline as JSON. Defaults to the stored baseline, or a
+ *     new one when nothing is stored.
+ *
+ *   window.sqsA11y.baseline.compare(baseline, filter)
+ *     Compares this run's findings with a baseline object, its JSON text,
+ *     or, when omitted, the stored baseline. The current page and pages
+ *     with findings in this run are compared; other baselined pages are
+ *     left out rather than reported as resolved.
+ *     Returns { summary, pages: [{ path, baselined, new, resolved, unchanged }] }
+ *
+ *   window.sqsA11y.baseline.clear()
+ *     Removes the stored baseline.
+ *
+ * Dependencies:
+ *   - squarespaceA11y-findings.js
+ *   - utils.downloadText() (squarespaceA11y-utils.js)
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+
+	if (window.sqsA11y.baseline) return;
+
+	const STORAGE_KEY = "sqsA11yBaseline";
+	const FORMAT = "sqsA11y-baseline";
+	const FORMAT_VERSION = 1;
+
+	/*
+	 * New findings of these kinds are counted as regressions: the library
+	 * found a possible issue it could not fix.
+	 */
+	const REGRESSION_KINDS = ["warning", "audit"];
+
+	/**
+	 * pagePath()
+	 * ------------------------------------------------------------
+	 * Returns the path of a finding's URL, without a trailing slash
+	 * except for the home page.
+	 */
+	function pagePath(url) {
+		let path = "/";
+
+		try {
+			path = new URL(url, window.location.href).pathname;
+		} catch (err) {}
+
+		return path.length > 1 ? path.replace(/\/+$/, "") : path;
+	}
+
+	/**
+	 * findingKey()
+	 * ------------------------------------------------------------
+	 * Identifies one finding within a page.
+	 */
+	function findingKey(entry) {
+		return [entry.enhancement, entry.kind, entry.selector || "", entry.attribute || ""].join(" | ");
+	}
+
+	/**
+	 * create(filter)
+	 * ------------------------------------------------------------
+	 * Builds a baseline from the findings store.
+	 */
+	function create(filter) {
+		const pages = {};
+
+		// A clean page is baselined too, so later findings on it count as new.
+		pages[pagePath(window.location.href)] = [];
+
+		if (typeof window.sqsA11y.report === "function") {
+			window.sqsA11y.report(filter).forEach((entry) => {
+				const path = pagePath(entry.url);
+				const key = findingKey(entry);
+				const page = pages[path] || (pages[path] = []);
+
+				if (page.some((item) => item.key === key)) return;
+
+				page.push({
+					key: key,
+					enhancement: entry.enhancement,
+					kind: entry.kind,
+					wcag: entry.wcag,
+					description: entry.description,
+					selector: entry.selector,
+					attribute: entry.attribute,
+				});
+			});
+		}
+
+		return {
+			format: FORMAT,
+			formatVersion: FORMAT_VERSION,
+			version: window.sqsA11y.version || "",
+			created: new Date().toISOString(),
+			pages: pages,
+		};
+	}
+
+	/**
+	 * parse()
+	 * ------------------------------------------------------------
+	 * Accepts a baseline object or its JSON text. Returns null, with a
+	 * warning, when the input is not a baseline.
+	 */
+	function parse(input) {
+		let baseline = input;
+
+		if (typeof input === "string") {
+			try {
+				baseline = JSON.parse(input);
+			} catch (err) {
+				console.warn("[sqsA11y-baseline] Baseline is not valid JSON:", err.message);
+				return null;
+			}
+		}
+
+		if (!baseline || baseline.format !== FORMAT || !baseline.pages || typeof baseline.pages !== "object") {
+			console.warn("[sqsA11y-baseline] Not a findings baseline. Create one with window.sqsA11y.baseline.create().");
+			return null;
+		}
+
+		return baseline;
+	}
+
+	/**
+	 * load()
+	 * ------------------------------------------------------------
+	 * Reads the stored baseline.
+	 */
+	function load() {
+		let text = null;
+
+		try {
+			text = window.localStorage.getItem(STORAGE_KEY);
+		} catch (err) {}
+
+		return text ? parse(text) : null;
+	}
+
+	/**
+	 * save(filter)
+	 * ------------------------------------------------------------
+	 * Stores a baseline, merged page by page into the stored one.
+	 */
+	function save(filter) {
+		const baseline = create(filter);
+		const stored = load();
+
+		if (stored) {
+			baseline.pages = Object.assign({}, stored.pages, baseline.pages);
+		}
+
+		try {
+			window.localStorage.setItem(STORAGE_KEY, JSON.stringify(baseline));
+		} catch (err) {
+			console.warn("[sqsA11y-baseline] Could not store the baseline. Use download() instead.", err);
+		}
+
+		return baseline;
+	}
+
+	/**
+	 * clear()
+	 * ------------------------------------------------------------
+	 * Removes the stored baseline.
+	 */
+	function clear() {
+		try {
+			window.localStorage.removeItem(STORAGE_KEY);
+		} catch (err) {}
+	}
+
+	/**
+	 * download(baseline)
+	 * ------------------------------------------------------------
+	 * Downloads a baseline so it can be kept with the review files.
+	 */
+	function download(baseline) {
+		const target = baseline ? parse(baseline) : load() || create();
+		if (!target) return "";
+
+		const text = JSON.stringify(target, null, 2);
+		const host = (window.location.hostname || "page").replace(/[^a-z0-9.-]/gi, "-");
+		const stamp = new Date().toISOString().slice(0, 10);
+
+		window.sqsA11y.utils.downloadText(text, `sqsA11y-baseline-${host}-${stamp}.json`, "application/json");
+
+		return text;
+	}
+
+	/**
+	 * compare(baseline, filter)
+	 * ------------------------------------------------------------
+	 * Sorts this run's findings into new and unchanged, and the
+	 * baseline's findings that were not seen again into resolved.
+	 */
+	function compare(baseline, filter) {
+		const base = baseline === undefined ? load() : parse(baseline);
+
+		if (!base) {
+			if (baseline === undefined) {
+				console.warn("[sqsA11y-baseline] No baseline is stored. Run window.sqsA11y.baseline.save() first.");
+			}
+			return null;
+		}
+
+		const current = create(filter);
+		const summary = { new: 0, resolved: 0, unchanged: 0, regressions: 0 };
+
+		const pages = Object.keys(current.pages).map((path) => {
+			const before = Array.isArray(base.pages[path]) ? base.pages[path] : null;
+			const after = current.pages[path];
+			const beforeKeys = new Set((before || []).map((item) => item.key));
+			const afterKeys = new Set(after.map((item) => item.key));
+
+			const page = {
+				path: path,
+				baselined: !!before,
+				new: after.filter((item) => !beforeKeys.has(item.key)),
+				resolved: (before || []).filter((item) => !afterKeys.has(item.key)),
+				unchanged: after.filter((item) => beforeKeys.has(item.key)),
+			};
+
+			summary.new += page.new.length;
+			summary.resolved += page.resolved.length;
+			summary.unchanged += page.unchanged.length;
+			summary.regressions += page.new.filter((item) => REGRESSION_KINDS.includes(item.kind)).length;
+
+			return page;
+		});
+
+		return {
+			baselineCreated: base.created || "",
+			compared: current.created,
+			summary: summary,
+			pages: pages,
+		};
+	}
+
+	window.sqsA11y.baseline = {
+		create: create,
+		save: save,
+		load: load,
+		download: download,
+		compare: compare,
+		clear: clear,
+	};
+})(window, document);
@@ -1,6 +1,6 @@
 /*!
  * sqsDomReadySignal
- * Version: 1.0.1
+ * Version: 1.3.0
  * Purpose:
  * Create one unified, repeatable "safe to run DOM enhancements now" signal
  * for Squarespace pages, including:
@@ -20,11 +20,26 @@
  * - after same-site link clicks that update content asynchronously
  *
  * This utility combines multiple hooks into one observable signal:
- * - window.sqsDomReadySignal.onReady(callback, fireImmediately)
+ * - window.sqsDomReadySignal.onReady(callback, options)
  * - document event: "sqs:dom-ready"
  *
+ * Same-site URL changes are also reported as navigation events on document:
+ * - "sqs:navigation-start"    as soon as the URL changes
+ * - "sqs:navigation-settled"  after the readiness cycle for that navigation
+ *                             has run its subscribers
+ * Both carry { from, to, trigger } in event.detail.
+ *
+ * Subscribers can pass options to onReady() for priority ordering, reason,
+ * navigation, and selector filters, and a per-subscriber debounce.
+ * Callbacks may return a Promise; it is awaited before the next subscriber
+ * runs. When every subscriber has finished, "sqs:cycle-complete" is
+ * dispatched on document with timings for each subscriber.
+ *
  * Notes:
  * - This signal may fire more than once. That is intentional.
+ * - When a cycle was caused only by injected content, detail.roots lists the
+ *   added elements so listeners can process just the new nodes. Navigation
+ *   and lifecycle events set detail.fullScan instead.
  * - DOM-enhancement code that listens to this should be idempotent.
  * - In other words, each enhancement should safely re-run without damaging the page
  *   or re-processing the same element twice.
@@ -45,6 +60,25 @@
 	 */
 	const SIGNAL_NAME = "sqs:dom-ready";
 
+	/*
+	 * Navigation events dispatched on document.
+	 */
+	const NAVIGATION_START_EVENT = "sqs:navigation-start";
+	const NAVIGATION_SETTLED_EVENT = "sqs:navigation-settled";
+
+	/*
+	 * Dispatched on document after all subscribers of a cycle, including
+	 * async ones, have finished.
+	 */
+	const CYCLE_COMPLETE_EVENT = "sqs:cycle-complete";
+
+	/*
+	 * Squarespace usually changes the URL before the new page content has
+	 * arrived, so the readiness cycle after a navigation waits a little
+	 * longer. DOM mutations during that time push the cycle back further.
+	 */
+	const NAVIGATION_SETTLE_DELAY = 500;
+
 	/*
 	 * Internal state container.
 	 *
@@ -59,7 +93,15 @@
 	 *   A short string describing what trigger caused the latest dispatch.
 	 *
 	 * lastUrl:
-	 *   Used to detect same-site navigation or URL changes.
+	 *   Last URL seen by the navigation watchers. Used to detect same-site
+	 *   navigation and to report the previous URL.
+	 *
+	 * pendingNavigation:
+	 *   Navigation waiting for its readiness cycle, reported with
+	 *   navigation-settled when that cycle dispatches.
+	 *
+	 * historyWrappers:
+	 *   Original and wrapped history methods, restored by destroy().
 	 *
 	 * timer:
 	 *   Debounce timer so multiple rapid events collapse into one signal.
@@ -67,19 +109,60 @@
 	 * observer:
 	 *   MutationObserver instance used to catch delayed DOM injection.
 	 *
+	 * pendingRoots:
+	 *   Elements added since the last dispatch, collected by the observer.
+	 *
+	 * pendingFullScan:
+	 *   True when any trigger other than the observer was scheduled since
+	 *   the last dispatch, so the next cycle must cover the whole page.
+	 *
 	 * subscribers:
-	 *   Internal callback registry for code using onReady().
+	 *   Internal registry of subscriber entries for code using onReady().
+	 *
+	 * subscriberCount:
+	 *   Increments per subscription. Keeps subscription order for
+	 *   subscribers with the same priority.
+	 *
+	 * cycle:
+	 *   Promise for the cycle whose subscribers are still running, if any.
+	 *   A new cycle waits for it so async subscribers never overlap.
 	 */
 	const state = {
 		isReady: false,
 		version: 0,
 		lastReason: null,
 		lastUrl: location.href,
+		pendingNavigation: null,
+		historyWrappers: [],
 		timer: null,
 		observer: null,
+		pendingRoots: new Set(),
+		pendingFullScan: true,
 		subscribers: new Set(),
+		subscriberCount: 0,
+		cycle: null,
 	};
 
+	/*
+	 * Above this many added roots, one full scan is cheaper than checking
+	 * each root separately.
+	 */
+	const MAX_PENDING_ROOTS = 50;
+
+	/**
+	 * takePendingRoots()
+	 * ------------------------------------------------------------
+	 * Returns the connected roots added since the last dispatch, without
+	 * roots nested inside another root, and clears the pending set.
+	 */
+	function takePendingRoots() {
+		const roots = Array.from(state.pendingRoots).filter((node) => node.isConnected);
+
+		state.pendingRoots.clear();
+
+		return roots.filter((node) => !roots.some((other) => other !== node && other.contains(node)));
+	}
+
 	/**
 	 * Emit the unified readiness signal.
 	 *
@@ -96,24 +179,362 @@
 		state.isReady = true;
 		state.version += 1;
 		state.lastReason = reason;
-		state.lastUrl = location.href;
+
+		const navigation = state.pendingNavigation;
+		state.pendingNavigation = null;
+
+		const fullScan = state.pendingFullScan;
+		const roots = takePendingRoots();
+
+		state.pendingFullScan = false;
 
 		const detail = {
 			version: state.version,
 			reason: reason,
-			url: state.lastUrl,
+			url: location.href,
 			timestamp: Date.now(),
+			fullScan: fullScan,
+			roots: fullScan ? [] : roots,
+			navigation: navigation,
+		};
+
+		const run = function () {
+			document.dispatchEvent(new CustomEvent(SIGNAL_NAME, { detail }));
+
+			return runSubscribers(detail).then(function (result) {
+				if (navigation) {
+					document.dispatchEvent(
+						new CustomEvent(NAVIGATION_SETTLED_EVENT, {
+							detail: Object.assign({}, navigation, { version: detail.version }),
+						}),
+					);
+				}
+
+				document.dispatchEvent(
+					new CustomEvent(CYCLE_COMPLETE_EVENT, {
+						detail: {
+							version: detail.version,
+							reason: detail.reason,
+							url: detail.url,
+							duration: result.duration,
+							subscribers: result.timings,
+						},
+					}),
+				);
+			});
 		};
 
-		document.dispatchEvent(new CustomEvent(SIGNAL_NAME, { detail }));
+		queueCycle(run);
+	}
+
+	/**
+	 * queueCycle()
+	 * ------------------------------------------------------------
+	 * Runs work that calls subscribers, in order with readiness cycles.
+	 * Sync work runs straight away. If an earlier cycle is still waiting
+	 * on an async subscriber, this work runs after it.
+	 *
+	 * @param {Function} run
+	 * Returns a Promise that settles when the work is done.
+	 */
+	function queueCycle(run) {
+		const cycle = state.cycle ? state.cycle.then(run, run) : run();
+
+		state.cycle = cycle;
+
+		cycle.then(
+			function () {
+				if (state.cycle === cycle) state.cycle = null;
+			},
+			function (err) {
+				if (state.cycle === cycle) state.cycle = null;
+				console.error("[sqsA11y-sqsDomReadySignal] cycle error", err);
+			},
+		);
+	}
+
+	/**
+	 * now()
+	 * ------------------------------------------------------------
+	 * High resolution time for subscriber timings where available.
+	 */
+	function now() {
+		return window.performance && typeof window.performance.now === "function"
+			? window.performance.now()
+			: Date.now();
+	}
+
+	/**
+	 * subscriberMatches()
+	 * ------------------------------------------------------------
+	 * Applies a subscriber's filters to a cycle. Filters combine, so a
+	 * subscriber with several filters runs only when all of them match.
+	 */
+	function subscriberMatches(subscriber, detail) {
+		if (subscriber.navigation && !detail.navigation) return false;
+
+		if (
+			subscriber.reasons &&
+			!subscriber.reasons.some(function (reason) {
+				return typeof reason.test === "function" ? reason.test(detail.reason) : reason === detail.reason;
+			})
+		) {
+			return false;
+		}
+
+		if (subscriber.selector && !detail.fullScan) {
+			const selector = subscriber.selector;
+			const changed = detail.roots.some(function (root) {
+				return root.matches?.(selector) || root.querySelector?.(selector);
+			});
 
-		state.subscribers.forEach(function (callback) {
+			if (!changed) return false;
+		}
+
+		if (subscriber.filter) {
 			try {
-				callback(detail);
+				return !!subscriber.filter(detail);
 			} catch (err) {
-				console.error("[sqsA11y-sqsDomReadySignal] subscriber error", err);
+				console.error("[sqsA11y-sqsDomReadySignal] subscriber filter error", err);
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * subscriberTiming()
+	 * ------------------------------------------------------------
+	 * Timing entry reported for one subscriber in cycle-complete.
+	 * status is "ok", "error", "skipped" (filtered out), or "deferred"
+	 * (debounced until after the cycle).
+	 */
+	function subscriberTiming(subscriber, status, start) {
+		return {
+			name: subscriber.name,
+			priority: subscriber.priority,
+			status: status,
+			duration: start === undefined ? 0 : now() - start,
+		};
+	}
+
+	/**
+	 * callSubscriber()
+	 * ------------------------------------------------------------
+	 * Calls one subscriber. Returns its timing entry, or a Promise for the
+	 * timing entry when the callback returned a Promise.
+	 */
+	function callSubscriber(subscriber, detail) {
+		const start = now();
+
+		const fail = function (err) {
+			console.error("[sqsA11y-sqsDomReadySignal] subscriber error", subscriber.name, err);
+			return subscriberTiming(subscriber, "error", start);
+		};
+
+		let result;
+
+		try {
+			result = subscriber.callback(detail);
+		} catch (err) {
+			return fail(err);
+		}
+
+		if (result && typeof result.then === "function") {
+			return Promise.resolve(result).then(function () {
+				return subscriberTiming(subscriber, "ok", start);
+			}, fail);
+		}
+
+		return subscriberTiming(subscriber, "ok", start);
+	}
+
+	/**
+	 * mergeDetails()
+	 * ------------------------------------------------------------
+	 * Combines cycles skipped by a debounced subscriber so it still sees
+	 * every added root, or a full scan if any of them was one.
+	 */
+	function mergeDetails(previous, detail) {
+		if (!previous) return detail;
+
+		const fullScan = previous.fullScan || detail.fullScan;
+
+		return Object.assign({}, detail, {
+			fullScan: fullScan,
+			roots: fullScan
+				? []
+				: previous.roots.concat(
+						detail.roots.filter(function (root) {
+							return previous.roots.indexOf(root) === -1;
+						}),
+					),
+			navigation: detail.navigation || previous.navigation,
+		});
+	}
+
+	/**
+	 * deferSubscriber()
+	 * ------------------------------------------------------------
+	 * Runs a debounced subscriber once no matching cycle has happened for
+	 * its debounce time. It runs outside the cycle, so it is reported as
+	 * "deferred" in cycle-complete.
+	 */
+	function deferSubscriber(subscriber, detail) {
+		subscriber.pending = mergeDetails(subscriber.pending, detail);
+
+		clearTimeout(subscriber.timer);
+
+		subscriber.timer = setTimeout(function () {
+			const pending = subscriber.pending;
+
+			subscriber.pending = null;
+			subscriber.timer = null;
+
+			if (!state.subscribers.has(subscriber)) return;
+
+			pending.roots = pending.roots.filter(function (root) {
+				return root.isConnected;
+			});
+
+			if (!pending.fullScan && !pending.roots.length) return;
+
+			callSubscriber(subscriber, pending);
+		}, subscriber.debounce);
+	}
+
+	/**
+	 * createSubscriber()
+	 * ------------------------------------------------------------
+	 * Builds a subscriber entry from onReady() arguments. A boolean second
+	 * argument is the original fireImmediately flag.
+	 */
+	function createSubscriber(callback, options) {
+		const opts = options && typeof options === "object" ? options : { fireImmediately: !!options };
+
+		return {
+			callback: callback,
+			name: opts.name || callback.name || "anonymous",
+			priority: Number(opts.priority) || 0,
+			order: ++state.subscriberCount,
+			reasons: opts.reasons ? [].concat(opts.reasons) : null,
+			navigation: opts.navigation === true,
+			selector: typeof opts.selector === "string" && opts.selector ? opts.selector : null,
+			filter: typeof opts.filter === "function" ? opts.filter : null,
+			debounce: Math.max(0, Number(opts.debounce) || 0),
+			fireImmediately: opts.fireImmediately === true,
+			timer: null,
+			pending: null,
+		};
+	}
+
+	/**
+	 * runSubscribers()
+	 * ------------------------------------------------------------
+	 * Runs subscribers from highest to lowest priority. Subscribers with
+	 * the same priority run in the order they subscribed. Sync subscribers
+	 * run one after another without waiting; an async subscriber is
+	 * awaited before the next one starts.
+	 */
+	function runSubscribers(detail) {
+		const started = now();
+		const timings = [];
+
+		const queue = Array.from(state.subscribers).sort(function (a, b) {
+			return b.priority - a.priority || a.order - b.order;
+		});
+
+		function next() {
+			while (queue.length) {
+				const subscriber = queue.shift();
+
+				// Unsubscribed by an earlier subscriber in this cycle.
+				if (!state.subscribers.has(subscriber)) continue;
+
+				if (!subscriberMatches(subscriber, detail)) {
+					timings.push(subscriberTiming(subscriber, "skipped"));
+					continue;
+				}
+
+				if (subscriber.debounce > 0) {
+					deferSubscriber(subscriber, detail);
+					timings.push(subscriberTiming(subscriber, "deferred"));
+					continue;
+				}
+
+				const outcome = callSubscriber(subscriber, detail);
+
+				if (outcome && typeof outcome.then === "function") {
+					return outcome.then(function (timing) {
+						timings.push(timing);
+						return next();
+					});
+				}
+
+				timings.push(outcome);
 			}
+
+			return Promise.resolve({ timings: timings, duration: now() - started });
+		}
+
+		return next();
+	}
+
+	/**
+	 * handleUrlChange()
+	 * ------------------------------------------------------------
+	 * Called by every navigation watcher. Several watchers can report the
+	 * same change (for example pushState and the Navigation API), so
+	 * nothing happens unless the URL differs from the last one seen.
+	 *
+	 * Emits navigation-start straight away and schedules a full readiness
+	 * cycle. If the URL changes again before that cycle, navigation-settled
+	 * reports the first "from" URL and the latest "to" URL.
+	 *
+	 * @param {string} trigger
+	 * Watcher that saw the change, such as "pushState" or "popstate".
+	 */
+	function handleUrlChange(trigger) {
+		const url = location.href;
+
+		if (url === state.lastUrl) return;
+
+		const navigation = {
+			from: state.lastUrl,
+			to: url,
+			trigger: trigger,
+		};
+
+		state.lastUrl = url;
+		state.pendingNavigation = Object.assign({}, navigation, {
+			from: state.pendingNavigation ? state.pendingNavigation.from : navigation.from,
 		});
+
+		document.dispatchEvent(new CustomEvent(NAVIGATION_START_EVENT, { detail: navigation }));
+
+		schedule(trigger, NAVIGATION_SETTLE_DELAY);
+	}
+
+	/**
+	 * wrapHistoryMethod()
+	 * ------------------------------------------------------------
+	 * Wraps history.pushState / replaceState so Squarespace AJAX page
+	 * changes are seen as soon as the URL is updated.
+	 */
+	function wrapHistoryMethod(name) {
+		const original = window.history && window.history[name];
+
+		if (typeof original !== "function") return;
+
+		const wrapped = function () {
+			const result = original.apply(this, arguments);
+			handleUrlChange(name);
+			return result;
+		};
+
+		window.history[name] = wrapped;
+		state.historyWrappers.push({ name: name, original: original, wrapped: wrapped });
 	}
 
 	/**
@@ -130,8 +551,14 @@
 	 *
 	 * @param {number} delay
 	 * Milliseconds to wait before beginning the two-RAF settle sequence.
+	 *
+	 * @param {boolean} [scoped=false]
+	 * True when the cycle only needs to cover state.pendingRoots. Every
+	 * other trigger requests a full scan.
 	 */
-	function schedule(reason, delay) {
+	function schedule(reason, delay, scoped) {
+		if (!scoped) state.pendingFullScan = true;
+
 		clearTimeout(state.timer);
 
 		state.timer = setTimeout(function () {
@@ -179,8 +606,10 @@
 	 * 4. Late DOM injection
 	 *    - MutationObserver
 	 *
-	 * 5. URL change fallback
-	 *    - polling location.href
+	 * 5. URL changes
+	 *    - history.pushState / replaceState
+	 *    - popstate and hashchange
+	 *    - Navigation API navigatesuccess, where available
 	 */
 	function init() {
 		if (!hasUsableDom()) return;
@@ -217,8 +646,7 @@
 		 * controls or cached page restores.
 		 */
 		window.addEventListener("popstate", function () {
-			schedule("popstate", 120);
-			schedule("popstate-late", 500);
+			handleUrlChange("popstate");
 		});
 
 		window.addEventListener("pageshow", function () {
@@ -408,6 +836,21 @@
 
 					if (!node || node.nodeType !== 1) continue;
 
+					/*
+					 * Remember every added element, not just the ones that
+					 * trigger a cycle, so a scoped cycle covers them too.
+					 */
+					if (!state.pendingFullScan) {
+						state.pendingRoots.add(node);
+
+						if (state.pendingRoots.size > MAX_PENDING_ROOTS) {
+							state.pendingRoots.clear();
+							state.pendingFullScan = true;
+						}
+					}
+
+					if (shouldFire) continue;
+
 					if (
 						node.matches?.(
 							".sqs-layout, .Main, main, form, .form-wrapper, .sqs-block-form, .sqs-block, section, [data-section-id]",
@@ -417,15 +860,12 @@
 						)
 					) {
 						shouldFire = true;
-						break;
 					}
 				}
-
-				if (shouldFire) break;
 			}
 
 			if (shouldFire) {
-				schedule("mutation-observer", 100);
+				schedule("mutation-observer", 100, true);
 			}
 		});
 
@@ -435,21 +875,25 @@
 		});
 
 		/*
-		 * Fallback URL watcher.
+		 * URL change watchers.
 		 *
-		 * This is useful if a same-site URL change occurs but some expected
-		 * Squarespace hook does not fire in a given template/setup.
-		 *
-		 * Multiple schedules are used because some page elements may arrive
-		 * slightly after the URL itself changes.
+		 * Squarespace AJAX navigation updates the URL with the History API.
+		 * The Navigation API, where available, also catches changes made
+		 * through a reference to the original pushState. All watchers go
+		 * through handleUrlChange(), which ignores repeats of the same URL.
 		 */
-		setInterval(function () {
-			if (location.href !== state.lastUrl) {
-				state.lastUrl = location.href;
-				schedule("url-change-poll", 120);
-				schedule("url-change-poll-late", 500);
-			}
-		}, 500);
+		wrapHistoryMethod("pushState");
+		wrapHistoryMethod("replaceState");
+
+		window.addEventListener("hashchange", function () {
+			handleUrlChange("hashchange");
+		});
+
+		if (window.navigation && typeof window.navigation.addEventListener === "function") {
+			window.navigation.addEventListener("navigatesuccess", function () {
+				handleUrlChange("navigatesuccess");
+			});
+		}
 	}
 
 	/*
@@ -464,15 +908,17 @@
 	 * window.sqsDomReadySignal.lastReason
 	 *   Last trigger reason.
 	 *
-	 * window.sqsDomReadySignal.onReady(callback, fireImmediately)
-	 *   Subscribe to future readiness events.
+	 * window.sqsDomReadySignal.onReady(callback, options)
+	 *   Subscribe to future readiness events. options may be the original
+	 *   fireImmediately boolean or an options object.
 	 *   Returns an unsubscribe function.
 	 *
 	 * window.sqsDomReadySignal.trigger(reason)
 	 *   Manually schedule a readiness cycle.
 	 *
 	 * window.sqsDomReadySignal.destroy()
-	 *   Stop timers, disconnect observer, and clear subscribers.
+	 *   Stop timers, disconnect observer, restore history methods,
+	 *   and clear subscribers.
 	 */
 	window.sqsDomReadySignal = {
 		get isReady() {
@@ -497,38 +943,71 @@
 		 *   version,
 		 *   reason,
 		 *   url,
-		 *   timestamp
+		 *   timestamp,
+		 *   fullScan,   // true when the whole page should be processed
+		 *   roots,      // elements added since the last cycle, when fullScan is false
+		 *   navigation  // { from, to, trigger } when the cycle follows a URL change, otherwise null
 		 * }
 		 *
-		 * @param {boolean} fireImmediately
-		 * If true and readiness has already happened at least once,
-		 * callback runs immediately with the latest known state.
+		 * The callback may return a Promise. Later subscribers, and the
+		 * cycle-complete event, wait for it.
+		 *
+		 * @param {boolean|Object} [options]
+		 * true is the same as { fireImmediately: true }.
+		 *   - fireImmediately: If true and readiness has already happened at
+		 *     least once, callback runs immediately with the latest known state.
+		 *   - priority: Higher numbers run first. Default 0. SqsA11y
+		 *     enhancements run at priority 0; use a negative number to run
+		 *     after them.
+		 *   - name: Label used in cycle-complete timings and error logs.
+		 *   - reasons: Reason string, RegExp, or an array of them. Only
+		 *     cycles whose reason matches run the callback.
+		 *   - navigation: If true, only cycles that follow a URL change.
+		 *   - selector: Only full-scan cycles, or cycles whose added roots
+		 *     match or contain this selector (for example "form").
+		 *   - filter: Function receiving the detail object; return false to skip.
+		 *   - debounce: Milliseconds. The callback runs once after matching
+		 *     cycles stop for this long, with their roots merged.
 		 *
 		 * @returns {Function}
 		 * unsubscribe function
 		 */
-		onReady: function (callback, fireImmediately) {
+		onReady: function (callback, options) {
 			if (typeof callback !== "function") {
 				return function () {};
 			}
 
-			state.subscribers.add(callback);
+			const subscriber = createSubscriber(callback, options);
 
-			if (fireImmediately && state.isReady) {
-				try {
-					callback({
-						version: state.version,
-						reason: state.lastReason,
-						url: location.href,
-						timestamp: Date.now(),
-					});
-				} catch (err) {
-					console.error("[sqsA11y-sqsDomReadySignal] immediate subscriber error", err);
-				}
+			state.subscribers.add(subscriber);
+
+			if (subscriber.fireImmediately && state.isReady) {
+				const detail = {
+					version: state.version,
+					reason: state.lastReason,
+					url: location.href,
+					timestamp: Date.now(),
+					fullScan: true,
+					roots: [],
+					navigation: null,
+				};
+
+				/*
+				 * Queued like a cycle, so an async first run finishes before
+				 * the next cycle reaches this subscriber.
+				 */
+				queueCycle(function () {
+					if (!state.subscribers.has(subscriber) || !subscriberMatches(subscriber, detail)) {
+						return Promise.resolve();
+					}
+
+					return Promise.resolve(callSubscriber(subscriber, detail));
+				});
 			}
 
 			return function unsubscribe() {
-				state.subscribers.delete(callback);
+				clearTimeout(subscriber.timer);
+				state.subscribers.delete(subscriber);
 			};
 		},
 
@@ -552,6 +1031,19 @@
 				state.observer.disconnect();
 			}
 
+			/*
+			 * Only restore a method if no other script has wrapped it since.
+			 */
+			state.historyWrappers.splice(0).forEach(function (item) {
+				if (window.history[item.name] === item.wrapped) {
+					window.history[item.name] = item.original;
+				}
+			});
+
+			state.subscribers.forEach(function (subscriber) {
+				clearTimeout(subscriber.timer);
+			});
+
 			state.subscribers.clear();
 		},
 	};
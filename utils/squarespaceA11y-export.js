@@ -0,0 +1,314 @@
+/**
+ * Squarespace Accessibility Report Export – squarespaceA11y-export.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Turns the entries recorded in window.sqsA11y.findings into a
+ * downloadable JSON, CSV, or self-contained HTML report grouped by
+ * WCAG success criterion.
+ *
+ * Public API:
+ *   window.sqsA11y.exportReport(format, options)
+ *     format:  "json" (default), "csv", or "html"
+ *     options:
+ *       - filter:   passed to window.sqsA11y.report()
+ *       - download: set to false to only return the generated text
+ *       - filename: overrides the generated file name
+ *     Returns the generated report text.
+ *
+ * Dependencies:
+ *   - squarespaceA11y-findings.js
+ *   - utils.downloadText() (squarespaceA11y-utils.js)
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+
+	const UNMAPPED = "Unmapped";
+
+	const FORMATS = {
+		json: { type: "application/json", extension: "json", build: buildJson },
+		csv: { type: "text/csv", extension: "csv", build: buildCsv },
+		html: { type: "text/html", extension: "html", build: buildHtml },
+	};
+
+	/**
+	 * needsManualReview()
+	 * ------------------------------------------------------------
+	 * Audit findings and warnings describe possible issues that were
+	 * reported but not changed, so they always need a human decision.
+	 */
+	function needsManualReview(entry) {
+		return entry.kind === "audit" || entry.kind === "warning";
+	}
+
+	/**
+	 * describeChange()
+	 * ------------------------------------------------------------
+	 * Returns a short "attribute: before → after" summary when the
+	 * enhancement supplied one.
+	 */
+	function describeChange(entry) {
+		if (!entry.attribute) return "";
+
+		const before = entry.before === null || entry.before === undefined ? "(none)" : `"${entry.before}"`;
+		const after = entry.after === null || entry.after === undefined ? "(none)" : `"${entry.after}"`;
+
+		return `${entry.attribute}: ${before} → ${after}`;
+	}
+
+	/**
+	 * compareCriteria()
+	 * ------------------------------------------------------------
+	 * Sorts "1.4.12" after "1.4.3", and unmapped entries last.
+	 */
+	function compareCriteria(a, b) {
+		if (a === UNMAPPED) return 1;
+		if (b === UNMAPPED) return -1;
+
+		const aParts = a.split(".").map(Number);
+		const bParts = b.split(".").map(Number);
+
+		for (let i = 0; i < 3; i++) {
+			if (aParts[i] !== bParts[i]) return aParts[i] - bParts[i];
+		}
+
+		return 0;
+	}
+
+	/**
+	 * groupByCriterion()
+	 * ------------------------------------------------------------
+	 * Returns [{ criterion, entries }]. An entry mapped to several
+	 * criteria appears in each of those groups.
+	 */
+	function groupByCriterion(entries) {
+		const groups = new Map();
+
+		entries.forEach((entry) => {
+			const criteria = entry.criteria && entry.criteria.length ? entry.criteria : [UNMAPPED];
+
+			criteria.forEach((criterion) => {
+				if (!groups.has(criterion)) groups.set(criterion, []);
+				groups.get(criterion).push(entry);
+			});
+		});
+
+		return Array.from(groups.keys())
+			.sort(compareCriteria)
+			.map((criterion) => ({ criterion: criterion, entries: groups.get(criterion) }));
+	}
+
+	/**
+	 * getReportMeta()
+	 * ------------------------------------------------------------
+	 * Page-level details included at the top of every format.
+	 */
+	function getReportMeta() {
+		return {
+			generated: new Date().toISOString(),
+			url: window.location.href,
+			title: document.title || "",
+			version: window.sqsA11y.version || "",
+		};
+	}
+
+	function buildJson(entries) {
+		const meta = getReportMeta();
+
+		meta.criteria = groupByCriterion(entries).map((group) => ({
+			criterion: group.criterion,
+			entries: group.entries.map((entry) =>
+				Object.assign({}, entry, { needsManualReview: needsManualReview(entry) }),
+			),
+		}));
+
+		return JSON.stringify(meta, null, 2);
+	}
+
+	/**
+	 * csvCell()
+	 * ------------------------------------------------------------
+	 * Quotes a value for CSV output.
+	 */
+	function csvCell(value) {
+		const text = value === null || value === undefined ? "" : String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+
+	function buildCsv(entries) {
+		const header = [
+			"criterion",
+			"enhancement",
+			"kind",
+			"needs_manual_review",
+			"selector",
+			"description",
+			"attribute",
+			"before",
+			"after",
+			"occurrences",
+			"cycle",
+			"url",
+		];
+
+		const rows = [header.join(",")];
+
+		groupByCriterion(entries).forEach((group) => {
+			group.entries.forEach((entry) => {
+				rows.push(
+					[
+						group.criterion,
+						entry.enhancement,
+						entry.kind,
+						needsManualReview(entry) ? "yes" : "no",
+						entry.selector,
+						entry.description,
+						entry.attribute,
+						entry.before,
+						entry.after,
+						entry.occurrences,
+						entry.cycle,
+						entry.url,
+					]
+						.map(csvCell)
+						.join(","),
+				);
+			});
+		});
+
+		return rows.join("\r\n");
+	}
+
+	/**
+	 * escapeHtml()
+	 * ------------------------------------------------------------
+	 * Escapes text for safe insertion into the HTML report.
+	 */
+	function escapeHtml(value) {
+		return String(value === null || value === undefined ? "" : value)
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;");
+	}
+
+	function buildHtml(entries) {
+		const meta = getReportMeta();
+		const groups = groupByCriterion(entries);
+		const reviewCount = entries.filter(needsManualReview).length;
+
+		const sections = groups
+			.map((group) => {
+				const heading = group.criterion === UNMAPPED ? UNMAPPED : `WCAG ${group.criterion}`;
+
+				const rows = group.entries
+					.map((entry) => {
+						const change = describeChange(entry);
+
+						return `
+					<tr>
+						<td>${escapeHtml(entry.enhancement)}</td>
+						<td><code>${escapeHtml(entry.selector || "(page)")}</code></td>
+						<td>${escapeHtml(entry.description)}${change ? `<br><code>${escapeHtml(change)}</code>` : ""}</td>
+						<td>${escapeHtml(entry.kind)}</td>
+						<td>${needsManualReview(entry) ? '<strong class="review">Needs manual review</strong>' : "No"}</td>
+						<td>${escapeHtml(entry.occurrences)}</td>
+					</tr>`;
+					})
+					.join("");
+
+				return `
+		<section>
+			<h2>${escapeHtml(heading)} <span class="count">(${group.entries.length})</span></h2>
+			<table>
+				<caption>${escapeHtml(heading)} findings</caption>
+				<thead>
+					<tr>
+						<th scope="col">Enhancement</th>
+						<th scope="col">Element</th>
+						<th scope="col">Change made</th>
+						<th scope="col">Kind</th>
+						<th scope="col">Manual review</th>
+						<th scope="col">Occurrences</th>
+					</tr>
+				</thead>
+				<tbody>${rows}
+				</tbody>
+			</table>
+		</section>`;
+			})
+			.join("");
+
+		return `<!doctype html>
+<html lang="en">
+<head>
+	<meta charset="utf-8">
+	<title>SqsA11y report – ${escapeHtml(meta.title || meta.url)}</title>
+	<style>
+		body { font: 16px/1.5 system-ui, sans-serif; color: #111; margin: 2rem; }
+		table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+		caption { text-align: left; font-weight: 600; padding: 0.5rem 0; }
+		th, td { border: 1px solid #767676; padding: 0.5rem; text-align: left; vertical-align: top; }
+		th { background: #f0f0f0; }
+		code { word-break: break-all; }
+		.review { color: #8a1c00; }
+		.count { font-weight: normal; }
+	</style>
+</head>
+<body>
+	<main>
+		<h1>SqsA11y accessibility report</h1>
+		<dl>
+			<dt>Page</dt><dd>${escapeHtml(meta.url)}</dd>
+			<dt>Generated</dt><dd>${escapeHtml(meta.generated)}</dd>
+			<dt>Library version</dt><dd>${escapeHtml(meta.version)}</dd>
+			<dt>Entries</dt><dd>${entries.length} (${reviewCount} need manual review)</dd>
+		</dl>
+		<p>Findings are developer guidance from SqsA11y enhancements. They are not a pass/fail accessibility report.</p>${sections || "\n\t\t<p>No findings were recorded.</p>"}
+	</main>
+</body>
+</html>
+`;
+	}
+
+	/**
+	 * exportReport(format, options)
+	 * ------------------------------------------------------------
+	 * Builds a report from the findings store and downloads it.
+	 */
+	window.sqsA11y.exportReport = function (format, options) {
+		const opts = options || {};
+		const key = String(format || "json").toLowerCase();
+		const target = FORMATS[key];
+
+		if (!target) {
+			console.warn(`[sqsA11y-export] Unknown report format: ${format}. Use "json", "csv", or "html".`);
+			return "";
+		}
+
+		if (typeof window.sqsA11y.report !== "function") {
+			console.warn("[sqsA11y-export] Findings store is not available.");
+			return "";
+		}
+
+		const entries = window.sqsA11y.report(opts.filter);
+		const text = target.build(entries);
+
+		if (opts.download !== false) {
+			const host = (window.location.hostname || "page").replace(/[^a-z0-9.-]/gi, "-");
+			const stamp = new Date().toISOString().slice(0, 10);
+			const filename = opts.filename || `sqsA11y-report-${host}-${stamp}.${target.extension}`;
+
+			window.sqsA11y.utils.downloadText(text, filename, target.type);
+		}
+
+		return text;
+	};
+})(window, document);
@@ -0,0 +1,239 @@
+/**
+ * Squarespace Accessibility Findings Store – squarespaceA11y-findings.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * In-memory store for structured entries recorded by utils.reportFix()
+ * and utils.reportUpdate(). Every report call made by an enhancement is
+ * kept here so findings can be reviewed without scraping the console.
+ *
+ * Public API:
+ *   window.sqsA11y.report(filter)
+ *     Returns recorded entries. Optional filter keys:
+ *       - enhancement: name or array of names
+ *       - criterion:   WCAG criterion such as "2.4.4", or an array
+ *       - kind:        "fix", "warning", "audit", "info", or an array
+ *     Entries of kind "info" (enhancement start/complete messages) are
+ *     only returned when requested through the kind filter.
+ *
+ *   window.sqsA11y.report.clear()
+ *     Removes all recorded entries.
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+
+	if (window.sqsA11y.findings) return;
+
+	/*
+	 * Oldest entries are dropped once this many unique entries are stored.
+	 * Repeated entries from later readiness cycles update the existing entry
+	 * instead of adding a new one, so this limit is rarely reached.
+	 */
+	const MAX_ENTRIES = 1000;
+
+	const KINDS = ["fix", "warning", "audit", "info"];
+
+	const entries = [];
+	const entriesByKey = new Map();
+	let nextId = 1;
+
+	/**
+	 * getEnhancementMeta()
+	 * ------------------------------------------------------------
+	 * Returns the ENHANCEMENT_LIST entry exposed by the bootstrap file.
+	 */
+	function getEnhancementMeta(name) {
+		const list = window.sqsA11y.enhancementList;
+		if (!name || !Array.isArray(list)) return null;
+
+		return list.find((item) => item.name === name) || null;
+	}
+
+	/**
+	 * isAuditEnhancement()
+	 * ------------------------------------------------------------
+	 * Audit-only enhancements are marked audit: true in ENHANCEMENT_LIST,
+	 * and their names end with "Audit" by convention.
+	 */
+	function isAuditEnhancement(name) {
+		const meta = getEnhancementMeta(name);
+		if (meta && meta.audit) return true;
+
+		return /Audit$/.test(String(name || ""));
+	}
+
+	/**
+	 * parseCriteria()
+	 * ------------------------------------------------------------
+	 * Extracts success criterion numbers from a WCAG reference string,
+	 * e.g. "WCAG 1.3.1 / 2.4.6" -> ["1.3.1", "2.4.6"].
+	 */
+	function parseCriteria(wcag) {
+		return String(wcag || "").match(/\d+\.\d+\.\d+/g) || [];
+	}
+
+	/**
+	 * resolveKind()
+	 * ------------------------------------------------------------
+	 * Explicit kinds passed by the caller win. Otherwise audit-only
+	 * enhancements record "audit", element-level reports record "fix",
+	 * and status messages record "info". Reports tied to <body> or <html>
+	 * are page-level summaries such as "3 buttons repaired", not fixes.
+	 */
+	function resolveKind(enhancement, element, kind) {
+		if (KINDS.includes(kind)) return kind;
+		if (isAuditEnhancement(enhancement)) return "audit";
+
+		const pageLevel = element === document.body || element === document.documentElement;
+
+		return element && !pageLevel ? "fix" : "info";
+	}
+
+	/**
+	 * getCycle()
+	 * ------------------------------------------------------------
+	 * Returns the current sqsDomReadySignal readiness cycle.
+	 */
+	function getCycle() {
+		const signal = window.sqsDomReadySignal;
+
+		return {
+			cycle: signal ? signal.version : 0,
+			reason: signal ? signal.lastReason : null,
+		};
+	}
+
+	/**
+	 * record(element, enhancement, description, details)
+	 * ------------------------------------------------------------
+	 * Adds or updates one structured entry.
+	 *
+	 * @param {Element|null} element
+	 * @param {string} enhancement
+	 * @param {string} description
+	 * @param {Object} [details]
+	 * @param {string} [details.kind]       "fix", "warning", "audit" or "info"
+	 * @param {string} [details.wcag]       Overrides the ENHANCEMENT_LIST value
+	 * @param {string} [details.attribute]  Attribute that was changed
+	 * @param {*}      [details.before]     Attribute value before the change
+	 * @param {*}      [details.after]      Attribute value after the change
+	 * @returns {Object} the stored entry
+	 */
+	function record(element, enhancement, description, details) {
+		const opts = details || {};
+		const utils = window.sqsA11y.utils || {};
+		const name = enhancement ? String(enhancement).trim() : "";
+		const meta = getEnhancementMeta(name);
+		const wcag = opts.wcag || (meta && meta.wcag) || "";
+		const kind = resolveKind(name, element, opts.kind);
+		const selector =
+			element && typeof utils.getSelectorPath === "function" ? utils.getSelectorPath(element) : null;
+		const url = window.location.href;
+		const cycleInfo = getCycle();
+
+		const key = [name, kind, selector || "", opts.attribute || "", description, url].join("\u0000");
+		const existing = entriesByKey.get(key);
+
+		if (existing) {
+			existing.occurrences++;
+			existing.cycle = cycleInfo.cycle;
+			existing.reason = cycleInfo.reason;
+			existing.timestamp = Date.now();
+			if (opts.after !== undefined) existing.after = opts.after;
+			return existing;
+		}
+
+		const entry = {
+			id: nextId++,
+			enhancement: name,
+			wcag: wcag,
+			criteria: parseCriteria(wcag),
+			kind: kind,
+			description: String(description || "").trim(),
+			selector: selector,
+			attribute: opts.attribute || null,
+			before: opts.before === undefined ? null : opts.before,
+			after: opts.after === undefined ? null : opts.after,
+			url: url,
+			cycle: cycleInfo.cycle,
+			reason: cycleInfo.reason,
+			timestamp: Date.now(),
+			occurrences: 1,
+		};
+
+		entries.push(entry);
+		entriesByKey.set(key, entry);
+
+		if (entries.length > MAX_ENTRIES) {
+			const dropped = entries.shift();
+			entriesByKey.forEach((value, storedKey) => {
+				if (value === dropped) entriesByKey.delete(storedKey);
+			});
+		}
+
+		return entry;
+	}
+
+	/**
+	 * toList()
+	 * ------------------------------------------------------------
+	 * Normalizes a filter value into an array, or null when unset.
+	 */
+	function toList(value) {
+		if (value === undefined || value === null || value === "") return null;
+		return Array.isArray(value) ? value.map(String) : [String(value)];
+	}
+
+	/**
+	 * query(filter)
+	 * ------------------------------------------------------------
+	 * Returns copies of stored entries matching the filter.
+	 */
+	function query(filter) {
+		const opts = filter || {};
+		const enhancements = toList(opts.enhancement);
+		const criteria = toList(opts.criterion);
+		const kinds = toList(opts.kind);
+
+		return entries
+			.filter((entry) => {
+				if (kinds ? !kinds.includes(entry.kind) : entry.kind === "info") return false;
+				if (enhancements && !enhancements.includes(entry.enhancement)) return false;
+				if (criteria && !criteria.some((c) => entry.criteria.includes(c.replace(/^WCAG\s*/i, "")))) {
+					return false;
+				}
+				return true;
+			})
+			.map((entry) => Object.assign({}, entry, { criteria: entry.criteria.slice() }));
+	}
+
+	/**
+	 * clear()
+	 * ------------------------------------------------------------
+	 * Removes every stored entry.
+	 */
+	function clear() {
+		entries.length = 0;
+		entriesByKey.clear();
+	}
+
+	window.sqsA11y.findings = {
+		kinds: KINDS.slice(),
+		record: record,
+		query: query,
+		clear: clear,
+	};
+
+	window.sqsA11y.report = function (filter) {
+		return query(filter);
+	};
+
+	window.sqsA11y.report.clear = clear;
+})(window, document);
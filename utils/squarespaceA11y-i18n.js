@@ -0,0 +1,383 @@
+/**
+ * Squarespace Accessibility String Catalog – squarespaceA11y-i18n.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Every piece of text the enhancements add to the page, such as the skip
+ * link, fallback aria-labels, and screen-reader-only link context, comes
+ * from this catalog, along with the word lists used to recognize vague
+ * link text and form fields.
+ *
+ * Locale:
+ *   1. sqsA11yConfig.locale, when it names a bundled or added locale
+ *   2. the page's <html lang> attribute ("es-MX" uses "es")
+ *   3. English
+ *
+ * Overrides:
+ *   sqsA11yConfig.strings replaces single strings or word lists by key:
+ *     strings: { "skipToMain.linkText": "Ir al contenido" }
+ *   Enhancement settings that already set wording, such as
+ *   newWindowLinkContext.newTabText, still take priority.
+ *
+ * Word lists:
+ *   Lists used for recognizing text combine English with the page
+ *   language, because Squarespace sites often keep English field names
+ *   and default button text on translated pages. A list set through
+ *   sqsA11yConfig.strings is used as given.
+ *
+ * Public API:
+ *   window.sqsA11y.i18n.locale           Resolved locale code
+ *   window.sqsA11y.i18n.t(key, params)   String with {name} placeholders filled
+ *   window.sqsA11y.i18n.phrases(key)     Lowercase word list
+ *   window.sqsA11y.i18n.addLocale(code, strings)
+ *   window.sqsA11y.i18n.locales()
+ *   window.sqsA11y.i18n.keys()           String and list keys, from the English pack
+ *
+ *   utils.t() and utils.phrases() are the same functions, for enhancements.
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+	window.sqsA11y.utils = window.sqsA11y.utils || {};
+
+	if (window.sqsA11y.i18n) return;
+
+	const utils = window.sqsA11y.utils;
+
+	const FALLBACK_LOCALE = "en";
+
+	// prettier-ignore
+	const PACKS = {
+		en: {
+			"skipToMain.linkText": "Skip to main content",
+			"emptyButtons.button": "Button",
+			"emptyButtons.closeDialog": "Close dialog",
+			"emptyButtons.submitForm": "Submit form",
+			"newWindowLinkContext.newTab": "opens in a new tab",
+			"pdfLinkEnhancer.fileType": "PDF file",
+			"pdfLinkEnhancer.newWindow": "opens in a new window",
+			"formStatusAnnouncer.success": "Form submitted successfully.",
+			"linkPurposeEnhancer.label": "{text} about {context}",
+			"linkPurposeEnhancer.emailContext": "email {address}",
+			"contactLinkContext.call": "Call {number}",
+			"contactLinkContext.callContext": "Call {context} at {number}",
+			"contactLinkContext.email": "Email {address}",
+			"contactLinkContext.emailContext": "Email {context} at {address}",
+
+			"common.newWindowPhrases": ["opens in a new tab", "opens in new tab", "opens in a new window", "opens in new window"],
+			"linkPurposeEnhancer.vaguePhrases": [
+				"read more", "learn more", "click here", "details", "view all", "email", "email us", "email me",
+				"contact", "contact us", "contact me", "more", "more info", "more information", "see more",
+				"find out more", "discover more", "continue reading", "read full article", "read full story",
+				"view more", "view details",
+			],
+			"imagesWithoutContext.weakLabels": ["image", "photo", "picture", "read more", "learn more", "click here", "view", "more"],
+			"altTextAudit.genericAlt": ["image", "photo", "picture", "graphic", "img", "untitled", "placeholder", "banner", "logo"],
+			"linkTextAudit.vaguePhrases": [
+				"click here", "here", "click", "read more", "learn more", "more", "more info", "more information",
+				"details", "link", "this link", "go", "see more", "view more", "continue", "continue reading", "find out more",
+			],
+
+			// first, last, and middle only count next to a "name" word.
+			"autocomplete.email": ["email", "e mail"],
+			"autocomplete.tel": ["phone", "tel", "mobile", "cell"],
+			"autocomplete.first": ["first"],
+			"autocomplete.last": ["last"],
+			"autocomplete.middle": ["middle"],
+			"autocomplete.middleName": [],
+			"autocomplete.name": ["name"],
+			"autocomplete.givenName": [],
+			"autocomplete.familyName": [],
+			"autocomplete.organization": ["company", "organization", "organisation", "business"],
+			"autocomplete.address": ["address"],
+			"autocomplete.line": ["line"],
+			"autocomplete.street": ["street"],
+			"autocomplete.city": ["city", "town", "locality"],
+			"autocomplete.region": ["state", "province", "region"],
+			"autocomplete.postalCode": ["zip", "postal"],
+			"autocomplete.country": ["country"],
+			"autocomplete.website": ["website", "url"],
+		},
+
+		es: {
+			"skipToMain.linkText": "Saltar al contenido principal",
+			"emptyButtons.button": "Botón",
+			"emptyButtons.closeDialog": "Cerrar diálogo",
+			"emptyButtons.submitForm": "Enviar formulario",
+			"newWindowLinkContext.newTab": "se abre en una pestaña nueva",
+			"pdfLinkEnhancer.fileType": "archivo PDF",
+			"pdfLinkEnhancer.newWindow": "se abre en una ventana nueva",
+			"formStatusAnnouncer.success": "Formulario enviado correctamente.",
+			"linkPurposeEnhancer.label": "{text} sobre {context}",
+			"linkPurposeEnhancer.emailContext": "correo {address}",
+			"contactLinkContext.call": "Llamar al {number}",
+			"contactLinkContext.callContext": "Llamar a {context} al {number}",
+			"contactLinkContext.email": "Escribir a {address}",
+			"contactLinkContext.emailContext": "Escribir a {context} a {address}",
+
+			"common.newWindowPhrases": ["se abre en una pestaña nueva", "se abre en una nueva pestaña", "se abre en una ventana nueva", "se abre en una nueva ventana"],
+			"linkPurposeEnhancer.vaguePhrases": [
+				"leer más", "seguir leyendo", "saber más", "más información", "más info", "más", "ver más",
+				"ver todo", "ver detalles", "detalles", "haz clic aquí", "haga clic aquí", "clic aquí",
+				"contacto", "contáctanos", "contáctenos", "escríbenos", "correo",
+			],
+			"imagesWithoutContext.weakLabels": ["imagen", "foto", "fotografía", "leer más", "ver", "más"],
+			"altTextAudit.genericAlt": ["imagen", "foto", "fotografía", "gráfico", "sin título", "logotipo"],
+			"linkTextAudit.vaguePhrases": [
+				"haz clic aquí", "haga clic aquí", "clic aquí", "aquí", "leer más", "seguir leyendo", "saber más",
+				"más", "más información", "más info", "detalles", "enlace", "ver más", "continuar",
+			],
+
+			"autocomplete.email": ["correo", "correo electrónico", "correo electronico"],
+			"autocomplete.tel": ["teléfono", "telefono", "móvil", "movil", "celular"],
+			"autocomplete.middleName": ["segundo nombre"],
+			"autocomplete.name": ["nombre", "nombre completo"],
+			"autocomplete.givenName": ["nombre de pila"],
+			"autocomplete.familyName": ["apellido", "apellidos"],
+			"autocomplete.organization": ["empresa", "compañía", "compania", "organización", "organizacion"],
+			"autocomplete.address": ["dirección", "direccion", "domicilio"],
+			"autocomplete.line": ["línea", "linea"],
+			"autocomplete.street": ["calle"],
+			"autocomplete.city": ["ciudad", "localidad", "población", "poblacion"],
+			"autocomplete.region": ["provincia", "estado", "región", "region"],
+			"autocomplete.postalCode": ["código postal", "codigo postal"],
+			"autocomplete.country": ["país", "pais"],
+			"autocomplete.website": ["sitio web", "página web", "pagina web"],
+		},
+
+		fr: {
+			"skipToMain.linkText": "Aller au contenu principal",
+			"emptyButtons.button": "Bouton",
+			"emptyButtons.closeDialog": "Fermer la boîte de dialogue",
+			"emptyButtons.submitForm": "Envoyer le formulaire",
+			"newWindowLinkContext.newTab": "s'ouvre dans un nouvel onglet",
+			"pdfLinkEnhancer.fileType": "fichier PDF",
+			"pdfLinkEnhancer.newWindow": "s'ouvre dans une nouvelle fenêtre",
+			"formStatusAnnouncer.success": "Formulaire envoyé avec succès.",
+			"linkPurposeEnhancer.label": "{text} à propos de {context}",
+			"linkPurposeEnhancer.emailContext": "courriel {address}",
+			"contactLinkContext.call": "Appeler le {number}",
+			"contactLinkContext.callContext": "Appeler {context} au {number}",
+			"contactLinkContext.email": "Écrire à {address}",
+			"contactLinkContext.emailContext": "Écrire à {context} à l'adresse {address}",
+
+			"common.newWindowPhrases": ["s'ouvre dans un nouvel onglet", "s'ouvre dans une nouvelle fenêtre", "nouvel onglet", "nouvelle fenêtre"],
+			"linkPurposeEnhancer.vaguePhrases": [
+				"lire la suite", "en savoir plus", "plus", "plus d'informations", "plus d'infos", "voir plus",
+				"voir tout", "voir les détails", "détails", "cliquez ici", "découvrir", "continuer la lecture",
+				"contact", "contactez-nous", "nous contacter", "écrivez-nous",
+			],
+			"imagesWithoutContext.weakLabels": ["image", "photo", "lire la suite", "voir", "plus"],
+			"altTextAudit.genericAlt": ["image", "photo", "illustration", "graphique", "sans titre", "logo"],
+			"linkTextAudit.vaguePhrases": [
+				"cliquez ici", "ici", "lire la suite", "en savoir plus", "plus", "plus d'informations", "plus d'infos",
+				"détails", "lien", "voir plus", "continuer",
+			],
+
+			"autocomplete.email": ["courriel", "adresse e mail", "mail"],
+			"autocomplete.tel": ["téléphone", "telephone", "portable"],
+			"autocomplete.middleName": ["deuxième prénom"],
+			"autocomplete.name": ["nom", "nom complet"],
+			"autocomplete.givenName": ["prénom", "prenom"],
+			"autocomplete.familyName": ["nom de famille"],
+			"autocomplete.organization": ["entreprise", "société", "societe"],
+			"autocomplete.address": ["adresse"],
+			"autocomplete.line": ["ligne"],
+			"autocomplete.street": ["rue"],
+			"autocomplete.city": ["ville", "localité", "localite", "commune"],
+			"autocomplete.region": ["région", "département", "departement"],
+			"autocomplete.postalCode": ["code postal"],
+			"autocomplete.country": ["pays"],
+			"autocomplete.website": ["site web", "site internet"],
+		},
+
+		de: {
+			"skipToMain.linkText": "Zum Hauptinhalt springen",
+			"emptyButtons.button": "Schaltfläche",
+			"emptyButtons.closeDialog": "Dialog schließen",
+			"emptyButtons.submitForm": "Formular absenden",
+			"newWindowLinkContext.newTab": "öffnet in einem neuen Tab",
+			"pdfLinkEnhancer.fileType": "PDF-Datei",
+			"pdfLinkEnhancer.newWindow": "öffnet in einem neuen Fenster",
+			"formStatusAnnouncer.success": "Formular erfolgreich gesendet.",
+			"linkPurposeEnhancer.label": "{text} über {context}",
+			"linkPurposeEnhancer.emailContext": "E-Mail {address}",
+			"contactLinkContext.call": "{number} anrufen",
+			"contactLinkContext.callContext": "{context} unter {number} anrufen",
+			"contactLinkContext.email": "E-Mail an {address}",
+			"contactLinkContext.emailContext": "E-Mail an {context} unter {address}",
+
+			"common.newWindowPhrases": ["öffnet in einem neuen tab", "öffnet in einem neuen fenster", "in neuem tab", "in neuem fenster"],
+			"linkPurposeEnhancer.vaguePhrases": [
+				"weiterlesen", "mehr lesen", "mehr erfahren", "mehr", "mehr infos", "mehr informationen",
+				"mehr anzeigen", "alle anzeigen", "details", "hier klicken", "zum artikel",
+				"kontakt", "kontaktieren sie uns", "schreiben sie uns",
+			],
+			"imagesWithoutContext.weakLabels": ["bild", "foto", "weiterlesen", "ansehen", "mehr"],
+			"altTextAudit.genericAlt": ["bild", "foto", "grafik", "abbildung", "ohne titel", "logo"],
+			"linkTextAudit.vaguePhrases": [
+				"hier klicken", "klicken sie hier", "hier", "weiterlesen", "mehr lesen", "mehr erfahren", "mehr",
+				"mehr infos", "mehr informationen", "details", "link", "mehr anzeigen", "weiter",
+			],
+
+			"autocomplete.email": ["e-mail", "e mail", "e-mail-adresse"],
+			"autocomplete.tel": ["telefon", "telefonnummer", "handy", "mobil"],
+			"autocomplete.middleName": ["zweiter vorname"],
+			"autocomplete.name": ["vollständiger name"],
+			"autocomplete.givenName": ["vorname"],
+			"autocomplete.familyName": ["nachname", "familienname"],
+			"autocomplete.organization": ["firma", "unternehmen"],
+			"autocomplete.address": ["adresse", "anschrift"],
+			"autocomplete.line": ["zeile"],
+			"autocomplete.street": ["straße", "strasse"],
+			"autocomplete.city": ["stadt", "ort", "wohnort"],
+			"autocomplete.region": ["bundesland", "kanton", "provinz"],
+			"autocomplete.postalCode": ["postleitzahl", "plz"],
+			"autocomplete.country": ["land"],
+			"autocomplete.website": ["webseite", "homepage"],
+		},
+	};
+
+	/**
+	 * getConfig()
+	 * ------------------------------------------------------------
+	 * Read when needed, so the page language and config are current.
+	 */
+	function getConfig() {
+		return window.sqsA11yConfig || {};
+	}
+
+	/**
+	 * findPack()
+	 * ------------------------------------------------------------
+	 * Returns the pack code for a language tag, trying "es-mx" and
+	 * then "es", or null.
+	 */
+	function findPack(tag) {
+		const code = String(tag || "")
+			.trim()
+			.toLowerCase()
+			.replace(/_/g, "-");
+
+		if (!code) return null;
+		if (PACKS[code]) return code;
+
+		const base = code.split("-")[0];
+		return PACKS[base] ? base : null;
+	}
+
+	/**
+	 * resolveLocale()
+	 * ------------------------------------------------------------
+	 * config.locale, then <html lang>, then English.
+	 */
+	function resolveLocale() {
+		return findPack(getConfig().locale) || findPack(document.documentElement.lang) || FALLBACK_LOCALE;
+	}
+
+	/**
+	 * getOverride()
+	 * ------------------------------------------------------------
+	 * Returns sqsA11yConfig.strings[key], or undefined.
+	 */
+	function getOverride(key) {
+		const strings = getConfig().strings;
+
+		if (!strings || typeof strings !== "object" || !Object.prototype.hasOwnProperty.call(strings, key)) {
+			return undefined;
+		}
+
+		return strings[key];
+	}
+
+	/**
+	 * t(key, params)
+	 * ------------------------------------------------------------
+	 * Returns the string for key in the current locale, falling back to
+	 * English and then to the key itself. {name} placeholders are filled
+	 * from params.
+	 */
+	function t(key, params) {
+		const override = getOverride(key);
+		const pack = PACKS[resolveLocale()] || {};
+
+		let value = typeof override === "string" ? override : pack[key];
+		if (typeof value !== "string") value = PACKS[FALLBACK_LOCALE][key];
+		if (typeof value !== "string") return key;
+
+		return value.replace(/\{(\w+)\}/g, (match, name) =>
+			params && params[name] !== undefined && params[name] !== null ? String(params[name]) : match,
+		);
+	}
+
+	/**
+	 * phrases(key)
+	 * ------------------------------------------------------------
+	 * Returns a lowercase word list: the override when one is set,
+	 * otherwise English plus the current locale.
+	 */
+	function phrases(key) {
+		const override = getOverride(key);
+		const locale = resolveLocale();
+
+		const lists = Array.isArray(override)
+			? [override]
+			: [PACKS[FALLBACK_LOCALE][key], locale === FALLBACK_LOCALE ? null : (PACKS[locale] || {})[key]];
+
+		const result = [];
+
+		lists.forEach((list) => {
+			(Array.isArray(list) ? list : []).forEach((phrase) => {
+				const value = String(phrase).toLowerCase().trim();
+				if (value && !result.includes(value)) result.push(value);
+			});
+		});
+
+		return result;
+	}
+
+	/**
+	 * addLocale(code, strings)
+	 * ------------------------------------------------------------
+	 * Adds a locale pack, or adds strings to an existing one. Keys left
+	 * out fall back to English.
+	 */
+	function addLocale(code, strings) {
+		const key = String(code || "")
+			.trim()
+			.toLowerCase()
+			.replace(/_/g, "-");
+
+		if (!key || !strings || typeof strings !== "object") {
+			console.warn("[sqsA11y-i18n] addLocale() needs a language code and an object of strings.");
+			return false;
+		}
+
+		PACKS[key] = Object.assign(PACKS[key] || {}, strings);
+		return true;
+	}
+
+	window.sqsA11y.i18n = {
+		get locale() {
+			return resolveLocale();
+		},
+		t: t,
+		phrases: phrases,
+		addLocale: addLocale,
+		locales: function () {
+			return Object.keys(PACKS);
+		},
+		keys: function () {
+			return Object.keys(PACKS[FALLBACK_LOCALE]);
+		},
+	};
+
+	utils.t = t;
+	utils.phrases = phrases;
+})(window, document);
@@ -0,0 +1,442 @@
+/**
+ * Squarespace Accessibility Enhancement Lifecycle – squarespaceA11y-lifecycle.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Shared lifecycle used by the runner in squarespaceA11y.js so that
+ * enhancements can safely run on every readiness cycle and be removed
+ * again at runtime.
+ *
+ * Lifecycle contract:
+ *   - init(options)   Optional. Runs once, before the first apply.
+ *                     Bind document/window listeners here.
+ *   - apply(options)  The registered enhancement function. Runs on every
+ *                     readiness cycle and must be safe to repeat.
+ *   - destroy(options) Optional. Runs when the enhancement is disabled,
+ *                     before the generic cleanup below.
+ *
+ *   init and destroy are declared on the registered function:
+ *     window.sqsA11y.enhancements.myEnhancement.init = function (options) {};
+ *     window.sqsA11y.enhancements.myEnhancement.destroy = function (options) {};
+ *
+ * Each enhancement receives its lifecycle as options.lifecycle:
+ *   - on(target, type, handler, listenerOptions)
+ *       Adds an event listener that is removed on destroy. Changes the
+ *       handler makes are recorded.
+ *   - setTimeout(fn, delay)
+ *       Runs fn later and records its changes. Pending timers are cleared
+ *       on destroy.
+ *   - observe(observer)
+ *       Tracks a MutationObserver so it is disconnected on destroy.
+ *   - addCleanup(fn)
+ *       Runs fn on destroy.
+ *   - record(fn)
+ *       Runs fn and records its changes. For callbacks the lifecycle does
+ *       not hand out, such as MutationObserver or requestAnimationFrame
+ *       callbacks.
+ *
+ * DOM changes made while init/apply run, and while the callbacks above
+ * run (attributes, inserted or removed nodes, text changes, and styles
+ * injected into <head>), are recorded in a journal. Changes made from any
+ * other callback are not recorded and are not reverted. destroy() reverts
+ * the journal in reverse order, and window.sqsA11y.revert() reverts every
+ * journal together. A change is left in place when something else has
+ * changed the same node since.
+ *
+ * When an AJAX navigation settles, prune() drops entries for nodes that
+ * are no longer in the page, so the journal does not keep old pages alive.
+ *
+ * Public API:
+ *   window.sqsA11y.lifecycle.get(name)
+ *     Returns the lifecycle for an enhancement, creating it if needed.
+ *   window.sqsA11y.lifecycle.destroyAll(names)
+ *     Destroys several lifecycles at once, reverting their journals
+ *     together in the reverse of the order the changes were made.
+ *     Used by window.sqsA11y.revert().
+ *   window.sqsA11y.lifecycle.prune()
+ *     Drops journal entries for disconnected nodes from every lifecycle.
+ *     Returns the number of entries dropped.
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+
+	if (window.sqsA11y.lifecycle) return;
+
+	const lifecycles = new Map();
+
+	/*
+	 * Shared counter so journals from different enhancements can be
+	 * reverted together in the order the changes were made.
+	 */
+	let sequence = 0;
+
+	/*
+	 * True while record() is observing. A nested record() call, such as a
+	 * recorded listener that calls record() itself, adds its changes to
+	 * the outer journal instead of recording them twice.
+	 */
+	let recording = false;
+
+	/*
+	 * Options used while journaling. Old values are needed to restore
+	 * attributes and text.
+	 */
+	const JOURNAL_OPTIONS = {
+		subtree: true,
+		childList: true,
+		attributes: true,
+		attributeOldValue: true,
+		characterData: true,
+		characterDataOldValue: true,
+	};
+
+	/**
+	 * toJournalEntries()
+	 * ------------------------------------------------------------
+	 * Converts MutationRecords from one run into journal entries.
+	 *
+	 * Several changes to the same attribute or text node are collapsed into
+	 * one entry holding the first old value and the value after the run.
+	 * Nodes that were inserted and removed again in the same run are dropped.
+	 */
+	function toJournalEntries(records) {
+		const entries = [];
+		const attributeEntries = new Map();
+		const textEntries = new Map();
+
+		records.forEach((record) => {
+			if (record.type === "attributes") {
+				let byName = attributeEntries.get(record.target);
+
+				if (!byName) {
+					byName = new Map();
+					attributeEntries.set(record.target, byName);
+				}
+
+				if (byName.has(record.attributeName)) return;
+
+				const entry = {
+					type: "attribute",
+					target: record.target,
+					name: record.attributeName,
+					oldValue: record.oldValue,
+				};
+
+				byName.set(record.attributeName, entry);
+				entries.push(entry);
+				return;
+			}
+
+			if (record.type === "characterData") {
+				if (textEntries.has(record.target)) return;
+
+				const entry = { type: "text", target: record.target, oldValue: record.oldValue };
+
+				textEntries.set(record.target, entry);
+				entries.push(entry);
+				return;
+			}
+
+			record.removedNodes.forEach((node) => {
+				const added = entries.find((entry) => entry.type === "added" && entry.node === node && !entry.dropped);
+
+				if (added) {
+					added.dropped = true;
+					return;
+				}
+
+				entries.push({
+					type: "removed",
+					node: node,
+					parent: record.target,
+					nextSibling: record.nextSibling,
+				});
+			});
+
+			record.addedNodes.forEach((node) => {
+				entries.push({ type: "added", node: node, parent: record.target });
+			});
+		});
+
+		return entries.filter((entry) => {
+			if (entry.dropped) return false;
+
+			if (entry.type === "attribute") {
+				entry.newValue = entry.target.getAttribute(entry.name);
+				return entry.newValue !== entry.oldValue;
+			}
+
+			if (entry.type === "text") {
+				entry.newValue = entry.target.data;
+				return entry.newValue !== entry.oldValue;
+			}
+
+			return true;
+		});
+	}
+
+	/**
+	 * undoEntry()
+	 * ------------------------------------------------------------
+	 * Reverts one journal entry unless the node was changed again since.
+	 */
+	function undoEntry(entry) {
+		switch (entry.type) {
+			case "attribute":
+				if (entry.target.getAttribute(entry.name) !== entry.newValue) return;
+
+				if (entry.oldValue === null) {
+					entry.target.removeAttribute(entry.name);
+				} else {
+					entry.target.setAttribute(entry.name, entry.oldValue);
+				}
+				return;
+
+			case "text":
+				if (entry.target.data === entry.newValue) entry.target.data = entry.oldValue;
+				return;
+
+			case "added":
+				if (entry.node.parentNode === entry.parent) entry.parent.removeChild(entry.node);
+				return;
+
+			case "removed":
+				if (entry.node.parentNode) return;
+
+				entry.parent.insertBefore(
+					entry.node,
+					entry.nextSibling && entry.nextSibling.parentNode === entry.parent ? entry.nextSibling : null,
+				);
+				return;
+		}
+	}
+
+	/**
+	 * isEntryConnected()
+	 * ------------------------------------------------------------
+	 * False once the node an entry would restore has left the page. A
+	 * removed node is detached by design, so its parent is checked instead.
+	 */
+	function isEntryConnected(entry) {
+		switch (entry.type) {
+			case "attribute":
+			case "text":
+				return entry.target.isConnected;
+
+			case "added":
+				return entry.node.isConnected;
+
+			case "removed":
+				return entry.parent.isConnected;
+		}
+
+		return false;
+	}
+
+	/**
+	 * createLifecycle()
+	 * ------------------------------------------------------------
+	 * Returns the lifecycle object for one enhancement.
+	 */
+	function createLifecycle(name) {
+		const listeners = [];
+		const observers = [];
+		const cleanups = [];
+		const timers = new Set();
+		const journal = [];
+
+		const lifecycle = {
+			name: name,
+			initialized: false,
+			disabled: false,
+			journal: journal,
+
+			/*
+			 * Returns the listener that was added, which wraps handler so
+			 * its changes are recorded.
+			 */
+			on: function (target, type, handler, listenerOptions) {
+				if (!target || typeof target.addEventListener !== "function") return handler;
+
+				const listener = function (event) {
+					return lifecycle.record(() => handler.call(this, event));
+				};
+
+				target.addEventListener(type, listener, listenerOptions);
+				listeners.push({ target: target, type: type, handler: listener, options: listenerOptions });
+
+				return listener;
+			},
+
+			/*
+			 * Returns the timer id. The timer is cleared on destroy.
+			 */
+			setTimeout: function (fn, delay) {
+				const id = window.setTimeout(() => {
+					timers.delete(id);
+					lifecycle.record(fn);
+				}, delay);
+
+				timers.add(id);
+
+				return id;
+			},
+
+			observe: function (observer) {
+				if (observer) observers.push(observer);
+				return observer;
+			},
+
+			addCleanup: function (fn) {
+				if (typeof fn === "function") cleanups.push(fn);
+			},
+
+			/**
+			 * record(fn)
+			 * --------------------------------------------------------
+			 * Runs fn and adds the DOM changes it made to the journal.
+			 * Errors from fn are rethrown after recording.
+			 */
+			record: function (fn) {
+				if (recording || typeof MutationObserver !== "function") return fn();
+
+				const recorder = new MutationObserver(() => {});
+				recorder.observe(document, JOURNAL_OPTIONS);
+				recording = true;
+
+				try {
+					return fn();
+				} finally {
+					recording = false;
+
+					const records = recorder.takeRecords();
+					recorder.disconnect();
+					toJournalEntries(records).forEach((entry) => {
+						entry.sequence = ++sequence;
+						journal.push(entry);
+					});
+				}
+			},
+
+			/**
+			 * prune()
+			 * --------------------------------------------------------
+			 * Drops entries for nodes that are no longer in the page.
+			 * Returns the number of entries dropped.
+			 */
+			prune: function () {
+				const kept = journal.filter(isEntryConnected);
+				const dropped = journal.length - kept.length;
+
+				if (dropped) {
+					journal.length = 0;
+					Array.prototype.push.apply(journal, kept);
+				}
+
+				return dropped;
+			},
+
+			/**
+			 * release()
+			 * --------------------------------------------------------
+			 * Clears timers, removes listeners, disconnects observers, and runs cleanups.
+			 * Returns the journal entries, which the caller reverts.
+			 */
+			release: function () {
+				timers.forEach((id) => window.clearTimeout(id));
+				timers.clear();
+
+				listeners.splice(0).forEach((item) => {
+					item.target.removeEventListener(item.type, item.handler, item.options);
+				});
+
+				observers.splice(0).forEach((observer) => {
+					try {
+						observer.disconnect();
+					} catch (err) {}
+				});
+
+				cleanups.splice(0).reverse().forEach((fn) => {
+					try {
+						fn();
+					} catch (err) {
+						console.warn(`[sqsA11y-lifecycle] Cleanup failed for ${name}:`, err);
+					}
+				});
+
+				lifecycle.initialized = false;
+
+				return journal.splice(0);
+			},
+
+			/**
+			 * destroy()
+			 * --------------------------------------------------------
+			 * Releases listeners and observers, then reverts journaled
+			 * DOM changes in reverse order.
+			 */
+			destroy: function () {
+				revertEntries(lifecycle.release());
+			},
+		};
+
+		return lifecycle;
+	}
+
+	/**
+	 * revertEntries()
+	 * ------------------------------------------------------------
+	 * Undoes journal entries, newest first.
+	 */
+	function revertEntries(entries) {
+		entries
+			.sort((a, b) => b.sequence - a.sequence)
+			.forEach((entry) => {
+				try {
+					undoEntry(entry);
+				} catch (err) {
+					console.warn("[sqsA11y-lifecycle] Could not revert a recorded change:", err);
+				}
+			});
+
+		return entries.length;
+	}
+
+	window.sqsA11y.lifecycle = {
+		get: function (name) {
+			if (!lifecycles.has(name)) lifecycles.set(name, createLifecycle(name));
+			return lifecycles.get(name);
+		},
+
+		/*
+		 * Returns the number of journaled changes that were reverted.
+		 */
+		destroyAll: function (names) {
+			const entries = [];
+
+			names.forEach((name) => {
+				if (!lifecycles.has(name)) return;
+				Array.prototype.push.apply(entries, lifecycles.get(name).release());
+			});
+
+			return revertEntries(entries);
+		},
+
+		prune: function () {
+			let dropped = 0;
+
+			lifecycles.forEach((lifecycle) => {
+				dropped += lifecycle.prune();
+			});
+
+			return dropped;
+		},
+	};
+})(window, document);
@@ -0,0 +1,407 @@
+/**
+ * Squarespace Accessibility Change Overlay – squarespaceA11y-overlay.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Visual overlay that outlines every element an enhancement changed or
+ * flagged, so reviewers can see the library's work without DevTools.
+ *
+ *   - Each enhancement gets its own outline color.
+ *   - A badge names the enhancement. Hovering the badge, or focusing
+ *     the element itself, shows what was added, such as an aria-label,
+ *     alt text, or screen-reader-only text.
+ *   - Warnings and audit findings, for example from headingAudit and
+ *     textSpacingAudit, use a dashed amber outline instead.
+ *
+ * Changed elements come from each enhancement's change journal (see
+ * squarespaceA11y-lifecycle.js), so reverted or disabled enhancements
+ * disappear from the overlay. Warnings come from the findings store.
+ *
+ * The overlay is drawn in a shadow root with fixed positioning. It does
+ * not change the page's own markup, and it is removed completely when
+ * turned off. It is hidden from assistive technology because it only
+ * repeats what the review panel lists.
+ *
+ * Public API:
+ *   window.sqsA11y.overlay.open()
+ *   window.sqsA11y.overlay.close()
+ *   window.sqsA11y.overlay.isOpen()
+ *   window.sqsA11y.overlay.refresh()
+ *
+ * Dependencies:
+ *   - squarespaceA11y-lifecycle.js
+ *   - squarespaceA11y-findings.js
+ *   - window.sqsA11y.status() from squarespaceA11y.js
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+
+	if (window.sqsA11y.overlay) return;
+
+	const HOST_ID = "sqs-a11y-overlay";
+
+	const AUDIT_COLOR = "#8a4b00";
+
+	/*
+	 * Attributes that only trace the library's own work. They are not
+	 * listed as changes in the badge details.
+	 */
+	const IGNORED_ATTRIBUTE = /^data-/;
+
+	const STYLE = `
+		:host {
+			all: initial;
+		}
+
+		.box {
+			position: fixed;
+			z-index: 2147483645;
+			box-sizing: border-box;
+			pointer-events: none;
+			outline: 3px solid var(--color);
+			outline-offset: 1px;
+			font: 12px/1.3 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+		}
+
+		.box.audit {
+			outline-style: dashed;
+		}
+
+		.box[hidden] {
+			display: none;
+		}
+
+		.badge {
+			position: absolute;
+			top: -3px;
+			left: -3px;
+			transform: translateY(-100%);
+			max-width: 280px;
+			padding: 1px 6px;
+			overflow: hidden;
+			color: #ffffff;
+			background: var(--color);
+			white-space: nowrap;
+			text-overflow: ellipsis;
+			pointer-events: auto;
+			cursor: default;
+		}
+
+		.details {
+			display: none;
+			position: absolute;
+			top: 0;
+			left: -3px;
+			z-index: 1;
+			box-sizing: border-box;
+			width: max-content;
+			max-width: 320px;
+			margin: 0;
+			padding: 6px 8px;
+			list-style: none;
+			color: #1a1a1a;
+			background: #ffffff;
+			border: 2px solid var(--color);
+			box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+			word-break: break-word;
+		}
+
+		.badge:hover + .details,
+		.box.focused .details {
+			display: block;
+		}
+
+		.details li + li {
+			margin-top: 4px;
+		}
+	`;
+
+	let host = null;
+	let root = null;
+	let items = [];
+	let frame = 0;
+
+	/**
+	 * escapeHtml()
+	 * ------------------------------------------------------------
+	 * Escapes text for use in the overlay's HTML templates.
+	 */
+	function escapeHtml(value) {
+		return String(value === null || value === undefined ? "" : value)
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;");
+	}
+
+	/**
+	 * colorFor()
+	 * ------------------------------------------------------------
+	 * Stable color per enhancement name. The lightness is low enough for
+	 * white badge text to stay readable on every hue.
+	 */
+	function colorFor(name) {
+		let hash = 0;
+
+		for (let i = 0; i < name.length; i++) {
+			hash = (hash * 31 + name.charCodeAt(i)) % 360;
+		}
+
+		return `hsl(${hash}, 85%, 25%)`;
+	}
+
+	/**
+	 * hasBox()
+	 * ------------------------------------------------------------
+	 * True when an element takes up space on the page.
+	 */
+	function hasBox(el) {
+		const rect = el.getBoundingClientRect();
+		return rect.width > 1 && rect.height > 1;
+	}
+
+	/**
+	 * describeEntry()
+	 * ------------------------------------------------------------
+	 * Returns the element to outline for one journal entry and a short
+	 * description of the change, or null for changes that cannot be
+	 * shown (styles in <head>, removed elements, trace attributes).
+	 */
+	function describeEntry(entry) {
+		if (entry.type === "attribute") {
+			if (IGNORED_ATTRIBUTE.test(entry.name) || !entry.target.isConnected) return null;
+
+			const value = entry.target.getAttribute(entry.name);
+
+			// Audits often add a class and remove it again.
+			if (value === entry.oldValue) return null;
+
+			return {
+				element: entry.target,
+				change: value === null ? `Removed ${entry.name}` : `${entry.name}="${value}"`,
+			};
+		}
+
+		if (entry.type === "text") {
+			const parent = entry.target.parentElement;
+			return parent && parent.isConnected ? { element: parent, change: `Text: "${entry.target.data}"` } : null;
+		}
+
+		if (entry.type === "added") {
+			const node = entry.node;
+
+			if (!node.isConnected || !document.body || !document.body.contains(node)) return null;
+
+			const text = (node.textContent || "").replace(/\s+/g, " ").trim();
+			const label = node.nodeType === 1 ? `<${node.tagName.toLowerCase()}>` : "text";
+			const change = text ? `Added ${label}: "${text}"` : `Added ${label}`;
+
+			// Screen-reader-only text has no box of its own, so outline its parent.
+			if (node.nodeType === 1 && hasBox(node)) return { element: node, change: change };
+
+			const parent = node.parentElement;
+			if (!parent || parent === document.body) return node.nodeType === 1 ? { element: node, change: change } : null;
+
+			return { element: parent, change: change };
+		}
+
+		return null;
+	}
+
+	/**
+	 * collectItems()
+	 * ------------------------------------------------------------
+	 * Groups changes and warnings by element. An element with any warning,
+	 * or one touched by an audit enhancement, gets the audit styling.
+	 */
+	function collectItems() {
+		const byElement = new Map();
+
+		function add(element, name, change, audit) {
+			let item = byElement.get(element);
+
+			if (!item) {
+				item = { element: element, names: [], changes: [], audit: false };
+				byElement.set(element, item);
+			}
+
+			if (!item.names.includes(name)) item.names.push(name);
+			if (change && !item.changes.includes(change)) item.changes.push(change);
+			if (audit) item.audit = true;
+		}
+
+		const status = typeof window.sqsA11y.status === "function" ? window.sqsA11y.status() : [];
+
+		if (window.sqsA11y.lifecycle) {
+			status.forEach((enhancement) => {
+				window.sqsA11y.lifecycle.get(enhancement.name).journal.forEach((entry) => {
+					const described = describeEntry(entry);
+					if (described) add(described.element, enhancement.name, described.change, enhancement.kind === "audit");
+				});
+			});
+		}
+
+		if (typeof window.sqsA11y.report === "function") {
+			const url = window.location.href;
+
+			window.sqsA11y
+				.report({ kind: ["warning", "audit"] })
+				.filter((entry) => entry.url === url && entry.selector)
+				.forEach((entry) => {
+					let element = null;
+
+					try {
+						element = document.querySelector(entry.selector);
+					} catch (err) {}
+
+					if (element) add(element, entry.enhancement, entry.description, true);
+				});
+		}
+
+		return Array.from(byElement.values());
+	}
+
+	/**
+	 * render()
+	 * ------------------------------------------------------------
+	 * Rebuilds one outline and badge per element.
+	 */
+	function render() {
+		items = collectItems();
+
+		root.querySelector(".layer").innerHTML = items
+			.map((item, index) => {
+				const color = item.audit ? AUDIT_COLOR : colorFor(item.names[0]);
+				const badge = (item.audit ? "Needs review: " : "") + item.names.join(", ");
+
+				return `
+					<div class="box${item.audit ? " audit" : ""}" data-index="${index}" style="--color: ${color}" hidden>
+						<div class="badge">${escapeHtml(badge)}</div>
+						<ul class="details">${item.changes.map((change) => `<li>${escapeHtml(change)}</li>`).join("")}</ul>
+					</div>`;
+			})
+			.join("");
+
+		position();
+	}
+
+	/**
+	 * position()
+	 * ------------------------------------------------------------
+	 * Moves every outline over its element. Elements without a box,
+	 * such as hidden menus, are not outlined.
+	 */
+	function position() {
+		frame = 0;
+
+		root.querySelectorAll(".box").forEach((box) => {
+			const item = items[Number(box.getAttribute("data-index"))];
+			const rect = item && item.element.isConnected ? item.element.getBoundingClientRect() : null;
+
+			if (!rect || (rect.width < 1 && rect.height < 1)) {
+				box.hidden = true;
+				return;
+			}
+
+			box.hidden = false;
+			box.style.top = `${rect.top}px`;
+			box.style.left = `${rect.left}px`;
+			box.style.width = `${rect.width}px`;
+			box.style.height = `${rect.height}px`;
+		});
+	}
+
+	/**
+	 * schedulePosition()
+	 * ------------------------------------------------------------
+	 * Repositions once per animation frame while scrolling or resizing.
+	 */
+	function schedulePosition() {
+		if (!frame) frame = window.requestAnimationFrame(position);
+	}
+
+	/**
+	 * handleFocus()
+	 * ------------------------------------------------------------
+	 * Shows the details for an outlined element while it has focus.
+	 */
+	function handleFocus(event) {
+		root.querySelectorAll(".box.focused").forEach((box) => box.classList.remove("focused"));
+
+		if (event.type !== "focusin") return;
+
+		const index = items.findIndex((item) => item.element === event.target);
+		const box = index === -1 ? null : root.querySelector(`.box[data-index="${index}"]`);
+
+		if (box) box.classList.add("focused");
+	}
+
+	/**
+	 * open()
+	 * ------------------------------------------------------------
+	 * Shows the overlay and keeps it in sync with the page.
+	 */
+	function open() {
+		if (host && host.isConnected) {
+			render();
+			return;
+		}
+
+		host = document.createElement("div");
+		host.id = HOST_ID;
+		host.setAttribute("aria-hidden", "true");
+		root = host.attachShadow({ mode: "open" });
+		root.innerHTML = `<style>${STYLE}</style><div class="layer"></div>`;
+
+		document.body.appendChild(host);
+
+		window.addEventListener("scroll", schedulePosition, true);
+		window.addEventListener("resize", schedulePosition);
+		document.addEventListener("focusin", handleFocus);
+		document.addEventListener("focusout", handleFocus);
+		document.addEventListener("sqs:cycle-complete", render);
+
+		render();
+	}
+
+	/**
+	 * close()
+	 * ------------------------------------------------------------
+	 * Removes the overlay and every listener it added.
+	 */
+	function close() {
+		if (!host) return;
+
+		window.removeEventListener("scroll", schedulePosition, true);
+		window.removeEventListener("resize", schedulePosition);
+		document.removeEventListener("focusin", handleFocus);
+		document.removeEventListener("focusout", handleFocus);
+		document.removeEventListener("sqs:cycle-complete", render);
+
+		if (frame) window.cancelAnimationFrame(frame);
+
+		host.remove();
+		host = null;
+		root = null;
+		items = [];
+		frame = 0;
+	}
+
+	window.sqsA11y.overlay = {
+		open: open,
+		close: close,
+		isOpen: function () {
+			return !!(host && host.isConnected);
+		},
+		refresh: function () {
+			if (host) render();
+		},
+	};
+})(window, document);
@@ -0,0 +1,683 @@
+/**
+ * Squarespace Accessibility Review Panel – squarespaceA11y-reviewPanel.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Floating panel for reviewers who do not work in the browser console.
+ * It lists every enhancement with its WCAG mapping, an on/off switch,
+ * and its fix and warning counts, plus the findings recorded for the
+ * current page. Selecting a finding scrolls to the element and
+ * highlights it. A switch at the top turns on the change overlay
+ * (squarespaceA11y-overlay.js).
+ *
+ * This file is not loaded on normal page views. squarespaceA11y.js loads
+ * it when config.reviewPanel is true, when ?sqsA11yPanel=1 is set, or when
+ * a reviewer presses Alt+Shift+A.
+ *
+ * The panel is rendered inside a shadow root, so the library's own
+ * enhancements, audits, and change journal never see its markup.
+ *
+ * In editor mode (window.sqsA11y.editorMode) the panel is compact: it
+ * lists the read-only audit findings only, opens without taking focus
+ * from the Squarespace editor, and hides instead of closing.
+ *
+ * Keyboard use:
+ *   - Alt+Shift+A opens and closes the panel
+ *   - Escape closes the panel and returns focus to where it was, or
+ *     hides the compact panel's findings
+ *   - Switches and findings are native checkboxes and buttons
+ *
+ * Public API:
+ *   window.sqsA11y.reviewPanel.open(options)
+ *     options.focus = false leaves focus where it is.
+ *   window.sqsA11y.reviewPanel.close()
+ *   window.sqsA11y.reviewPanel.isOpen()
+ *   window.sqsA11y.reviewPanel.refresh()
+ *
+ * Dependencies:
+ *   - squarespaceA11y-findings.js
+ *   - window.sqsA11y.status(), enable(), and disable() from squarespaceA11y.js
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+
+	if (window.sqsA11y.reviewPanel) return;
+
+	const HOST_ID = "sqs-a11y-review-panel";
+
+	/*
+	 * Long audit runs can record hundreds of findings. Only this many are
+	 * listed at once; the kind filter narrows the list.
+	 */
+	const MAX_LISTED_FINDINGS = 200;
+
+	const HIGHLIGHT_DURATION = 4000;
+
+	const KIND_LABELS = {
+		fix: "Fix",
+		warning: "Warning",
+		audit: "Needs review",
+		info: "Info",
+	};
+
+	const STYLE = `
+		:host {
+			all: initial;
+		}
+
+		.panel {
+			position: fixed;
+			right: 16px;
+			bottom: 16px;
+			z-index: 2147483647;
+			display: flex;
+			flex-direction: column;
+			box-sizing: border-box;
+			width: min(400px, calc(100vw - 32px));
+			max-height: min(70vh, 640px);
+			background: #ffffff;
+			color: #1a1a1a;
+			border: 2px solid #1a1a1a;
+			border-radius: 6px;
+			box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+			font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+		}
+
+		.panel.compact {
+			width: min(320px, calc(100vw - 32px));
+			max-height: min(45vh, 360px);
+			font-size: 13px;
+		}
+
+		.panel.compact .body[hidden] {
+			display: none;
+		}
+
+		.header {
+			display: flex;
+			align-items: center;
+			justify-content: space-between;
+			gap: 8px;
+			padding: 8px 12px;
+			border-bottom: 1px solid #767676;
+		}
+
+		h2 {
+			margin: 0;
+			font-size: 16px;
+		}
+
+		h3 {
+			margin: 12px 0 6px;
+			font-size: 15px;
+		}
+
+		.body {
+			overflow: auto;
+			padding: 0 12px 12px;
+		}
+
+		ul {
+			margin: 0;
+			padding: 0;
+			list-style: none;
+		}
+
+		li {
+			padding: 6px 0;
+			border-bottom: 1px solid #e0e0e0;
+		}
+
+		.switch {
+			display: flex;
+			align-items: center;
+			gap: 8px;
+			font-weight: 600;
+		}
+
+		.body > .switch {
+			margin-top: 12px;
+		}
+
+		input[type="checkbox"] {
+			width: 18px;
+			height: 18px;
+			margin: 0;
+		}
+
+		.meta,
+		.selector,
+		.summary {
+			margin: 2px 0 0;
+			color: #4a4a4a;
+			font-size: 13px;
+		}
+
+		.selector {
+			display: block;
+			font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+			word-break: break-all;
+		}
+
+		button,
+		select {
+			font: inherit;
+			color: inherit;
+		}
+
+		.header button,
+		.toolbar button,
+		select {
+			min-height: 32px;
+			padding: 4px 10px;
+			background: #f2f2f2;
+			border: 1px solid #1a1a1a;
+			border-radius: 4px;
+			cursor: pointer;
+		}
+
+		.toolbar {
+			display: flex;
+			align-items: center;
+			gap: 8px;
+		}
+
+		.finding {
+			display: block;
+			width: 100%;
+			padding: 4px;
+			text-align: left;
+			background: none;
+			border: 0;
+			cursor: pointer;
+		}
+
+		.finding:hover {
+			background: #f2f2f2;
+		}
+
+		.kind {
+			font-weight: 600;
+		}
+
+		:focus-visible {
+			outline: 3px solid #005fcc;
+			outline-offset: 2px;
+		}
+
+		.highlight {
+			position: fixed;
+			z-index: 2147483646;
+			box-sizing: border-box;
+			pointer-events: none;
+			outline: 4px solid #d4006a;
+			outline-offset: 2px;
+			background: rgba(212, 0, 106, 0.12);
+		}
+
+		.visually-hidden {
+			position: absolute;
+			width: 1px;
+			height: 1px;
+			overflow: hidden;
+			clip: rect(0 0 0 0);
+			white-space: nowrap;
+		}
+	`;
+
+	let host = null;
+	let root = null;
+	let returnFocus = null;
+	let highlighted = null;
+	let highlightTimer = null;
+	let kindFilter = "all";
+	let compact = false;
+
+	/**
+	 * escapeHtml()
+	 * ------------------------------------------------------------
+	 * Escapes text for use in the panel's HTML templates.
+	 */
+	function escapeHtml(value) {
+		return String(value === null || value === undefined ? "" : value)
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/"/g, "&quot;");
+	}
+
+	/**
+	 * plural()
+	 * ------------------------------------------------------------
+	 * "1 fix", "2 fixes".
+	 */
+	function plural(count, singular, pluralForm) {
+		return `${count} ${count === 1 ? singular : pluralForm}`;
+	}
+
+	/**
+	 * getPageFindings()
+	 * ------------------------------------------------------------
+	 * Findings recorded on the current URL. After AJAX navigation, the
+	 * store still holds findings from earlier pages.
+	 */
+	function getPageFindings(filter) {
+		if (typeof window.sqsA11y.report !== "function") return [];
+
+		const url = window.location.href;
+
+		return window.sqsA11y.report(filter).filter((entry) => entry.url === url);
+	}
+
+	/**
+	 * describeStatus()
+	 * ------------------------------------------------------------
+	 * Explains why an enhancement switch cannot be used.
+	 */
+	function describeStatus(item) {
+		if (!item.available) return item.kind === "audit" ? "Audit mode is off." : "Not included in this build.";
+		if (!item.loaded) return "Not loaded.";
+		if (!item.active) return "Turned off for this page by site configuration.";
+		return "";
+	}
+
+	/**
+	 * renderEnhancements()
+	 * ------------------------------------------------------------
+	 * One switch per ENHANCEMENT_LIST entry, with its WCAG mapping and
+	 * fix/warning counts for the current page.
+	 */
+	function renderEnhancements(findings) {
+		const list = typeof window.sqsA11y.status === "function" ? window.sqsA11y.status() : [];
+		const running = list.filter((item) => item.active && !item.disabled).length;
+
+		root.querySelector(".enhancements-summary").textContent = `${running} of ${list.length} enhancements running on this page.`;
+
+		root.querySelector(".enhancements").innerHTML = list
+			.map((item) => {
+				const id = `sqs-a11y-panel-${item.name}`;
+				const own = findings.filter((entry) => entry.enhancement === item.name);
+				const fixes = own.filter((entry) => entry.kind === "fix").length;
+				const warnings = own.length - fixes;
+				const note = describeStatus(item);
+				const usable = item.available && item.loaded && item.active;
+
+				const meta = [
+					item.wcag || "No WCAG mapping",
+					item.kind === "audit" ? "Audit only" : "",
+					item.registered ? "Site-specific" : "",
+					`${plural(fixes, "fix", "fixes")}, ${plural(warnings, "warning", "warnings")}`,
+					note,
+				]
+					.filter(Boolean)
+					.join(" · ");
+
+				return `
+					<li>
+						<label class="switch" for="${escapeHtml(id)}">
+							<input type="checkbox" role="switch" id="${escapeHtml(id)}" data-name="${escapeHtml(item.name)}"
+								aria-describedby="${escapeHtml(id)}-meta"
+								${usable && !item.disabled ? "checked" : ""} ${usable ? "" : "disabled"}>
+							${escapeHtml(item.name)}
+						</label>
+						<p class="meta" id="${escapeHtml(id)}-meta">${escapeHtml(meta)}</p>
+					</li>`;
+			})
+			.join("");
+	}
+
+	/**
+	 * renderFindings()
+	 * ------------------------------------------------------------
+	 * Lists findings for the current page. Findings tied to an element
+	 * are buttons that highlight it. "All" leaves out "info" entries,
+	 * which are read separately when the filter asks for them.
+	 */
+	function renderFindings(findings) {
+		const source = kindFilter === "info" ? getPageFindings({ kind: "info" }) : findings;
+		const shown = source.filter((entry) => kindFilter === "all" || entry.kind === kindFilter);
+		const listed = shown.slice(0, MAX_LISTED_FINDINGS);
+
+		root.querySelector(".findings-summary").textContent =
+			shown.length > listed.length
+				? `Showing the first ${listed.length} of ${shown.length} findings.`
+				: `${plural(shown.length, "finding", "findings")}.`;
+
+		root.querySelector(".findings").innerHTML = listed
+			.map((entry) => {
+				const text = `
+					<span class="kind">${escapeHtml(KIND_LABELS[entry.kind] || entry.kind)}:</span>
+					${escapeHtml(entry.description)}
+					<span class="selector">${escapeHtml(entry.enhancement)}${entry.selector ? " · " + escapeHtml(entry.selector) : ""}</span>`;
+
+				if (!entry.selector) return `<li>${text}</li>`;
+
+				return `<li><button type="button" class="finding" data-id="${escapeHtml(entry.id)}">${text}</button></li>`;
+			})
+			.join("");
+	}
+
+	/**
+	 * refresh()
+	 * ------------------------------------------------------------
+	 * Re-renders both lists, keeping focus on the same switch or finding.
+	 */
+	function refresh() {
+		if (!root) return;
+
+		const focused = root.activeElement;
+		const focusKey = focused ? focused.getAttribute("data-name") || focused.getAttribute("data-id") : null;
+
+		const findings = getPageFindings();
+
+		if (!compact) renderEnhancements(findings);
+		renderFindings(findings);
+
+		if (!compact && window.sqsA11y.overlay) {
+			root.querySelector(".overlay-switch").checked = window.sqsA11y.overlay.isOpen();
+		}
+
+		if (focusKey) {
+			const match = Array.from(root.querySelectorAll("[data-name], [data-id]")).find(
+				(el) => el.getAttribute("data-name") === focusKey || el.getAttribute("data-id") === focusKey,
+			);
+
+			if (match) match.focus();
+		}
+	}
+
+	/**
+	 * announce()
+	 * ------------------------------------------------------------
+	 * Sends a message to the panel's polite live region.
+	 */
+	function announce(message) {
+		const region = root.querySelector(".status");
+
+		region.textContent = "";
+		window.setTimeout(() => {
+			region.textContent = message;
+		}, 50);
+	}
+
+	/**
+	 * positionHighlight()
+	 * ------------------------------------------------------------
+	 * Keeps the highlight box over the highlighted element while the
+	 * page scrolls or resizes.
+	 */
+	function positionHighlight() {
+		const box = root && root.querySelector(".highlight");
+		if (!box || !highlighted) return;
+
+		const rect = highlighted.getBoundingClientRect();
+
+		box.style.top = `${rect.top}px`;
+		box.style.left = `${rect.left}px`;
+		box.style.width = `${rect.width}px`;
+		box.style.height = `${rect.height}px`;
+	}
+
+	/**
+	 * clearHighlight()
+	 * ------------------------------------------------------------
+	 * Hides the highlight box and stops tracking scroll position.
+	 */
+	function clearHighlight() {
+		window.clearTimeout(highlightTimer);
+		window.removeEventListener("scroll", positionHighlight, true);
+		window.removeEventListener("resize", positionHighlight);
+
+		highlighted = null;
+
+		const box = root && root.querySelector(".highlight");
+		if (box) box.hidden = true;
+	}
+
+	/**
+	 * highlightFinding()
+	 * ------------------------------------------------------------
+	 * Scrolls the finding's element into view and draws a box over it.
+	 * The box lives in the panel's shadow root, so the page's own markup
+	 * is not changed.
+	 */
+	function highlightFinding(id) {
+		const entry = getPageFindings().find((item) => String(item.id) === String(id));
+		let element = null;
+
+		try {
+			element = entry && entry.selector ? document.querySelector(entry.selector) : null;
+		} catch (err) {}
+
+		clearHighlight();
+
+		if (!element) {
+			announce("That element is no longer on the page.");
+			return;
+		}
+
+		const reduceMotion = window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+		if (typeof element.scrollIntoView === "function") {
+			element.scrollIntoView({ block: "center", behavior: reduceMotion ? "auto" : "smooth" });
+		}
+
+		highlighted = element;
+		root.querySelector(".highlight").hidden = false;
+		positionHighlight();
+
+		window.addEventListener("scroll", positionHighlight, true);
+		window.addEventListener("resize", positionHighlight);
+		highlightTimer = window.setTimeout(clearHighlight, HIGHLIGHT_DURATION);
+
+		announce(`Highlighted ${entry.selector}.`);
+	}
+
+	/**
+	 * toggleEnhancement()
+	 * ------------------------------------------------------------
+	 * Handles a switch change.
+	 */
+	function toggleEnhancement(input) {
+		const name = input.getAttribute("data-name");
+		const done = input.checked ? window.sqsA11y.enable(name) : window.sqsA11y.disable(name);
+
+		announce(done ? `${name} turned ${input.checked ? "on" : "off"}.` : `${name} could not be changed.`);
+		refresh();
+	}
+
+	/**
+	 * toggleOverlay()
+	 * ------------------------------------------------------------
+	 * Handles the overlay switch. The overlay file is loaded on first use.
+	 */
+	function toggleOverlay(input) {
+		if (typeof window.sqsA11y.toggleOverlay !== "function") {
+			input.checked = false;
+			announce("The change overlay is not available.");
+			return;
+		}
+
+		window.sqsA11y.toggleOverlay(input.checked).then(() => {
+			announce(`Change overlay turned ${input.checked ? "on" : "off"}.`);
+		});
+	}
+
+	/**
+	 * toggleCompactBody()
+	 * ------------------------------------------------------------
+	 * Shows or hides the compact panel's findings, leaving the header
+	 * in place so editors can bring them back.
+	 */
+	function toggleCompactBody() {
+		const button = root.querySelector(".collapse");
+		const body = root.querySelector(".body");
+		const expanded = button.getAttribute("aria-expanded") !== "true";
+
+		button.setAttribute("aria-expanded", String(expanded));
+		button.firstChild.textContent = expanded ? "Hide" : "Show";
+		body.hidden = !expanded;
+	}
+
+	/**
+	 * build()
+	 * ------------------------------------------------------------
+	 * Creates the shadow host and static panel markup.
+	 */
+	function build() {
+		compact = window.sqsA11y.editorMode === true;
+
+		host = document.createElement("div");
+		host.id = HOST_ID;
+		root = host.attachShadow({ mode: "open" });
+
+		const headerButton = compact
+			? `<button type="button" class="collapse" aria-expanded="true" aria-controls="sqs-a11y-panel-body">Hide<span class="visually-hidden"> accessibility findings</span></button>`
+			: `<button type="button" class="close">Close<span class="visually-hidden"> review panel</span></button>`;
+
+		const reviewerControls = compact
+			? `<p class="summary">Read-only check: nothing on the page is changed here. Fix these in the editor.</p>`
+			: `
+					<label class="switch" for="sqs-a11y-panel-overlay">
+						<input type="checkbox" role="switch" id="sqs-a11y-panel-overlay" class="overlay-switch" />
+						Show changes on the page
+					</label>
+					<section aria-labelledby="sqs-a11y-panel-enhancements">
+						<h3 id="sqs-a11y-panel-enhancements">Enhancements</h3>
+						<p class="summary enhancements-summary"></p>
+						<ul class="enhancements"></ul>
+					</section>`;
+
+		const kindSelect = compact
+			? ""
+			: `
+							<label for="sqs-a11y-panel-kind">Show</label>
+							<select id="sqs-a11y-panel-kind">
+								<option value="all">All</option>
+								<option value="fix">Fixes</option>
+								<option value="warning">Warnings</option>
+								<option value="audit">Needs review</option>
+								<option value="info">Info</option>
+							</select>`;
+
+		root.innerHTML = `
+			<style>${STYLE}</style>
+			<aside class="panel${compact ? " compact" : ""}" aria-labelledby="sqs-a11y-panel-title">
+				<div class="header">
+					<h2 id="sqs-a11y-panel-title" tabindex="-1">${compact ? "Accessibility check" : "Accessibility review"}</h2>
+					${headerButton}
+				</div>
+				<div class="body" id="sqs-a11y-panel-body">
+					${reviewerControls}
+					<section aria-labelledby="sqs-a11y-panel-findings">
+						<h3 id="sqs-a11y-panel-findings">Findings on this page</h3>
+						<div class="toolbar">${kindSelect}
+							<button type="button" class="refresh">Refresh</button>
+						</div>
+						<p class="summary findings-summary"></p>
+						<ul class="findings"></ul>
+					</section>
+				</div>
+				<div class="status visually-hidden" role="status" aria-live="polite"></div>
+			</aside>
+			<div class="highlight" hidden></div>
+		`;
+
+		root.querySelector(".refresh").addEventListener("click", () => {
+			refresh();
+			announce("Panel refreshed.");
+		});
+
+		root.querySelector(".findings").addEventListener("click", (event) => {
+			const button = event.target.closest("button[data-id]");
+			if (button) highlightFinding(button.getAttribute("data-id"));
+		});
+
+		root.querySelector(".panel").addEventListener("keydown", (event) => {
+			if (event.key !== "Escape") return;
+
+			event.stopPropagation();
+
+			if (!compact) {
+				close();
+			} else if (root.querySelector(".collapse").getAttribute("aria-expanded") === "true") {
+				toggleCompactBody();
+				root.querySelector(".collapse").focus();
+			}
+		});
+
+		if (compact) {
+			root.querySelector(".collapse").addEventListener("click", toggleCompactBody);
+			return;
+		}
+
+		root.querySelector(".close").addEventListener("click", close);
+
+		root.querySelector("select").addEventListener("change", (event) => {
+			kindFilter = event.target.value;
+			renderFindings(getPageFindings());
+		});
+
+		root.querySelector(".overlay-switch").addEventListener("change", (event) => toggleOverlay(event.target));
+
+		root.querySelector(".enhancements").addEventListener("change", (event) => {
+			if (event.target.matches("input[data-name]")) toggleEnhancement(event.target);
+		});
+	}
+
+	/**
+	 * open()
+	 * ------------------------------------------------------------
+	 * Shows the panel and moves focus to its heading, unless
+	 * options.focus is false.
+	 */
+	function open(options) {
+		const moveFocus = !options || options.focus !== false;
+
+		if (!host) build();
+
+		if (!host.isConnected) {
+			returnFocus = moveFocus ? document.activeElement : null;
+			document.body.appendChild(host);
+			document.addEventListener("sqs:cycle-complete", refresh);
+		}
+
+		refresh();
+		if (moveFocus) root.getElementById("sqs-a11y-panel-title").focus();
+	}
+
+	/**
+	 * close()
+	 * ------------------------------------------------------------
+	 * Removes the panel and returns focus to where it was before opening.
+	 */
+	function close() {
+		if (!host || !host.isConnected) return;
+
+		clearHighlight();
+		document.removeEventListener("sqs:cycle-complete", refresh);
+		host.remove();
+
+		if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === "function") {
+			returnFocus.focus();
+		}
+
+		returnFocus = null;
+	}
+
+	window.sqsA11y.reviewPanel = {
+		open: open,
+		close: close,
+		isOpen: function () {
+			return !!(host && host.isConnected);
+		},
+		refresh: refresh,
+	};
+})(window, document);
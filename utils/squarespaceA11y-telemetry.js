@@ -0,0 +1,284 @@
+/**
+ * Squarespace Accessibility Findings Hooks – squarespaceA11y-telemetry.js
+ * ----------------------------------------------------------------
+ * Library: squarespace-wcag-utils
+ * Author: Joe Lippeatt / 24Moves.com
+ * License: MIT
+ *
+ * Passes findings recorded through utils.reportFix() to site-owned code,
+ * so a site can count which fixes and warnings fire in production without
+ * turning on console logging.
+ *
+ *   sqsA11yConfig.onFinding(finding)
+ *     Called once per finding per page path.
+ *
+ *   sqsA11yConfig.onCycleComplete(summary)
+ *     Called after each sqsDomReadySignal readiness cycle with the
+ *     findings first seen in that cycle:
+ *     { cycle, reason, path, duration, counts: { fix, warning, audit }, findings }
+ *
+ *   sqsA11yConfig.beacon
+ *     A URL, or { url, sampleRate, batchSize }. Findings are queued and
+ *     sent in batches with navigator.sendBeacon() when the queue reaches
+ *     batchSize, after each readiness cycle, and when the page is hidden.
+ *     sampleRate (0 to 1, default 1) is decided once per page load.
+ *
+ * A finding only carries the enhancement name, kind, WCAG criteria,
+ * element selector, changed attribute name, page path, and cycle number.
+ * Descriptions, attribute values, full URLs, and query strings are left
+ * out, because they can contain page text or visitor data.
+ *
+ * "info" entries (enhancement start and complete messages) are not
+ * passed on. Nothing is sent from the Squarespace editor.
+ *
+ * Public API:
+ *   window.sqsA11y.telemetry.finding(entry)
+ *     Called by utils.reportFix() with each stored findings entry.
+ *
+ *   window.sqsA11y.telemetry.flush()
+ *     Sends queued findings now. Returns true when a batch was handed to
+ *     the browser.
+ *
+ *   window.sqsA11y.telemetry.pending()
+ *     Returns a copy of the findings waiting to be sent.
+ *
+ *   window.sqsA11y.telemetry.sampled
+ *     Whether this page load was sampled for the beacon transport.
+ *
+ * Dependencies:
+ *   - squarespaceA11y-findings.js
+ *
+ * Converted for non-module loader compatibility.
+ */
+
+(function (window, document) {
+	"use strict";
+
+	window.sqsA11y = window.sqsA11y || {};
+
+	if (window.sqsA11y.telemetry) return;
+
+	const FORMAT = "sqsA11y-findings";
+	const FORMAT_VERSION = 1;
+	const KINDS = ["fix", "warning", "audit"];
+	const DEFAULT_BATCH_SIZE = 20;
+
+	/*
+	 * Keys of findings already passed on. Oldest keys are dropped past this
+	 * limit, the same as the findings store.
+	 */
+	const MAX_SEEN = 1000;
+
+	const seen = new Set();
+	const queue = [];
+	let cycleFindings = [];
+	let sampled = null;
+
+	/**
+	 * getConfig()
+	 * ------------------------------------------------------------
+	 * Read when needed, so hooks added after load are used.
+	 */
+	function getConfig() {
+		return window.sqsA11yConfig || {};
+	}
+
+	/**
+	 * getBeaconOptions()
+	 * ------------------------------------------------------------
+	 * Normalizes sqsA11yConfig.beacon. Returns null when it is unset or
+	 * has no URL.
+	 */
+	function getBeaconOptions() {
+		const beacon = getConfig().beacon;
+		const opts = typeof beacon === "string" ? { url: beacon } : beacon;
+
+		if (!opts || typeof opts !== "object" || typeof opts.url !== "string" || !opts.url.trim()) return null;
+
+		const sampleRate = Number(opts.sampleRate);
+		const batchSize = Number(opts.batchSize);
+
+		return {
+			url: opts.url.trim(),
+			sampleRate: opts.sampleRate === undefined || isNaN(sampleRate) ? 1 : Math.min(1, Math.max(0, sampleRate)),
+			batchSize: Number.isInteger(batchSize) && batchSize > 0 ? batchSize : DEFAULT_BATCH_SIZE,
+		};
+	}
+
+	/**
+	 * isSampled()
+	 * ------------------------------------------------------------
+	 * Decided once per page load, so a page sends all of its findings or
+	 * none of them.
+	 */
+	function isSampled(options) {
+		if (sampled === null) sampled = Math.random() < options.sampleRate;
+
+		return sampled;
+	}
+
+	/**
+	 * pagePath()
+	 * ------------------------------------------------------------
+	 * Path of a findings entry URL, without the query string or hash.
+	 */
+	function pagePath(url) {
+		try {
+			return new URL(url, window.location.href).pathname;
+		} catch (err) {
+			return "/";
+		}
+	}
+
+	/**
+	 * callHook()
+	 * ------------------------------------------------------------
+	 * A failing site hook is logged and does not stop the enhancements.
+	 */
+	function callHook(name, value) {
+		const hook = getConfig()[name];
+		if (typeof hook !== "function") return;
+
+		try {
+			hook(value);
+		} catch (err) {
+			console.error(`[sqsA11y] ${name} hook failed:`, err);
+		}
+	}
+
+	/**
+	 * finding(entry)
+	 * ------------------------------------------------------------
+	 * Passes a new findings entry to onFinding and the beacon queue.
+	 * Repeats of the same finding on the same page are ignored.
+	 */
+	function finding(entry) {
+		if (!entry || !KINDS.includes(entry.kind)) return;
+
+		const item = {
+			enhancement: entry.enhancement,
+			kind: entry.kind,
+			criteria: Array.isArray(entry.criteria) ? entry.criteria.slice() : [],
+			selector: entry.selector || null,
+			attribute: entry.attribute || null,
+			path: pagePath(entry.url),
+			cycle: entry.cycle,
+		};
+
+		const key = [item.path, item.enhancement, item.kind, item.selector || "", item.attribute || ""].join(" | ");
+		if (seen.has(key)) return;
+
+		seen.add(key);
+		if (seen.size > MAX_SEEN) seen.delete(seen.values().next().value);
+
+		cycleFindings.push(item);
+		callHook("onFinding", Object.assign({}, item, { criteria: item.criteria.slice() }));
+
+		const options = getBeaconOptions();
+		if (!options || window.sqsA11y.editorMode === true || !isSampled(options)) return;
+
+		queue.push(item);
+		if (queue.length >= options.batchSize) flush();
+	}
+
+	/**
+	 * send()
+	 * ------------------------------------------------------------
+	 * Uses sendBeacon, with a keepalive fetch where it is missing or
+	 * refuses the batch. The body is sent as text/plain so the request
+	 * does not need a CORS preflight.
+	 */
+	function send(url, body) {
+		try {
+			if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return true;
+		} catch (err) {}
+
+		if (typeof window.fetch !== "function") return false;
+
+		window
+			.fetch(url, {
+				method: "POST",
+				body: body,
+				mode: "no-cors",
+				keepalive: true,
+				headers: { "Content-Type": "text/plain" },
+			})
+			.catch((err) => {
+				console.warn("[sqsA11y-telemetry] Could not send findings:", err);
+			});
+
+		return true;
+	}
+
+	/**
+	 * flush()
+	 * ------------------------------------------------------------
+	 * Sends the queued findings as one batch.
+	 */
+	function flush() {
+		const options = getBeaconOptions();
+		if (!options || !queue.length) return false;
+
+		const batch = queue.splice(0, options.batchSize);
+		const body = JSON.stringify({
+			format: FORMAT,
+			formatVersion: FORMAT_VERSION,
+			version: window.sqsA11y.version || "",
+			host: window.location.hostname,
+			sampleRate: options.sampleRate,
+			sent: new Date().toISOString(),
+			findings: batch,
+		});
+
+		const sent = send(options.url, body);
+
+		// Anything left over goes in the next batch.
+		if (queue.length) flush();
+
+		return sent;
+	}
+
+	/**
+	 * handleCycleComplete()
+	 * ------------------------------------------------------------
+	 * Reports the findings first seen during the cycle, then sends the
+	 * queue.
+	 */
+	function handleCycleComplete(event) {
+		const detail = (event && event.detail) || {};
+		const findings = cycleFindings;
+		const counts = { fix: 0, warning: 0, audit: 0 };
+
+		cycleFindings = [];
+		findings.forEach((item) => counts[item.kind]++);
+
+		callHook("onCycleComplete", {
+			cycle: detail.version,
+			reason: detail.reason || null,
+			path: pagePath(detail.url || window.location.href),
+			duration: detail.duration,
+			counts: counts,
+			findings: findings,
+		});
+
+		flush();
+	}
+
+	document.addEventListener("sqs:cycle-complete", handleCycleComplete);
+
+	// Last chance to send before the visitor leaves or switches tabs.
+	window.addEventListener("pagehide", flush);
+	document.addEventListener("visibilitychange", () => {
+		if (document.visibilityState === "hidden") flush();
+	});
+
+	window.sqsA11y.telemetry = {
+		finding: finding,
+		flush: flush,
+		pending: () => queue.map((item) => Object.assign({}, item, { criteria: item.criteria.slice() })),
+		get sampled() {
+			const options = getBeaconOptions();
+			return options ? isSampled(options) : false;
+		},
+	};
+})(window, document);
@@ -16,6 +16,19 @@
 	window.sqsA11y.utils = window.sqsA11y.utils || {};
 	const utils = window.sqsA11y.utils;
 
+	/*
+	 * Elements that got their id from assignId(). getSelectorPath() does
+	 * not anchor on these ids.
+	 */
+	const assignedIds = new WeakSet();
+
+	/*
+	 * Ids Squarespace 7.0 adds at runtime through YUI, such as
+	 * "yui_3_17_2_1_1712345678901_123". Block ids ("block-yui_...") are
+	 * saved with the page and are stable.
+	 */
+	const RUNTIME_ID = /^yui_/;
+
 	// ------------------------------------------------------------
 	// logNodeAction()
 	// ------------------------------------------------------------
@@ -37,6 +50,39 @@
 		return node;
 	};
 
+	// ------------------------------------------------------------
+	// queryAll()
+	// ------------------------------------------------------------
+	// Returns the unique elements matching selector inside the given roots,
+	// in document order. A root that matches, or its nearest matching
+	// ancestor, is included so content added inside an existing element
+	// (for example an <img> inside a link) still finds that element.
+	// Roots default to [document], which is a normal full-page query.
+	utils.queryAll = function (selector, roots) {
+		const scopes = roots && roots.length ? roots : [document];
+
+		if (scopes.length === 1 && scopes[0] === document) {
+			return Array.from(document.querySelectorAll(selector));
+		}
+
+		const found = new Set();
+
+		scopes.forEach((root) => {
+			if (!root || typeof root.querySelectorAll !== "function") return;
+
+			if (root.nodeType === 1) {
+				const match = root.closest(selector);
+				if (match) found.add(match);
+			}
+
+			root.querySelectorAll(selector).forEach((el) => found.add(el));
+		});
+
+		return Array.from(found).sort((a, b) =>
+			a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1,
+		);
+	};
+
 	// ------------------------------------------------------------
 	// cssRuleExists()
 	// ------------------------------------------------------------
@@ -87,6 +133,11 @@
 	// 	return text || "";
 	// };
 
+	// ------------------------------------------------------------------
+	// Rendered text of a node, for nearby context and text samples.
+	// Not an accessible name; use utils.getAccessibleName() to decide
+	// whether an element is unnamed.
+	// ------------------------------------------------------------------
 	utils.getReadableText = function (node) {
 		//if (!node) return "";
 
@@ -179,8 +230,8 @@
 	}
 
 	/**
-	 * Find visible or alt text for other <a> elements on the same page
-	 * sharing the same href.
+	 * Find the accessible name of other visible <a> elements on the same
+	 * page sharing the same href.
 	 *
 	 * @param {string} url - The href value to search for.
 	 * @returns {string|null} The first meaningful text found, or null if none.
@@ -206,22 +257,10 @@
 		for (const a of anchors) {
 			if (!isVisible(a)) continue;
 
-			// 1) Visible text (preserves spacing across inline tags and <br>)
-			const text = utils.getReadableText(a);
+			// Text, image alt text, and ARIA labels, as a screen reader would
+			// announce the link (squarespaceA11y-accname.js).
+			const text = utils.getAccessibleName(a);
 			if (text) return text;
-
-			// 2) Alt text on images inside
-			// const imgWithAlt = a.querySelector ? a.querySelector("img[alt]") : null;
-			// if (imgWithAlt && imgWithAlt.alt.trim()) {
-			// 	return imgWithAlt.alt.trim();
-			// }
-
-			// 2) Alt text on images inside
-			// Prevents using hidden image alt text as visible link context. Improves accuracy for WCAG 2.4.4 (Link Purpose)
-			const imgWithAlt = a.querySelector ? a.querySelector("img[alt]") : null;
-			if (imgWithAlt && isVisible(imgWithAlt) && imgWithAlt.alt.trim()) {
-				return imgWithAlt.alt.trim();
-			}
 		}
 
 		return null;
@@ -305,12 +344,23 @@
 
 		// Assign stable ID once
 		if (!targetEl.id) {
-			targetEl.id = EXISTING_ID;
+			utils.assignId(targetEl, EXISTING_ID);
 		}
 
 		return targetEl;
 	};
 
+	// ------------------------------------------------------------
+	// assignId()
+	// ------------------------------------------------------------
+	// Gives an existing page element an id and remembers that the id came
+	// from this library, so getSelectorPath() does not use it.
+	utils.assignId = function (el, id) {
+		el.id = id;
+		assignedIds.add(el);
+		return el;
+	};
+
 	// ------------------------------------------------------------
 	// appendDataTraceAttr()
 	// ------------------------------------------------------------
@@ -351,17 +401,107 @@
 		return final;
 	};
 
+	/**
+	 * getSelectorPath()
+	 * ----------------------------------------------------------------
+	 * Purpose:
+	 *   Build a readable CSS selector path for an element so findings can
+	 *   point back to it after the page reloads.
+	 *
+	 * Behavior:
+	 *   - Stops at the nearest ancestor (or self) with an ID.
+	 *   - Skips runtime YUI ids (yui_...) and ids set with assignId().
+	 *     They differ between page loads, or depend on when the enhancement
+	 *     that set them ran, and would break baseline comparisons.
+	 *   - Uses tag names plus :nth-of-type() for every other step.
+	 *   - Ignores class names, because enhancements add their own classes.
+	 *
+	 * Returns:
+	 *   String → selector such as "#block-yui_123 > div:nth-of-type(2) > a",
+	 *            or an empty string for non-elements.
+	 */
+	utils.getSelectorPath = function (el) {
+		if (!(el instanceof Element)) return "";
+
+		const escape = window.CSS && window.CSS.escape ? window.CSS.escape : (v) => v;
+		const parts = [];
+		let current = el;
+
+		while (current && current.nodeType === 1) {
+			if (current.id && !RUNTIME_ID.test(current.id) && !assignedIds.has(current)) {
+				parts.unshift(`#${escape(current.id)}`);
+				break;
+			}
+
+			const tag = current.tagName.toLowerCase();
+
+			if (current === document.body || current === document.documentElement) {
+				parts.unshift(tag);
+				break;
+			}
+
+			let index = 1;
+			let sibling = current.previousElementSibling;
+			while (sibling) {
+				if (sibling.tagName === current.tagName) index++;
+				sibling = sibling.previousElementSibling;
+			}
+
+			parts.unshift(`${tag}:nth-of-type(${index})`);
+			current = current.parentElement;
+		}
+
+		return parts.join(" > ");
+	};
+
+	/**
+	 * downloadText()
+	 * ----------------------------------------------------------------
+	 * Purpose:
+	 *   Start a browser download for generated text, such as an exported
+	 *   report or a findings baseline.
+	 *
+	 * Behavior:
+	 *   - type is a MIME type such as "application/json". UTF-8 is added.
+	 *   - Failures are logged and do not throw.
+	 *
+	 * Returns:
+	 *   Boolean → true when the download was started.
+	 */
+	utils.downloadText = function (text, filename, type) {
+		try {
+			const blob = new Blob([text], { type: (type || "text/plain") + ";charset=utf-8" });
+			const url = URL.createObjectURL(blob);
+			const link = document.createElement("a");
+
+			link.href = url;
+			link.download = filename;
+			link.style.display = "none";
+			document.body.appendChild(link);
+			link.click();
+			link.remove();
+
+			setTimeout(() => URL.revokeObjectURL(url), 1000);
+			return true;
+		} catch (err) {
+			console.warn("[sqsA11y-utils] Download failed:", err);
+			return false;
+		}
+	};
+
 	// ------------------------------------------------------------
 	// reportUpdate()
 	// ------------------------------------------------------------
-	utils.reportUpdate = function (element, enhanseName, description, debug) {
-		utils.reportFix(element, enhanseName, description, debug);
+	utils.reportUpdate = function (element, enhanseName, description, debug, details) {
+		utils.reportFix(element, enhanseName, description, debug, details);
 	};
 
 	// ------------------------------------------------------------
 	// reportFix()
 	// ------------------------------------------------------------
-	utils.reportFix = function (element, enhanceName, description, debug) {
+	// The optional details object ({ kind, wcag, attribute, before, after })
+	// is stored with the structured entry in window.sqsA11y.findings.
+	utils.reportFix = function (element, enhanceName, description, debug, details) {
 		const hasEnhanceName = enhanceName && String(enhanceName).trim().length > 0;
 		const entry = hasEnhanceName ? `${enhanceName} - ${description}` : description;
 		const PREFIX = "[sqsA11y]:";
@@ -376,11 +516,23 @@
 					? element.name.trim()
 					: "DOM element";
 
-		// Append trace if element exists
-		if (element) {
+		// Append trace if element exists. Editor mode is read-only, so no trace there.
+		if (element && window.sqsA11y.editorMode !== true) {
 			utils.appendDataTraceAttr(element, entry);
 		}
 
+		// Record a structured entry for window.sqsA11y.report(), and pass it
+		// to the onFinding hook and beacon transport
+		if (window.sqsA11y.findings && typeof window.sqsA11y.findings.record === "function") {
+			try {
+				const stored = window.sqsA11y.findings.record(element, enhanceName, description, details);
+
+				if (window.sqsA11y.telemetry) window.sqsA11y.telemetry.finding(stored);
+			} catch (err) {
+				console.warn("[sqsA11y-utils] Could not record finding:", err);
+			}
+		}
+
 		// Logging
 		if (loggingEnabled) {
 			if (element) {
@@ -479,7 +631,7 @@
 	 */
 	utils.hasWord = function (s, w) {
 		const safe = w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-		return new RegExp("(^|\\W)" + safe + "(\\W|$)").test(s || "");
+		return new RegExp("(^|[^\\p{L}\\p{N}_])" + safe + "([^\\p{L}\\p{N}_]|$)", "u").test(s || "");
 	};
 
 	/**
@@ -512,12 +664,15 @@
 	 *   - Aggregates and normalizes text clues from multiple sources:
 	 *       label text, name, id, and placeholder.
 	 *   - Uses keyword matching to detect semantic intent
-	 *     (e.g., "email", "first name", "zip", "company").
+	 *     (e.g., "email", "first name", "zip", "company"). Keywords come
+	 *     from the string catalog, so labels in the page language match
+	 *     as well as English ones.
 	 *
 	 * Dependencies:
 	 *   - utils.getLabelText()
 	 *   - utils.normalize()
 	 *   - utils.hasWord()
+	 *   - utils.phrases() (squarespaceA11y-i18n.js)
 	 *
 	 * Parameters:
 	 *   el → The input element to analyze.
@@ -542,52 +697,40 @@
 		const ph = utils.normalize(el.getAttribute("placeholder"));
 		const all = [label, name, id, ph].join(" ");
 
+		// Keyword lists come from the string catalog: English plus the page language.
+		// They are normalized like the text, so "e-mail" matches the label "E-Mail".
+		const has = (key) =>
+			utils.phrases(`autocomplete.${key}`).some((word) => utils.hasWord(all, utils.normalize(word)));
+
 		// (3) Common patterns
-		if (utils.hasWord(all, "email") || utils.hasWord(all, "e mail")) return "email";
-		if (
-			utils.hasWord(all, "phone") ||
-			utils.hasWord(all, "tel") ||
-			utils.hasWord(all, "mobile") ||
-			utils.hasWord(all, "cell")
-		)
-			return "tel";
-
-		// (4) Name-related
-		if (utils.hasWord(all, "first") && utils.hasWord(all, "name")) return "given-name";
-		if (utils.hasWord(all, "last") && utils.hasWord(all, "name")) return "family-name";
-		if (utils.hasWord(all, "middle") && utils.hasWord(all, "name")) return "additional-name";
-		if (utils.hasWord(all, "name")) return "name";
+		if (has("email")) return "email";
+		if (has("tel")) return "tel";
+
+		// (4) Name-related. Whole phrases such as "segundo nombre" are checked
+		//     before "nombre" or "prénom" can match a shorter token.
+		if (has("middleName")) return "additional-name";
+		if ((has("first") && has("name")) || has("givenName")) return "given-name";
+		if ((has("last") && has("name")) || has("familyName")) return "family-name";
+		if (has("middle") && has("name")) return "additional-name";
+		if (has("name")) return "name";
 
 		// (5) Organization
-		if (
-			utils.hasWord(all, "company") ||
-			utils.hasWord(all, "organization") ||
-			utils.hasWord(all, "organisation") ||
-			utils.hasWord(all, "business")
-		)
-			return "organization";
+		if (has("organization")) return "organization";
 
 		// (6) Address fields
-		if (
-			(utils.hasWord(all, "address") && (utils.hasWord(all, "line") || /address\s*1\b/.test(all))) ||
-			/\baddr(?:ess)?\s*1\b/.test(all)
-		)
+		if ((has("address") && (has("line") || /address\s*1\b/.test(all))) || /\baddr(?:ess)?\s*1\b/.test(all))
 			return "address-line1";
-		if ((utils.hasWord(all, "address") && utils.hasWord(all, "2")) || /\baddr(?:ess)?\s*2\b/.test(all))
-			return "address-line2";
-		if (utils.hasWord(all, "street") || (utils.hasWord(all, "address") && !/\bline\b/.test(all)))
-			return "street-address";
+		if ((has("address") && utils.hasWord(all, "2")) || /\baddr(?:ess)?\s*2\b/.test(all)) return "address-line2";
+		if (has("street") || (has("address") && !has("line"))) return "street-address";
 
 		// (7) Location
-		if (utils.hasWord(all, "city") || utils.hasWord(all, "town") || utils.hasWord(all, "locality"))
-			return "address-level2";
-		if (utils.hasWord(all, "state") || utils.hasWord(all, "province") || utils.hasWord(all, "region"))
-			return "address-level1";
-		if (utils.hasWord(all, "zip") || utils.hasWord(all, "postal")) return "postal-code";
-		if (utils.hasWord(all, "country")) return "country-name";
+		if (has("city")) return "address-level2";
+		if (has("region")) return "address-level1";
+		if (has("postalCode")) return "postal-code";
+		if (has("country")) return "country-name";
 
 		// (8) Website
-		if (utils.hasWord(all, "website") || utils.hasWord(all, "url")) return "url";
+		if (has("website")) return "url";
 
 		// (9) Ignore non-targets
 		if (utils.hasWord(all, "message") || utils.hasWord(all, "comments") || utils.hasWord(all, "notes"))
@@ -634,13 +777,14 @@
 	};
 
 	/**
-	 * utils.scanFormControls(callback)
+	 * utils.scanFormControls(callback, roots)
 	 * ----------------------------------------------------------------
-	 * Scans all form controls and runs a callback on each.
+	 * Scans form controls and runs a callback on each. Pass roots
+	 * (see utils.queryAll()) to limit the scan to newly added content.
 	 * Returns aggregated {updated, cleaned, skipped, controlCount}.
 	 */
-	utils.scanFormControls = function (callback) {
-		const controls = document.querySelectorAll("form input, form select, form textarea");
+	utils.scanFormControls = function (callback, roots) {
+		const controls = utils.queryAll("form input, form select, form textarea", roots);
 		let totalUpdated = 0,
 			totalCleaned = 0,
 			totalSkipped = 0;
@@ -668,6 +812,9 @@
 	 * ----------------------------------------------------------------
 	 * Observes DOM mutations for form additions/changes and re-runs
 	 * the provided callback when form elements appear or change.
+	 *
+	 * Returns the MutationObserver, or null if it could not be attached.
+	 * Disconnecting it also cancels a pending callback.
 	 */
 	utils.observeFormsForChanges = function (callback) {
 		try {
@@ -699,14 +846,89 @@
 				attributeFilter: ["type", "autocomplete", "id", "class"],
 			});
 
+			const disconnect = observer.disconnect.bind(observer);
+			observer.disconnect = function () {
+				clearTimeout(timer);
+				disconnect();
+			};
+
 			if (!window.sqsA11y || !window.sqsA11y.config || window.sqsA11y.config.logging === true) {
 				console.info("[sqsA11y] Form observer attached.");
 			}
+
+			return observer;
 		} catch (e) {
 			console.warn("[sqsA11y]  Form observer failed:", e);
+			return null;
 		}
 	};
 
+	/**
+	 * utils.whenIdle(timeout)
+	 * ----------------------------------------------------------------
+	 * Resolves with an idle deadline from requestIdleCallback, or after
+	 * timeout ms if the browser stays busy. Browsers without
+	 * requestIdleCallback get a short setTimeout slice instead.
+	 *
+	 * @param {number} [timeout=500]
+	 * @returns {Promise<{timeRemaining: Function}>}
+	 */
+	utils.whenIdle = function (timeout = 500) {
+		return new Promise((resolve) => {
+			if (typeof window.requestIdleCallback === "function") {
+				window.requestIdleCallback(resolve, { timeout: timeout });
+				return;
+			}
+
+			setTimeout(() => {
+				const end = Date.now() + 10;
+				resolve({ didTimeout: false, timeRemaining: () => Math.max(0, end - Date.now()) });
+			}, 1);
+		});
+	};
+
+	/**
+	 * utils.processInChunks(items, callback, options)
+	 * ----------------------------------------------------------------
+	 * Calls callback(item, index) for each item.
+	 *
+	 * With options.idle, the work is split across idle periods so long
+	 * lists do not block the main thread. Otherwise every item is handled
+	 * straight away.
+	 *
+	 * With options.lifecycle, each chunk is recorded in the enhancement's
+	 * journal, and the remaining chunks are dropped if the enhancement is
+	 * disabled or reverted in the meantime.
+	 *
+	 * Resolves with the number of items handled.
+	 *
+	 * @param {Array|NodeList} items
+	 * @param {Function} callback
+	 * @param {{idle?: boolean, lifecycle?: Object}} [options]
+	 * @returns {Promise<number>}
+	 */
+	utils.processInChunks = async function (items, callback, options = {}) {
+		const list = Array.from(items || []);
+		const lifecycle = options.lifecycle || null;
+		const record = lifecycle ? lifecycle.record : (fn) => fn();
+		let index = 0;
+
+		while (index < list.length) {
+			const deadline = options.idle ? await utils.whenIdle() : null;
+
+			if (lifecycle && (lifecycle.disabled || !lifecycle.initialized)) break;
+
+			record(() => {
+				do {
+					callback(list[index], index);
+					index++;
+				} while (index < list.length && (!deadline || deadline.timeRemaining() > 1));
+			});
+		}
+
+		return index;
+	};
+
 	/**
 	 * utils.parseRgbString(colorString)
 	 * ----------------------------------------------------------------
@@ -1022,6 +1244,39 @@
 		return hasConfigUrl || isSquarespacePreviewFrame;
 	}
 
+	/**
+	 * getSquarespaceCollectionType()
+	 * ------------------------------------------------------------
+	 * Returns the Squarespace collection type for the current page,
+	 * e.g. "products", "blog", "events", "gallery", or "page".
+	 *
+	 * Behavior:
+	 *   - Reads the body "collection-type-*" class first, because
+	 *     Squarespace updates body classes during AJAX navigation
+	 *   - Falls back to Static.SQUARESPACE_CONTEXT
+	 *   - Returns "" when the type cannot be determined
+	 */
+	utils.getSquarespaceCollectionType = function () {
+		const body = document.body;
+
+		if (body) {
+			const match = Array.from(body.classList)
+				.map((className) => className.match(/^collection-type-(.+)$/))
+				.find(Boolean);
+
+			if (match) return match[1].toLowerCase();
+		}
+
+		try {
+			const context = window.Static && window.Static.SQUARESPACE_CONTEXT;
+			const collection = context && context.collection;
+
+			if (collection && collection.typeName) return String(collection.typeName).toLowerCase();
+		} catch (err) {}
+
+		return "";
+	};
+
 	// ------------------------------------------------------------
 	// CSS.escape Polyfill (for older browsers or Squarespace IDs)
 	// ------------------------------------------------------------